@@ -0,0 +1,187 @@
+export const POLICY_NAMES = ['epsilon-greedy', 'ucb1', 'thompson'];
+
+const SCORE_MIN = 1;
+const SCORE_MAX = 10;
+
+// mulberry32: tiny, fast and good enough to make demo runs reproducible from a seed.
+export function createRng(seed) {
+  let state = hashSeed(seed);
+  return function next() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function hashSeed(seed) {
+  const text = String(seed ?? '');
+  let h = 2166136261;
+  for (let i = 0; i < text.length; i += 1) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 16777619);
+  }
+  return h >>> 0;
+}
+
+function sampleNormal(rng) {
+  const u1 = Math.max(rng(), Number.EPSILON);
+  const u2 = rng();
+  return Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+}
+
+// Marsaglia-Tsang gamma sampler (shape >= 1), with the usual boost for shape < 1.
+function sampleGamma(rng, shape) {
+  if (shape < 1) {
+    return sampleGamma(rng, shape + 1) * Math.pow(Math.max(rng(), Number.EPSILON), 1 / shape);
+  }
+
+  const d = shape - 1 / 3;
+  const c = 1 / Math.sqrt(9 * d);
+  for (;;) {
+    let x;
+    let v;
+    do {
+      x = sampleNormal(rng);
+      v = 1 + c * x;
+    } while (v <= 0);
+    v = v * v * v;
+    const u = rng();
+    if (u < 1 - 0.0331 * x ** 4) return d * v;
+    if (Math.log(u) < 0.5 * x * x + d * (1 - v + Math.log(v))) return d * v;
+  }
+}
+
+function sampleBeta(rng, alpha, beta) {
+  const x = sampleGamma(rng, alpha);
+  const y = sampleGamma(rng, beta);
+  return x / (x + y);
+}
+
+export function normalizeReward(score) {
+  const bounded = Math.max(SCORE_MIN, Math.min(SCORE_MAX, Number(score) || SCORE_MIN));
+  return (bounded - SCORE_MIN) / (SCORE_MAX - SCORE_MIN);
+}
+
+function createArm() {
+  return { pulls: 0, totalReward: 0, meanReward: 0, alpha: 1, beta: 1 };
+}
+
+export function ensureBanditArms(memory, objectionType, strategies) {
+  if (!memory.banditArms || typeof memory.banditArms !== 'object') {
+    memory.banditArms = {};
+  }
+
+  const key = objectionType || 'unknown';
+  const arms = memory.banditArms[key] || {};
+  for (const strategy of strategies) {
+    if (!arms[strategy]) arms[strategy] = createArm();
+  }
+  memory.banditArms[key] = arms;
+  return arms;
+}
+
+export function updateBanditArm(memory, objectionType, strategy, score, weight = 1) {
+  const arms = ensureBanditArms(memory, objectionType, [strategy]);
+  const arm = arms[strategy];
+  const reward = normalizeReward(score);
+
+  arm.pulls = Number((arm.pulls + weight).toFixed(4));
+  arm.totalReward = Number((arm.totalReward + reward * weight).toFixed(4));
+  arm.meanReward = Number((arm.totalReward / Math.max(arm.pulls, Number.EPSILON)).toFixed(4));
+  arm.alpha = Number((arm.alpha + reward * weight).toFixed(4));
+  arm.beta = Number((arm.beta + (1 - reward) * weight).toFixed(4));
+  return arm;
+}
+
+function pickGreedy(arms, strategies, fallbackStrategy) {
+  let best = null;
+  let bestMean = -Infinity;
+  for (const strategy of strategies) {
+    const arm = arms[strategy];
+    if (!arm || arm.pulls <= 0) continue;
+    if (arm.meanReward > bestMean) {
+      bestMean = arm.meanReward;
+      best = strategy;
+    }
+  }
+  return best ?? fallbackStrategy ?? strategies[0];
+}
+
+// Labelled like the other policies: a random pick that lands on the greedy arm is an exploit. `randomPick` keeps the epsilon draw visible.
+function selectEpsilonGreedy({ strategies, rng, epsilon, greedy }) {
+  const roll = rng();
+  if (roll < epsilon) {
+    const strategy = strategies[Math.floor(rng() * strategies.length)];
+    return { strategy, decision: strategy === greedy ? 'exploit' : 'explore', detail: { epsilon, roll: Number(roll.toFixed(4)), randomPick: true } };
+  }
+  return { strategy: greedy, decision: 'exploit', detail: { epsilon, roll: Number(roll.toFixed(4)), randomPick: false } };
+}
+
+function selectUcb1({ arms, strategies, greedy, exploration }) {
+  const untried = strategies.find((strategy) => !(arms[strategy]?.pulls > 0));
+  if (untried) {
+    return { strategy: untried, decision: untried === greedy ? 'exploit' : 'explore', detail: { untried: true } };
+  }
+
+  const totalPulls = strategies.reduce((sum, strategy) => sum + arms[strategy].pulls, 0);
+  const bounds = {};
+  let best = strategies[0];
+  let bestBound = -Infinity;
+  for (const strategy of strategies) {
+    const arm = arms[strategy];
+    const bonus = exploration * Math.sqrt((2 * Math.log(Math.max(totalPulls, 1))) / arm.pulls);
+    const bound = arm.meanReward + bonus;
+    bounds[strategy] = Number(bound.toFixed(4));
+    if (bound > bestBound) {
+      bestBound = bound;
+      best = strategy;
+    }
+  }
+
+  return { strategy: best, decision: best === greedy ? 'exploit' : 'explore', detail: { bounds } };
+}
+
+function selectThompson({ arms, strategies, rng, greedy }) {
+  const samples = {};
+  let best = strategies[0];
+  let bestSample = -Infinity;
+  for (const strategy of strategies) {
+    const arm = arms[strategy];
+    const sample = sampleBeta(rng, arm.alpha, arm.beta);
+    samples[strategy] = Number(sample.toFixed(4));
+    if (sample > bestSample) {
+      bestSample = sample;
+      best = strategy;
+    }
+  }
+
+  return { strategy: best, decision: best === greedy ? 'exploit' : 'explore', detail: { samples } };
+}
+
+export function selectStrategy({ policy, memory, objectionType, strategies, rng, fallbackStrategy }) {
+  if (!POLICY_NAMES.includes(policy)) {
+    throw new Error(`Unknown policy "${policy}". Expected one of: ${POLICY_NAMES.join(', ')}`);
+  }
+
+  const arms = ensureBanditArms(memory, objectionType, strategies);
+  const greedy = pickGreedy(arms, strategies, fallbackStrategy);
+  const epsilon = memory.policy?.epsilon ?? 0.2;
+  const exploration = memory.policy?.ucbExploration ?? 1;
+
+  let picked;
+  if (policy === 'ucb1') {
+    picked = selectUcb1({ arms, strategies, greedy, exploration });
+  } else if (policy === 'thompson') {
+    picked = selectThompson({ arms, strategies, rng, greedy });
+  } else {
+    picked = selectEpsilonGreedy({ strategies, rng, epsilon, greedy });
+  }
+
+  return {
+    ...picked,
+    policy,
+    greedyStrategy: greedy,
+  };
+}
@@ -0,0 +1,188 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { buildCalibration, getCalibrationPath, loadCalibration } from './evaluator-calibration.mjs';
+import { loadJudgesConfig } from './judges-config.mjs';
+import { evaluateByJudges, evaluateByLlm, evaluateByRules, getEvaluatorConfig, getJudgeConfig } from './llm-evaluator.mjs';
+import { buildTemplateResponse } from './response-generator.mjs';
+import { createStorage } from './storage.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const ROOT = path.resolve(__dirname, '..');
+const DEFAULT_DATASET_PATH = path.join(ROOT, 'data', 'calibration-set.json');
+const REPORT_PATH = path.join(ROOT, 'data', 'calibration-latest.json');
+
+function getArg(name, fallback) {
+  const found = process.argv.find((a) => a.startsWith(`--${name}=`));
+  if (!found) return fallback;
+  const [, value] = found.split('=');
+  return value ?? fallback;
+}
+
+async function writeJson(filePath, value) {
+  await fs.writeFile(filePath, JSON.stringify(value, null, 2) + '\n', 'utf-8');
+}
+
+function resolveItems(dataset, leads) {
+  const items = [];
+  const failures = [];
+  for (const item of dataset) {
+    const lead = item.lead ?? leads.find((l) => l.id === item.leadId);
+    if (!lead) failures.push({ id: item.id, error: `Unknown lead: ${item.leadId}` });
+    else items.push({ ...item, lead, response: item.response ?? buildTemplateResponse(item.strategy, lead) });
+  }
+  return { items, failures };
+}
+
+// Each calibrated LLM judge gets its own rule-scale mapping; rubrics score on different scales, so one shared fit would not do.
+async function fitJudges({ config, judges, rubrics, items, minSamples, threshold, failures }) {
+  const byJudge = {};
+  for (const judge of judges) {
+    const rows = [];
+    for (const item of items) {
+      const rule = evaluateByRules({ lead: item.lead, strategy: item.strategy, response: item.response });
+      const llm = await evaluateByLlm({
+        config: getJudgeConfig(config, judge),
+        lead: item.lead,
+        strategy: item.strategy,
+        response: item.response,
+        rubricId: judge.rubric,
+        rubric: rubrics[judge.rubric],
+      });
+      if (!llm.ok) {
+        failures.push({ id: item.id, judge: judge.id, error: llm.error });
+        continue;
+      }
+      rows.push({
+        id: item.id,
+        leadId: item.lead.id,
+        objectionType: item.lead.objectionType,
+        strategy: item.strategy,
+        rule: rule.score,
+        llm: llm.value.score,
+        label: Number.isFinite(item.label) ? item.label : null,
+      });
+    }
+    if (rows.length < 2) {
+      throw new Error(`Judge ${judge.id}: only ${rows.length} item(s) scored; need at least 2. Failures: ${JSON.stringify(failures.slice(0, 3))}`);
+    }
+    byJudge[judge.id] = buildCalibration(rows, { minSamples, threshold });
+  }
+  return byJudge;
+}
+
+// The learner mixes ensemble and rule_fallback scores in one strategyStats, so the two must agree on the same reply.
+async function checkAgreement({ config, items, calibration, tolerance }) {
+  const rows = [];
+  for (const item of items) {
+    const rule = evaluateByRules({ lead: item.lead, strategy: item.strategy, response: item.response });
+    const ensemble = await evaluateByJudges({ config, lead: item.lead, strategy: item.strategy, response: item.response, calibration });
+    const gap = Number((ensemble.score - rule.score).toFixed(2));
+    rows.push({ id: item.id, leadId: item.lead.id, strategy: item.strategy, ensemble: ensemble.score, fallback: rule.score, gap });
+  }
+  const gaps = rows.map((row) => Math.abs(row.gap));
+  return {
+    tolerance,
+    n: rows.length,
+    meanAbsGap: Number((gaps.reduce((sum, gap) => sum + gap, 0) / Math.max(1, gaps.length)).toFixed(3)),
+    maxAbsGap: Math.max(0, ...gaps),
+    outside: rows.filter((row) => Math.abs(row.gap) > tolerance),
+    rows,
+  };
+}
+
+function printAgreement(agreement) {
+  console.log(`\n=== Ensemble vs rule fallback (same reply) ===`);
+  console.log(`n=${agreement.n} mean |gap|=${agreement.meanAbsGap} max |gap|=${agreement.maxAbsGap} tolerance=${agreement.tolerance}`);
+  for (const row of agreement.outside) {
+    console.log(`  ${row.id} ${row.leadId} ${row.strategy} ensemble=${row.ensemble} fallback=${row.fallback} gap=${row.gap}`);
+  }
+  console.log(agreement.outside.length ? `${agreement.outside.length} item(s) outside tolerance.` : 'All items within tolerance.');
+}
+
+async function main() {
+  const datasetPath = path.resolve(getArg('dataset', DEFAULT_DATASET_PATH));
+  const threshold = Number(getArg('threshold', '1.5'));
+  const minSamples = Number(getArg('minSamples', '4'));
+  const tolerance = Number(getArg('tolerance', '1.5'));
+  const checkOnly = getArg('check', 'false') === 'true';
+  const write = getArg('write', 'true') !== 'false';
+
+  const config = getEvaluatorConfig();
+  if (!config.apiKey) {
+    throw new Error('Calibration needs an LLM evaluator: set EVALUATOR_API_KEY (pnpm llm:stub works offline).');
+  }
+
+  const dataset = JSON.parse(await fs.readFile(datasetPath, 'utf-8'));
+  const storage = await createStorage({ backend: getArg('storage', undefined) });
+  const leads = await storage.readLeads();
+  await storage.close();
+  const { items, failures } = resolveItems(dataset, leads);
+
+  // --check=true only verifies the stored mapping and exits 1 when a reply falls outside the tolerance.
+  if (checkOnly) {
+    const calibration = await loadCalibration();
+    if (!calibration) console.log(`No mapping at ${getCalibrationPath()}; checking raw LLM scores.`);
+    const agreement = await checkAgreement({ config, items, calibration, tolerance });
+    printAgreement(agreement);
+    if (agreement.outside.length) process.exitCode = 1;
+    return;
+  }
+
+  const { rubrics, judges } = await loadJudgesConfig();
+  const calibrated = judges.filter((judge) => judge.type === 'llm' && judge.calibrate);
+  const byJudge = await fitJudges({ config, judges: calibrated, rubrics, items, minSamples, threshold, failures });
+  const mapping = {
+    version: 2,
+    createdAt: new Date().toISOString(),
+    target: 'rule',
+    judges: Object.fromEntries(Object.entries(byJudge).map(([id, calibration]) => [id, calibration.mapping])),
+  };
+  const agreement = await checkAgreement({ config, items, calibration: mapping, tolerance });
+
+  const report = {
+    generatedAt: new Date().toISOString(),
+    dataset: path.relative(ROOT, datasetPath),
+    model: config.model,
+    apiUrl: config.apiUrl,
+    threshold,
+    failures,
+    judges: byJudge,
+    agreement,
+  };
+  await writeJson(REPORT_PATH, report);
+  if (write) await writeJson(getCalibrationPath(), mapping);
+
+  for (const [id, calibration] of Object.entries(byJudge)) {
+    const { overall, afterCalibration } = calibration;
+    console.log(`\n=== Rule vs LLM agreement: ${id} judge ===`);
+    console.log(`overall      n=${overall.n} pearson=${overall.pearson} spearman=${overall.spearman} bias(llm-rule)=${overall.bias} mad=${overall.meanAbsDiff}`);
+    for (const [objectionType, group] of Object.entries(calibration.byObjection)) {
+      console.log(
+        `${objectionType.padEnd(12)} n=${group.n} pearson=${group.pearson} spearman=${group.spearman} bias=${group.bias} mad=${group.meanAbsDiff}`,
+      );
+    }
+    if (overall.labelCorrelation) {
+      console.log(`Spearman vs labels: rule=${overall.labelCorrelation.rule} llm=${overall.labelCorrelation.llm}`);
+    }
+    console.log(`After calibration: bias=${afterCalibration.bias} mad=${afterCalibration.meanAbsDiff}`);
+    console.log(
+      `Mapping (llm -> rule scale): global ${calibration.mapping.global.intercept} + ${calibration.mapping.global.slope} * llm; per objection: ${Object.keys(calibration.mapping.byObjection).join(', ') || 'none'}`,
+    );
+    console.log(`Strong disagreements (|calibrated llm - rule| >= ${threshold}): ${calibration.disagreements.length}`);
+    for (const row of calibration.disagreements) {
+      console.log(`  ${row.id} ${row.leadId} ${row.strategy} rule=${row.rule} llm=${row.llm} calibrated=${row.calibrated} gap=${row.gap}${row.label !== null ? ` label=${row.label}` : ''}`);
+    }
+  }
+  printAgreement(agreement);
+  if (failures.length) console.log(`LLM failures: ${failures.length} (see report)`);
+
+  console.log(`\nSaved calibration report: ${REPORT_PATH}`);
+  if (write) console.log(`Saved mapping: ${getCalibrationPath()} (LLM scores are now mapped; EVALUATOR_CALIBRATION=off disables)`);
+}
+
+main().catch((error) => {
+  console.error('Fatal error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,41 @@
+// voicemail, wrong_number and unclassified say nothing about the strategy, so they carry no reward.
+const OUTCOME_BASE_REWARD = {
+  booked: 9.5,
+  follow_up_requested: 7,
+  objection_unresolved: 4.5,
+  not_interested: 2.5,
+};
+
+export function turnText(turn) {
+  return typeof turn?.text === 'string' ? turn.text : typeof turn?.message === 'string' ? turn.message : '';
+}
+
+export function senderOf(turn) {
+  return String(turn?.sender ?? turn?.role ?? '').toLowerCase();
+}
+
+function wordCount(text) {
+  return text.split(/\s+/).filter(Boolean).length;
+}
+
+export function getEngagementRatio(transcript) {
+  let userWords = 0;
+  let totalWords = 0;
+  for (const turn of Array.isArray(transcript) ? transcript : []) {
+    const words = wordCount(turnText(turn));
+    totalWords += words;
+    if (senderOf(turn) === 'user') userWords += words;
+  }
+  return totalWords > 0 ? Number((userWords / totalWords).toFixed(3)) : 0;
+}
+
+// Maps a call onto the evaluator's 1..10 score scale so it can feed the same memory.
+export function computeCallReward({ durationSeconds, engagementRatio, outcome }) {
+  const base = OUTCOME_BASE_REWARD[outcome];
+  if (base === undefined) return null;
+  const durationFactor = Math.min(1, Math.max(0, Number(durationSeconds) || 0) / 180);
+  const engagementFactor = Math.min(1, Math.max(0, Number(engagementRatio) || 0) / 0.5);
+
+  const reward = 0.6 * base + 0.2 * (1 + 9 * durationFactor) + 0.2 * (1 + 9 * engagementFactor);
+  return Number(Math.max(1, Math.min(10, reward)).toFixed(2));
+}
@@ -0,0 +1,368 @@
+import crypto from 'node:crypto';
+import { normalizeE164Phone, startElevenLabsOutboundCall } from './elevenlabs-outbound.mjs';
+import { guardOutbound } from './compliance.mjs';
+
+// Calling code -> representative IANA zone. Countries spanning several zones use their most populous one;
+// set `timezone` on the lead to override.
+const CALLING_CODE_TIMEZONES = {
+  1: 'America/New_York',
+  7: 'Europe/Moscow',
+  20: 'Africa/Cairo',
+  27: 'Africa/Johannesburg',
+  31: 'Europe/Amsterdam',
+  33: 'Europe/Paris',
+  34: 'Europe/Madrid',
+  39: 'Europe/Rome',
+  44: 'Europe/London',
+  49: 'Europe/Berlin',
+  52: 'America/Mexico_City',
+  55: 'America/Sao_Paulo',
+  60: 'Asia/Kuala_Lumpur',
+  61: 'Australia/Sydney',
+  62: 'Asia/Jakarta',
+  63: 'Asia/Manila',
+  65: 'Asia/Singapore',
+  66: 'Asia/Bangkok',
+  81: 'Asia/Tokyo',
+  82: 'Asia/Seoul',
+  84: 'Asia/Ho_Chi_Minh',
+  86: 'Asia/Shanghai',
+  90: 'Europe/Istanbul',
+  91: 'Asia/Kolkata',
+  92: 'Asia/Karachi',
+  212: 'Africa/Casablanca',
+  234: 'Africa/Lagos',
+  254: 'Africa/Nairobi',
+  852: 'Asia/Hong_Kong',
+  961: 'Asia/Beirut',
+  962: 'Asia/Amman',
+  965: 'Asia/Kuwait',
+  966: 'Asia/Riyadh',
+  968: 'Asia/Muscat',
+  971: 'Asia/Dubai',
+  972: 'Asia/Jerusalem',
+  973: 'Asia/Bahrain',
+  974: 'Asia/Qatar',
+};
+
+export const CALL_JOB_STATUSES = ['queued', 'dialing', 'placed', 'completed', 'failed', 'exhausted', 'cancelled'];
+// Placed calls wait for their post-call webhook; the cooldown, not the job, keeps the lead from being dialed again.
+const ACTIVE_STATUSES = ['queued', 'dialing'];
+const STALE_DIALING_MS = 10 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+function getEnv(name, fallback = '') {
+  const value = process.env[name];
+  if (typeof value !== 'string') return fallback;
+  return value.trim();
+}
+
+function envNumber(name, fallback) {
+  const n = Number(getEnv(name, String(fallback)));
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+export function getSchedulerConfig() {
+  return {
+    cooldownHours: envNumber('CALL_COOLDOWN_HOURS', 24),
+    maxAttempts: Math.max(1, Math.floor(envNumber('CALL_MAX_ATTEMPTS', 3))),
+    maxPerHour: envNumber('CALL_MAX_PER_HOUR', 30),
+    maxPerDay: envNumber('CALL_MAX_PER_DAY', 200),
+    quietStartHour: envNumber('CALL_QUIET_START', 21),
+    quietEndHour: envNumber('CALL_QUIET_END', 9),
+    retryNoAnswerMinutes: envNumber('CALL_RETRY_NO_ANSWER_MINUTES', 120),
+    retryBusyMinutes: envNumber('CALL_RETRY_BUSY_MINUTES', 15),
+    defaultTimeZone: getEnv('CALL_DEFAULT_TIMEZONE', 'UTC'),
+  };
+}
+
+// Dry-run calls reach nobody, so they keep their own queue and never cool down or rate-limit live calls.
+export function getQueueName(mode = getEnv('VOICE_MODE', 'dry-run')) {
+  return mode === 'live' ? 'call-queue' : 'call-queue-dry-run';
+}
+
+export function emptyQueue() {
+  return { jobs: [], leads: {}, dialLog: [], updatedAt: null };
+}
+
+export function timezoneForPhone(phone, { override, fallback = 'UTC' } = {}) {
+  if (override) return { timeZone: override, callingCode: null, source: 'lead' };
+  const normalized = normalizeE164Phone(phone);
+  if (!normalized) return { timeZone: fallback, callingCode: null, source: 'default' };
+  const digits = normalized.slice(1);
+  // Calling codes are prefix-free, so the longest matching prefix wins.
+  for (const length of [3, 2, 1]) {
+    const code = digits.slice(0, length);
+    if (CALLING_CODE_TIMEZONES[code]) return { timeZone: CALLING_CODE_TIMEZONES[code], callingCode: `+${code}`, source: 'calling_code' };
+  }
+  return { timeZone: fallback, callingCode: null, source: 'default' };
+}
+
+function localMinutes(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-GB', { timeZone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' }).formatToParts(date);
+  const hour = Number(parts.find((p) => p.type === 'hour')?.value ?? 0);
+  const minute = Number(parts.find((p) => p.type === 'minute')?.value ?? 0);
+  return hour * 60 + minute;
+}
+
+export function formatLocalTime(date, timeZone) {
+  return new Intl.DateTimeFormat('en-GB', { timeZone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' }).format(date);
+}
+
+// Quiet hours may wrap midnight (21 -> 9). Equal start and end turn them off.
+export function quietHoursDelayMs(date, timeZone, config) {
+  const start = config.quietStartHour * 60;
+  const end = config.quietEndHour * 60;
+  if (start === end) return 0;
+  const now = localMinutes(date, timeZone);
+  const inQuiet = start < end ? now >= start && now < end : now >= start || now < end;
+  if (!inQuiet) return 0;
+  return (((end - now + 1440) % 1440) * 60 - date.getUTCSeconds()) * 1000;
+}
+
+function addMs(date, ms) {
+  return new Date(date.getTime() + ms);
+}
+
+function latest(...dates) {
+  return new Date(Math.max(...dates.filter(Boolean).map((d) => new Date(d).getTime())));
+}
+
+function pushHistory(job, now, status, detail = null) {
+  job.status = status;
+  job.updatedAt = now.toISOString();
+  job.history.push({ at: job.updatedAt, status, ...(detail ? { detail } : {}) });
+}
+
+function leadLedger(queue, leadId) {
+  queue.leads[leadId] ??= { attempts: 0, lastAttemptAt: null, lastConnectedAt: null };
+  return queue.leads[leadId];
+}
+
+// Earliest moment this job may dial: retry/cooldown time pushed out of the lead's quiet hours.
+function nextSlot(notBefore, timeZone, config) {
+  return addMs(notBefore, quietHoursDelayMs(notBefore, timeZone, config));
+}
+
+export function planCall(queue, { lead, context, now = new Date(), config = getSchedulerConfig() }) {
+  const toNumber = normalizeE164Phone(lead.phoneNumber);
+  if (!toNumber) return { status: 'INVALID_PHONE', job: null };
+
+  const active = queue.jobs.find((job) => job.leadId === lead.id && ACTIVE_STATUSES.includes(job.status));
+  if (active) return { status: 'ALREADY_QUEUED', job: active };
+
+  const ledger = leadLedger(queue, lead.id);
+  if (ledger.attempts >= config.maxAttempts) return { status: 'MAX_ATTEMPTS', job: null };
+
+  const zone = timezoneForPhone(toNumber, { override: lead.timezone, fallback: config.defaultTimeZone });
+  const cooldownUntil = ledger.lastAttemptAt ? addMs(new Date(ledger.lastAttemptAt), config.cooldownHours * HOUR_MS) : null;
+  const notBefore = nextSlot(latest(now, cooldownUntil), zone.timeZone, config);
+
+  const job = {
+    id: `call-${crypto.randomUUID().slice(0, 8)}`,
+    leadId: lead.id,
+    toNumber,
+    timeZone: zone.timeZone,
+    timeZoneSource: zone.source,
+    context,
+    status: 'queued',
+    attempts: 0,
+    notBefore: notBefore.toISOString(),
+    conversationId: null,
+    lastResult: null,
+    createdAt: now.toISOString(),
+    updatedAt: now.toISOString(),
+    history: [],
+  };
+  pushHistory(job, now, 'queued', cooldownUntil && cooldownUntil > now ? 'cooldown' : null);
+  queue.jobs.push(job);
+  return { status: 'QUEUED', job };
+}
+
+function withinRateLimits(queue, now, config) {
+  const hourAgo = now.getTime() - HOUR_MS;
+  const dayAgo = now.getTime() - 24 * HOUR_MS;
+  const lastHour = queue.dialLog.filter((at) => new Date(at).getTime() > hourAgo).length;
+  const lastDay = queue.dialLog.filter((at) => new Date(at).getTime() > dayAgo).length;
+  return lastHour < config.maxPerHour && lastDay < config.maxPerDay;
+}
+
+// Claims due jobs (queued, past notBefore, outside quiet hours, within rate limits) and marks them dialing.
+export function claimDueCalls(queue, { now = new Date(), limit = Infinity, leadId = null, config = getSchedulerConfig() } = {}) {
+  const claimed = [];
+  let rateLimited = 0;
+
+  // Dialing jobs left behind by a crashed worker go back to the queue; the lost attempt comes off the lead's ledger too.
+  for (const job of queue.jobs) {
+    if (job.status === 'dialing' && now.getTime() - new Date(job.updatedAt).getTime() > STALE_DIALING_MS) {
+      const ledger = leadLedger(queue, job.leadId);
+      job.attempts = Math.max(0, job.attempts - 1);
+      ledger.attempts = Math.max(0, ledger.attempts - 1);
+      pushHistory(job, now, 'queued', 'recovered_stale_dialing');
+    }
+  }
+
+  const due = queue.jobs
+    .filter((job) => job.status === 'queued' && new Date(job.notBefore) <= now && (!leadId || job.leadId === leadId))
+    .sort((a, b) => a.notBefore.localeCompare(b.notBefore));
+  for (const job of due) {
+    if (claimed.length >= limit) break;
+    const quietMs = quietHoursDelayMs(now, job.timeZone, config);
+    if (quietMs > 0) {
+      job.notBefore = addMs(now, quietMs).toISOString();
+      pushHistory(job, now, 'queued', 'quiet_hours');
+      continue;
+    }
+    if (!withinRateLimits(queue, now, config)) {
+      rateLimited += 1;
+      continue;
+    }
+
+    job.attempts += 1;
+    const ledger = leadLedger(queue, job.leadId);
+    ledger.attempts += 1;
+    ledger.lastAttemptAt = now.toISOString();
+    queue.dialLog.push(now.toISOString());
+    pushHistory(job, now, 'dialing', `attempt ${job.attempts}`);
+    claimed.push(structuredClone(job));
+  }
+
+  queue.dialLog = queue.dialLog.filter((at) => now.getTime() - new Date(at).getTime() <= 24 * HOUR_MS);
+  queue.updatedAt = now.toISOString();
+  return { claimed, rateLimited };
+}
+
+function scheduleRetry(queue, job, { now, delayMinutes, reason, config }) {
+  const ledger = leadLedger(queue, job.leadId);
+  if (ledger.attempts >= config.maxAttempts) {
+    pushHistory(job, now, 'exhausted', reason);
+    return;
+  }
+  job.notBefore = nextSlot(addMs(now, delayMinutes * 60 * 1000), job.timeZone, config).toISOString();
+  pushHistory(job, now, 'queued', `retry after ${reason}`);
+  // The retry replaces any follow-up queued for the same lead in the meantime.
+  for (const other of queue.jobs) {
+    if (other !== job && other.leadId === job.leadId && other.status === 'queued') pushHistory(other, now, 'cancelled', `superseded by ${job.id}`);
+  }
+}
+
+// Outcome of the dial request itself (the provider accepted or refused to place the call).
+export function applyDialResult(queue, { jobId, result, now = new Date(), config = getSchedulerConfig() }) {
+  const job = queue.jobs.find((j) => j.id === jobId);
+  if (!job) return null;
+  job.lastResult = { status: result.status, ok: !!result.ok, error: result.error ?? null, at: now.toISOString() };
+  job.conversationId = result.response?.conversation_id ?? job.conversationId;
+
+  if (result.ok) {
+    pushHistory(job, now, 'placed', result.status);
+  } else if (['INVALID_PHONE', 'MISSING_CONFIG'].includes(result.status) || String(result.status).startsWith('BLOCKED_')) {
+    pushHistory(job, now, 'failed', result.status);
+  } else {
+    scheduleRetry(queue, job, { now, delayMinutes: config.retryBusyMinutes, reason: result.status, config });
+  }
+  queue.updatedAt = now.toISOString();
+  return structuredClone(job);
+}
+
+// Outcome reported later by the post-call webhook: no-answer and busy are retried, a conversation completes the job.
+export function applyCallResult(queue, { conversationId, leadId, result, now = new Date(), config = getSchedulerConfig() }) {
+  const candidates = queue.jobs.filter((job) => ['placed', 'dialing'].includes(job.status));
+  const job =
+    (conversationId && candidates.find((j) => j.conversationId === conversationId)) ||
+    candidates.filter((j) => j.leadId === leadId).at(-1);
+  if (!job) return null;
+
+  if (result === 'no_answer' || result === 'busy') {
+    const delayMinutes = result === 'busy' ? config.retryBusyMinutes : config.retryNoAnswerMinutes;
+    scheduleRetry(queue, job, { now, delayMinutes, reason: result, config });
+  } else if (result === 'completed') {
+    const ledger = leadLedger(queue, job.leadId);
+    ledger.attempts = 0;
+    ledger.lastConnectedAt = now.toISOString();
+    pushHistory(job, now, 'completed');
+  } else {
+    pushHistory(job, now, 'failed', result);
+  }
+  queue.updatedAt = now.toISOString();
+  return structuredClone(job);
+}
+
+export function cancelCalls(queue, { leadId, jobId, now = new Date() }) {
+  const cancelled = [];
+  for (const job of queue.jobs) {
+    if (job.status !== 'queued') continue;
+    if ((jobId && job.id === jobId) || (leadId && job.leadId === leadId)) {
+      pushHistory(job, now, 'cancelled');
+      cancelled.push(job.id);
+    }
+  }
+  return cancelled;
+}
+
+export async function cancelQueuedCalls({ storage, leadId, jobId, mode }) {
+  let cancelled = [];
+  await storage.updateDocument(getQueueName(mode), emptyQueue(), (queue) => {
+    cancelled = cancelCalls(queue, { leadId, jobId });
+    return queue;
+  });
+  return cancelled;
+}
+
+// Re-checks do-not-contact and consent at dial time: the lead may have opted out while the call waited in the queue.
+export function createGuardedDialer(storage) {
+  return async (job) => {
+    const lead = (await storage.readLeads()).find((l) => l.id === job.leadId) ?? { id: job.leadId };
+    const gate = await guardOutbound({ storage, lead: { ...lead, phoneNumber: job.toNumber }, channel: 'voice', source: `call:${job.id}` });
+    if (!gate.allowed) return { ok: false, status: gate.status, error: gate.block.reason };
+    return startElevenLabsOutboundCall({ toNumber: job.toNumber, context: job.context, voice: storage.workspace?.voice });
+  };
+}
+
+export async function enqueueCall({ storage, lead, context, now = new Date() }) {
+  let planned;
+  await storage.updateDocument(getQueueName(), emptyQueue(), (queue) => {
+    planned = planCall(queue, { lead, context, now });
+    return queue;
+  });
+  return planned;
+}
+
+// One worker tick: claim under the queue lock, dial outside it, then record each result.
+export async function processDueCalls({ storage, dial, now = new Date(), limit = Infinity, leadId = null }) {
+  const name = getQueueName();
+  let tick;
+  await storage.updateDocument(name, emptyQueue(), (queue) => {
+    tick = claimDueCalls(queue, { now, limit, leadId });
+    return queue;
+  });
+
+  const results = [];
+  for (const job of tick.claimed) {
+    const result = await dial(job);
+    let updated;
+    await storage.updateDocument(name, emptyQueue(), (queue) => {
+      updated = applyDialResult(queue, { jobId: job.id, result, now });
+      return queue;
+    });
+    results.push({ job: updated ?? job, result });
+  }
+  return { results, rateLimited: tick.rateLimited };
+}
+
+export async function reportCallResult({ storage, conversationId, leadId, result, mode }) {
+  let job;
+  await storage.updateDocument(getQueueName(mode), emptyQueue(), (queue) => {
+    job = applyCallResult(queue, { conversationId, leadId, result });
+    return queue;
+  });
+  return job;
+}
+
+export function summarizeQueue(queue) {
+  const byStatus = Object.fromEntries(CALL_JOB_STATUSES.map((status) => [status, 0]));
+  for (const job of queue.jobs) byStatus[job.status] += 1;
+  const next = queue.jobs
+    .filter((job) => job.status === 'queued')
+    .sort((a, b) => a.notBefore.localeCompare(b.notBefore))[0];
+  return { byStatus, nextDueAt: next?.notBefore ?? null, dialsLast24h: queue.dialLog.length };
+}
@@ -0,0 +1,117 @@
+import { createStorage } from './storage.mjs';
+import {
+  cancelQueuedCalls,
+  createGuardedDialer,
+  emptyQueue,
+  formatLocalTime,
+  getQueueName,
+  getSchedulerConfig,
+  processDueCalls,
+  summarizeQueue,
+} from './call-scheduler.mjs';
+
+const COMMANDS = ['list', 'work', 'cancel'];
+
+function getArg(name, fallback) {
+  const found = process.argv.find((a) => a.startsWith(`--${name}=`));
+  if (!found) return fallback;
+  const [, value] = found.split('=');
+  return value ?? fallback;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+async function listCommand(storage) {
+  const queue = await storage.readDocument(getQueueName(), emptyQueue());
+  const status = getArg('status', undefined);
+  const jobs = queue.jobs.filter((job) => !status || job.status === status);
+  if (getArg('json', 'false') === 'true') {
+    console.log(JSON.stringify({ ...queue, jobs }, null, 2));
+    return;
+  }
+
+  const summary = summarizeQueue(queue);
+  console.log(
+    `Queue ${getQueueName()} | ${Object.entries(summary.byStatus)
+      .filter(([, count]) => count > 0)
+      .map(([key, count]) => `${key}=${count}`)
+      .join(' ') || 'empty'} | dials last 24h=${summary.dialsLast24h} | next due=${summary.nextDueAt ?? '-'}`,
+  );
+  for (const job of jobs) {
+    const due = new Date(job.notBefore);
+    console.log(
+      `${job.id} | ${job.leadId} | ${job.toNumber} | ${job.status.padEnd(9)} | attempts=${job.attempts} | not before ${job.notBefore.slice(0, 16)}Z (${formatLocalTime(due, job.timeZone)} ${job.timeZone}) | ${job.history.at(-1)?.detail ?? ''}`,
+    );
+  }
+}
+
+async function workOnce(storage) {
+  const { results, rateLimited } = await processDueCalls({
+    storage,
+    dial: createGuardedDialer(storage),
+  });
+  for (const { job, result } of results) {
+    console.log(`${new Date().toISOString()} ${job.id} ${job.leadId} -> ${result.status}${result.error ? ` (${result.error})` : ''} | job ${job.status}`);
+  }
+  if (rateLimited) console.log(`${new Date().toISOString()} ${rateLimited} due call(s) held back by the rate limit`);
+  return results.length;
+}
+
+// Polls the persistent queue. Stop with Ctrl+C; the current tick finishes first.
+async function workCommand(storage) {
+  const once = getArg('once', 'false') === 'true';
+  const intervalMs = Math.max(1, Number(getArg('interval', '30'))) * 1000;
+  const config = getSchedulerConfig();
+  console.log(
+    `Call worker on ${getQueueName()} | cooldown=${config.cooldownHours}h maxAttempts=${config.maxAttempts} rate=${config.maxPerHour}/h ${config.maxPerDay}/day quiet=${config.quietStartHour}-${config.quietEndHour} local`,
+  );
+
+  let stopping = false;
+  process.on('SIGINT', () => {
+    stopping = true;
+  });
+  process.on('SIGTERM', () => {
+    stopping = true;
+  });
+
+  do {
+    const placed = await workOnce(storage);
+    if (once) {
+      console.log(`Placed ${placed} call(s).`);
+      return;
+    }
+    for (let waited = 0; waited < intervalMs && !stopping; waited += 250) await sleep(250);
+  } while (!stopping);
+  console.log('Call worker stopped.');
+}
+
+async function cancelCommand(storage) {
+  const leadId = getArg('leadId', undefined);
+  const jobId = getArg('id', undefined);
+  if (!leadId && !jobId) throw new Error('Pass --leadId=<lead> or --id=<job id> to cancel queued calls.');
+  const cancelled = await cancelQueuedCalls({ storage, leadId, jobId });
+  console.log(cancelled.length ? `Cancelled ${cancelled.join(', ')}.` : 'No queued calls matched.');
+}
+
+async function main() {
+  const command = process.argv[2];
+  if (!COMMANDS.includes(command)) {
+    throw new Error(`Usage: node src/calls-cli.mjs <${COMMANDS.join('|')}> [--once=true] [--interval=30] [--leadId=lead-001]`);
+  }
+
+  const storage = await createStorage({ backend: getArg('storage', undefined), workspace: getArg('workspace', undefined) });
+  try {
+    if (command === 'list') await listCommand(storage);
+    if (command === 'work') await workCommand(storage);
+    if (command === 'cancel') await cancelCommand(storage);
+  } finally {
+    await storage.close();
+  }
+}
+
+main().catch((error) => {
+  console.error(error.message ?? error);
+  process.exit(1);
+});
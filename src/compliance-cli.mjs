@@ -0,0 +1,121 @@
+import { createStorage } from './storage.mjs';
+import { STRATEGY_TEMPLATES } from './response-generator.mjs';
+import { addToDnc, checkContent, loadCompliancePolicy, readDnc, removeFromDnc, summarizeAudit } from './compliance.mjs';
+
+const COMMANDS = ['dnc', 'add', 'remove', 'audit', 'check'];
+
+function getArg(name, fallback) {
+  const found = process.argv.find((a) => a.startsWith(`--${name}=`));
+  if (!found) return fallback;
+  const [, value] = found.split('=');
+  return value ?? fallback;
+}
+
+// --text may contain "=", so it is read as everything after the first one.
+function getText() {
+  const found = process.argv.find((a) => a.startsWith('--text='));
+  return found ? found.slice('--text='.length) : undefined;
+}
+
+function leadFromArgs() {
+  const lead = { id: getArg('leadId', undefined), phoneNumber: getArg('phone', undefined), instagramId: getArg('instagramId', undefined) };
+  if (!lead.id && !lead.phoneNumber && !lead.instagramId) {
+    throw new Error('Pass --leadId=<lead>, --phone=<E.164> or --instagramId=<id>.');
+  }
+  return lead;
+}
+
+async function dncCommand(storage) {
+  const dnc = await readDnc(storage);
+  if (getArg('json', 'false') === 'true') {
+    console.log(JSON.stringify(dnc, null, 2));
+    return;
+  }
+  if (!dnc.entries.length) {
+    console.log('The do-not-contact list is empty.');
+    return;
+  }
+  for (const entry of dnc.entries) {
+    const who = [entry.leadId, entry.phoneNumber, entry.instagramId].filter(Boolean).join(' / ');
+    console.log(`${entry.id} | ${entry.addedAt.slice(0, 19)} | ${who} | channels=${entry.channels.join(',')} | ${entry.source} | ${entry.reason ?? ''}`);
+  }
+}
+
+async function addCommand(storage) {
+  const channels = String(getArg('channels', 'all')).split(',').map((c) => c.trim()).filter(Boolean);
+  const entry = await addToDnc(storage, { lead: leadFromArgs(), channels, reason: getArg('reason', 'Added by operator'), source: 'cli' });
+  console.log(`Added ${entry.id} (channels=${entry.channels.join(',')}).`);
+}
+
+async function removeCommand(storage) {
+  const removed = await removeFromDnc(storage, { lead: leadFromArgs(), source: 'cli' });
+  console.log(removed.length ? `Removed ${removed.map((e) => e.id).join(', ')}.` : 'No matching DNC entry.');
+}
+
+async function auditCommand(storage) {
+  const events = await storage.queryAuditEvents({
+    leadId: getArg('leadId', undefined),
+    action: getArg('action', undefined),
+    since: getArg('since', undefined),
+    limit: Number(getArg('limit', '50')),
+  });
+  if (getArg('json', 'false') === 'true') {
+    console.log(JSON.stringify(events, null, 2));
+    return;
+  }
+  if (!events.length) {
+    console.log('No compliance events recorded yet.');
+    return;
+  }
+  for (const event of events) {
+    console.log(
+      `${event.createdAt.slice(0, 19)} | ${String(event.action).padEnd(10)} | ${String(event.leadId ?? '-').padEnd(18)} | ${String(event.channel ?? '-').padEnd(12)} | ${String(event.rule ?? '-').padEnd(18)} | ${event.source ?? '-'}${event.match ? ` | "${event.match}"` : ''}`,
+    );
+  }
+  const summary = summarizeAudit(events);
+  console.log(
+    `\n${summary.events} event(s): ${Object.entries(summary.byAction)
+      .filter(([, count]) => count)
+      .map(([action, count]) => `${action}=${count}`)
+      .join(' ')}`,
+  );
+}
+
+// Checks --text, or every strategy template when no text is given.
+async function checkCommand() {
+  const policy = await loadCompliancePolicy();
+  const text = getText();
+  const samples = text !== undefined ? [['text', text]] : Object.entries(STRATEGY_TEMPLATES).map(([strategy, blocks]) => [strategy, blocks.join(' ')]);
+  for (const [label, sample] of samples) {
+    const result = checkContent(sample, policy);
+    const details = result.violations.map((v) => `${v.action}:${v.rule} ("${v.match}")`).join(', ');
+    console.log(`${label.padEnd(12)} ${result.allowed ? (result.violations.length ? 'flagged' : 'ok') : 'BLOCKED'}${details ? ` | ${details}` : ''}`);
+    if (!result.allowed) process.exitCode = 1;
+  }
+}
+
+async function main() {
+  const command = process.argv[2];
+  if (!COMMANDS.includes(command)) {
+    throw new Error(`Usage: node src/compliance-cli.mjs <${COMMANDS.join('|')}> [--leadId=lead-001] [--phone=+971...] [--text="..."]`);
+  }
+  if (command === 'check') {
+    await checkCommand();
+    return;
+  }
+
+  const storage = await createStorage({ backend: getArg('storage', undefined), workspace: getArg('workspace', undefined) });
+  try {
+    if (command === 'dnc') await dncCommand(storage);
+    if (command === 'add') await addCommand(storage);
+    if (command === 'remove') await removeCommand(storage);
+    if (command === 'audit') await auditCommand(storage);
+  } finally {
+    await storage.close();
+  }
+}
+
+main().catch((error) => {
+  console.error(error.message ?? error);
+  process.exit(1);
+});
@@ -0,0 +1,246 @@
+import crypto from 'node:crypto';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { senderOf, turnText } from './call-outcome.mjs';
+import { normalizeE164Phone } from './elevenlabs-outbound.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const ROOT = path.resolve(__dirname, '..');
+const DEFAULT_POLICY_PATH = path.join(ROOT, 'config', 'compliance.json');
+
+export const CONSENT_CHANNELS = ['whatsapp', 'instagram_dm', 'voice'];
+export const CONTENT_ACTIONS = ['block', 'flag'];
+export const AUDIT_ACTIONS = ['block', 'flag', 'opt_out', 'opt_in', 'dnc_add', 'dnc_remove'];
+const DNC_DOCUMENT = 'dnc';
+
+export function getCompliancePath() {
+  const fromEnv = String(process.env.COMPLIANCE_POLICY_PATH ?? '').trim();
+  return fromEnv || DEFAULT_POLICY_PATH;
+}
+
+export function validateCompliancePolicy(raw) {
+  const errors = [];
+  const rules = Array.isArray(raw?.contentRules) ? raw.contentRules : [];
+  const seen = new Set();
+  const compiled = [];
+  for (const rule of rules) {
+    if (!rule?.id) errors.push('every content rule needs an id');
+    if (seen.has(rule?.id)) errors.push(`duplicate content rule id "${rule?.id}"`);
+    seen.add(rule?.id);
+    if (!CONTENT_ACTIONS.includes(rule?.action)) errors.push(`rule "${rule?.id}": action must be one of ${CONTENT_ACTIONS.join(', ')}`);
+    try {
+      compiled.push({ ...rule, regex: new RegExp(rule?.pattern, 'i') });
+    } catch (error) {
+      errors.push(`rule "${rule?.id}": bad pattern (${error.message})`);
+    }
+  }
+
+  const words = (list) => (Array.isArray(list) ? list.map((w) => String(w).toLowerCase().trim()).filter(Boolean) : []);
+  return {
+    ok: errors.length === 0,
+    errors,
+    policy: {
+      requireConsent: raw?.requireConsent === true,
+      optOutKeywords: words(raw?.optOut?.keywords),
+      optOutPhrases: words(raw?.optOut?.phrases),
+      optInKeywords: words(raw?.optIn?.keywords),
+      contentRules: compiled.filter((rule) => rule.enabled !== false),
+    },
+  };
+}
+
+let cachedPolicy;
+
+export async function loadCompliancePolicy() {
+  if (!cachedPolicy) {
+    const filePath = getCompliancePath();
+    let raw;
+    try {
+      raw = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+    } catch (error) {
+      throw new Error(`Cannot read compliance policy ${filePath}: ${error.message}`);
+    }
+    const validated = validateCompliancePolicy(raw);
+    if (!validated.ok) throw new Error(`Invalid compliance policy ${filePath}: ${validated.errors.join('; ')}`);
+    cachedPolicy = validated.policy;
+  }
+  return cachedPolicy;
+}
+
+function normalizeText(text) {
+  return String(text ?? '')
+    .toLowerCase()
+    .replace(/[’`]/g, "'")
+    .replace(/[^\p{L}\p{N}'\s]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// A bare keyword ("STOP") only counts as the whole message; phrases count anywhere.
+// Transcripts are conversations, so only phrases are trusted there ("stop by on Friday" is not an opt-out).
+export function detectOptOut(text, policy, { source = 'message' } = {}) {
+  const normalized = normalizeText(text);
+  if (!normalized) return { optOut: false, match: null };
+  if (source === 'message' && policy.optOutKeywords.includes(normalized)) return { optOut: true, match: normalized };
+  const phrase = policy.optOutPhrases.find((p) => ` ${normalized} `.includes(` ${p} `));
+  return phrase ? { optOut: true, match: phrase } : { optOut: false, match: null };
+}
+
+export function detectOptIn(text, policy) {
+  const normalized = normalizeText(text);
+  return policy.optInKeywords.includes(normalized);
+}
+
+// ElevenLabs transcripts use {role, message}; the demo's simulated ones use {sender, text}.
+export function detectOptOutInTranscript(transcript, policy) {
+  for (const turn of transcript ?? []) {
+    if (senderOf(turn) !== 'user') continue;
+    const text = turnText(turn);
+    const detected = detectOptOut(text, policy, { source: 'transcript' });
+    if (detected.optOut) return { ...detected, quote: text.slice(0, 200) };
+  }
+  return { optOut: false, match: null };
+}
+
+export function checkContent(text, policy) {
+  const violations = [];
+  for (const rule of policy.contentRules) {
+    const match = String(text ?? '').match(rule.regex);
+    if (match) violations.push({ rule: rule.id, action: rule.action, match: match[0], reason: rule.reason ?? null });
+  }
+  return { allowed: !violations.some((v) => v.action === 'block'), violations };
+}
+
+function contactKeys(lead) {
+  return {
+    leadId: lead?.id ?? null,
+    phoneNumber: normalizeE164Phone(lead?.phoneNumber),
+    instagramId: lead?.instagramId ? String(lead.instagramId) : null,
+  };
+}
+
+function entryMatches(entry, keys) {
+  return (
+    (entry.leadId && entry.leadId === keys.leadId) ||
+    (entry.phoneNumber && entry.phoneNumber === keys.phoneNumber) ||
+    (entry.instagramId && entry.instagramId === keys.instagramId)
+  );
+}
+
+export function findDncEntry(dnc, lead, channel) {
+  const keys = contactKeys(lead);
+  return dnc.entries.find((entry) => entryMatches(entry, keys) && (entry.channels.includes('all') || entry.channels.includes(channel))) ?? null;
+}
+
+// DNC wins over consent. Consent is per channel on the lead (`consent: { whatsapp: true, voice: false }`):
+// an explicit `false` always blocks, a missing flag only blocks when the policy requires consent.
+export function checkContact({ lead, channel, dnc, policy }) {
+  const entry = findDncEntry(dnc, lead, channel);
+  if (entry) return { allowed: false, rule: 'dnc', reason: entry.reason ?? 'On the do-not-contact list', dncId: entry.id };
+  const consent = lead?.consent?.[channel];
+  if (consent === false) return { allowed: false, rule: 'consent', reason: `No consent for ${channel}` };
+  if (consent === undefined && policy.requireConsent) return { allowed: false, rule: 'consent', reason: `Consent for ${channel} not recorded` };
+  return { allowed: true, rule: null, reason: null };
+}
+
+export function emptyDnc() {
+  return { entries: [], updatedAt: null };
+}
+
+export async function readDnc(storage) {
+  return storage.readDocument(DNC_DOCUMENT, emptyDnc());
+}
+
+export async function recordAudit(storage, events) {
+  const createdAt = new Date().toISOString();
+  const records = events.map((event) => ({ id: `aud-${crypto.randomUUID().slice(0, 8)}`, createdAt, ...event }));
+  await storage.appendAuditEvents(records);
+  return records;
+}
+
+// Adds (or widens) a DNC entry for the lead's identifiers. Opt-outs cover every channel.
+export async function addToDnc(storage, { lead, channels = ['all'], reason, source }) {
+  const keys = contactKeys(lead);
+  if (!keys.leadId && !keys.phoneNumber && !keys.instagramId) throw new Error('A DNC entry needs a lead id, phone number or Instagram id');
+  let entry;
+  await storage.updateDocument(DNC_DOCUMENT, emptyDnc(), (dnc) => {
+    entry = dnc.entries.find((e) => entryMatches(e, keys));
+    if (entry) {
+      entry.channels = entry.channels.includes('all') || channels.includes('all') ? ['all'] : [...new Set([...entry.channels, ...channels])];
+      entry.updatedAt = new Date().toISOString();
+    } else {
+      entry = { id: `dnc-${crypto.randomUUID().slice(0, 8)}`, ...keys, channels, reason: reason ?? null, source, addedAt: new Date().toISOString() };
+      dnc.entries.push(entry);
+    }
+    dnc.updatedAt = new Date().toISOString();
+    return dnc;
+  });
+  await recordAudit(storage, [{ action: 'dnc_add', leadId: keys.leadId, channel: channels.join(','), rule: 'dnc', source, detail: reason ?? null }]);
+  return entry;
+}
+
+export async function removeFromDnc(storage, { lead, source }) {
+  const keys = contactKeys(lead);
+  let removed = [];
+  await storage.updateDocument(DNC_DOCUMENT, emptyDnc(), (dnc) => {
+    removed = dnc.entries.filter((e) => entryMatches(e, keys));
+    dnc.entries = dnc.entries.filter((e) => !entryMatches(e, keys));
+    dnc.updatedAt = new Date().toISOString();
+    return dnc;
+  });
+  if (removed.length) await recordAudit(storage, [{ action: 'dnc_remove', leadId: keys.leadId, rule: 'dnc', source }]);
+  return removed;
+}
+
+// One gate for every outbound touch: contact rules for the channel, then the content policy on the text (if any).
+// Blocks and flags are written to the audit log; the caller only decides what to do instead.
+export async function guardOutbound({ storage, lead, channel, text = null, source, dnc = null }) {
+  const policy = await loadCompliancePolicy();
+  const contact = checkContact({ lead, channel, dnc: dnc ?? (await readDnc(storage)), policy });
+  const content = text === null || !contact.allowed ? { allowed: true, violations: [] } : checkContent(text, policy);
+  const block = !contact.allowed
+    ? { rule: contact.rule, reason: contact.reason }
+    : content.violations.find((v) => v.action === 'block') ?? null;
+
+  const audit = [];
+  const base = { leadId: lead?.id ?? null, channel, source };
+  if (block) audit.push({ ...base, action: 'block', rule: block.rule, detail: block.reason, match: block.match ?? null, textPreview: text?.slice(0, 180) ?? null });
+  for (const flag of content.violations.filter((v) => v.action === 'flag')) {
+    audit.push({ ...base, action: 'flag', rule: flag.rule, detail: flag.reason, match: flag.match, textPreview: text?.slice(0, 180) ?? null });
+  }
+  if (audit.length) await recordAudit(storage, audit);
+
+  return {
+    allowed: !block,
+    status: block ? `BLOCKED_${String(block.rule).toUpperCase()}` : 'ALLOWED',
+    block,
+    flags: content.violations.filter((v) => v.action === 'flag').map((v) => v.rule),
+  };
+}
+
+export async function recordOptOut(storage, { lead, channel, match, source, quote = null }) {
+  const entry = await addToDnc(storage, { lead, reason: `Opted out via ${channel} ("${match}")`, source });
+  await recordAudit(storage, [{ action: 'opt_out', leadId: lead?.id ?? null, channel, rule: 'opt_out', source, match, detail: quote }]);
+  return entry;
+}
+
+export async function recordOptIn(storage, { lead, channel, source }) {
+  const removed = await removeFromDnc(storage, { lead, source });
+  if (removed.length) await recordAudit(storage, [{ action: 'opt_in', leadId: lead?.id ?? null, channel, rule: 'opt_in', source }]);
+  return removed;
+}
+
+export function summarizeAudit(events) {
+  const byAction = Object.fromEntries(AUDIT_ACTIONS.map((action) => [action, 0]));
+  const byRule = {};
+  for (const event of events) {
+    byAction[event.action] = (byAction[event.action] ?? 0) + 1;
+    if (event.action === 'block' || event.action === 'flag') {
+      const key = `${event.action}:${event.rule}`;
+      byRule[key] = (byRule[key] ?? 0) + 1;
+    }
+  }
+  return { events: events.length, byAction, byRule };
+}
@@ -0,0 +1,138 @@
+import { normalizeReward } from './bandit-policy.mjs';
+
+export const CONTEXT_FEATURES = ['objectionType', 'sentiment', 'channel', 'offer'];
+
+const BIAS_FEATURE = 'bias';
+
+export function extractFeatures(lead) {
+  const keys = [BIAS_FEATURE];
+  for (const field of CONTEXT_FEATURES) {
+    const value = String(lead?.[field] ?? '').trim();
+    if (value) keys.push(`${field}=${value}`);
+  }
+  return keys;
+}
+
+function identity(size) {
+  return Array.from({ length: size }, (_, i) => Array.from({ length: size }, (__, j) => (i === j ? 1 : 0)));
+}
+
+function createArm(size) {
+  return { pulls: 0, ainv: identity(size), b: Array(size).fill(0) };
+}
+
+// A is only ever grown with an identity block, so its inverse grows with the same block.
+function growArm(arm, size) {
+  const current = arm.b.length;
+  if (current >= size) return;
+  for (const row of arm.ainv) {
+    for (let j = current; j < size; j += 1) row.push(0);
+  }
+  for (let i = current; i < size; i += 1) {
+    arm.ainv.push(Array.from({ length: size }, (_, j) => (i === j ? 1 : 0)));
+    arm.b.push(0);
+  }
+}
+
+export function ensureContextualModel(memory, strategies, featureKeys = []) {
+  if (!memory.contextualModel || typeof memory.contextualModel !== 'object') {
+    memory.contextualModel = { features: [BIAS_FEATURE], arms: {} };
+  }
+
+  const model = memory.contextualModel;
+  for (const key of featureKeys) {
+    if (!model.features.includes(key)) model.features.push(key);
+  }
+
+  const size = model.features.length;
+  for (const strategy of strategies) {
+    if (!model.arms[strategy]) model.arms[strategy] = createArm(size);
+    growArm(model.arms[strategy], size);
+  }
+  return model;
+}
+
+function toVector(model, featureKeys) {
+  return model.features.map((key) => (featureKeys.includes(key) ? 1 : 0));
+}
+
+function matVec(matrix, vector) {
+  return matrix.map((row) => row.reduce((sum, value, j) => sum + value * vector[j], 0));
+}
+
+function dot(a, b) {
+  return a.reduce((sum, value, i) => sum + value * b[i], 0);
+}
+
+function scoreArm(arm, x, alpha) {
+  const theta = matVec(arm.ainv, arm.b);
+  const mean = dot(theta, x);
+  const width = alpha * Math.sqrt(Math.max(0, dot(x, matVec(arm.ainv, x))));
+  return { theta, mean, ucb: mean + width };
+}
+
+// Attributes the choice to the features that most favour the chosen arm over the runner-up.
+function explainChoice(model, theta, runnerUpTheta, x) {
+  const contributions = model.features
+    .map((feature, i) => ({ feature, weight: Number(((theta[i] - (runnerUpTheta?.[i] ?? 0)) * x[i]).toFixed(4)) }))
+    .filter((entry, i) => x[i] !== 0)
+    .sort((a, b) => b.weight - a.weight);
+
+  const drivingFeature = contributions.find((entry) => entry.feature !== BIAS_FEATURE) ?? contributions[0] ?? null;
+  return { contributions, drivingFeature: drivingFeature?.feature ?? null };
+}
+
+export function selectContextual({ memory, lead, strategies }) {
+  const featureKeys = extractFeatures(lead);
+  const model = ensureContextualModel(memory, strategies, featureKeys);
+  const alpha = memory.policy?.linucbAlpha ?? 0.5;
+  const x = toVector(model, featureKeys);
+
+  const scored = {};
+  let best = strategies[0];
+  let greedy = strategies[0];
+  for (const strategy of strategies) {
+    scored[strategy] = scoreArm(model.arms[strategy], x, alpha);
+    if (scored[strategy].ucb > scored[best].ucb) best = strategy;
+    if (scored[strategy].mean > scored[greedy].mean) greedy = strategy;
+  }
+
+  const runnerUp = strategies
+    .filter((strategy) => strategy !== best)
+    .sort((a, b) => scored[b].ucb - scored[a].ucb)[0];
+  const { contributions, drivingFeature } = explainChoice(model, scored[best].theta, scored[runnerUp]?.theta, x);
+
+  return {
+    strategy: best,
+    decision: best === greedy ? 'exploit' : 'explore',
+    greedyStrategy: greedy,
+    detail: {
+      alpha,
+      drivingFeature,
+      runnerUp: runnerUp ?? null,
+      contributions,
+      ucb: Object.fromEntries(strategies.map((s) => [s, Number(scored[s].ucb.toFixed(4))])),
+      expected: Object.fromEntries(strategies.map((s) => [s, Number(scored[s].mean.toFixed(4))])),
+    },
+  };
+}
+
+export function updateContextualModel(memory, lead, strategy, score, weight = 1) {
+  const featureKeys = extractFeatures(lead);
+  const model = ensureContextualModel(memory, [strategy], featureKeys);
+  const arm = model.arms[strategy];
+  const x = toVector(model, featureKeys).map((value) => value * Math.sqrt(weight));
+  const reward = normalizeReward(score);
+
+  // Sherman-Morrison rank-one update keeps A^-1 without re-inverting.
+  const ainvX = matVec(arm.ainv, x);
+  const denom = 1 + dot(x, ainvX);
+  for (let i = 0; i < arm.ainv.length; i += 1) {
+    for (let j = 0; j < arm.ainv.length; j += 1) {
+      arm.ainv[i][j] = Number((arm.ainv[i][j] - (ainvX[i] * ainvX[j]) / denom).toFixed(6));
+    }
+  }
+  arm.b = arm.b.map((value, i) => Number((value + reward * Math.sqrt(weight) * x[i]).toFixed(6)));
+  arm.pulls = Number((arm.pulls + weight).toFixed(4));
+  return arm;
+}
@@ -0,0 +1,176 @@
+import { createRng, normalizeReward } from './bandit-policy.mjs';
+import { getEvaluatorConfig, requestChatJson } from './llm-evaluator.mjs';
+
+const BASE_WILLINGNESS = {
+  neutral: 0.55,
+  cautious: 0.45,
+  uncertain: 0.45,
+  hesitant: 0.4,
+  overwhelmed: 0.35,
+  skeptical: 0.3,
+};
+
+const FOLLOW_UP_OBJECTIONS = {
+  price: ['results', 'timing'],
+  trust: ['results', 'price'],
+  timing: ['urgency', 'complexity'],
+  results: ['trust', 'price'],
+  complexity: ['timing', 'results'],
+  urgency: ['price', 'trust'],
+};
+
+const CHAIN_LENGTH_BY_SENTIMENT = {
+  skeptical: 3,
+  overwhelmed: 3,
+  hesitant: 2,
+  uncertain: 2,
+  cautious: 2,
+  neutral: 1,
+};
+
+const OBJECTION_REPLIES = {
+  price: 'Okay, but it is still a lot of money for me. What exactly am I paying for?',
+  trust: 'How do I know this actually works and you are not just another agency?',
+  timing: 'I get it, but my schedule is packed right now.',
+  results: 'I have tried things like this before and nothing changed.',
+  complexity: 'This still sounds like a lot to set up on my side.',
+  urgency: 'Sounds reasonable, I just need to think about it a bit more.',
+};
+
+const GOAL_THRESHOLD = 0.5;
+const LOST_THRESHOLD = 0.1;
+
+function clamp01(value) {
+  return Math.max(0, Math.min(1, value));
+}
+
+function round(value) {
+  return Number(value.toFixed(3));
+}
+
+// Personas only depend on the lead and seed, so the hidden state is stable across epochs.
+export function createPersona(lead, seed) {
+  const rng = createRng(`${seed}:persona:${lead.id}`);
+  const sentiment = String(lead.sentiment ?? '').toLowerCase();
+  const willingness = clamp01((BASE_WILLINGNESS[sentiment] ?? 0.45) + (rng() - 0.5) * 0.2);
+
+  const chainLength = CHAIN_LENGTH_BY_SENTIMENT[sentiment] ?? 2;
+  const followUps = [...(FOLLOW_UP_OBJECTIONS[lead.objectionType] ?? [])];
+  if (rng() < 0.5) followUps.reverse();
+  const objections = [lead.objectionType, ...followUps].slice(0, chainLength);
+
+  return {
+    leadId: lead.id,
+    willingness: round(willingness),
+    objections,
+  };
+}
+
+function personaTurn({ persona, state, fit, rng }) {
+  const willingness = clamp01(state.willingness + (fit - 0.55) * 0.5 + (rng() - 0.5) * 0.05);
+  const resolved = rng() < fit;
+  const objectionIndex = resolved ? state.objectionIndex + 1 : state.objectionIndex;
+  const chainDone = objectionIndex >= persona.objections.length;
+
+  if (chainDone && willingness >= GOAL_THRESHOLD) {
+    return { willingness, objectionIndex, resolved, status: 'goal_reached', objectionType: null };
+  }
+  if (willingness < LOST_THRESHOLD) {
+    return { willingness, objectionIndex, resolved, status: 'lost', objectionType: null };
+  }
+
+  // Out of objections but not convinced yet: the lead stalls on "let me think about it".
+  const objectionType = chainDone ? 'urgency' : persona.objections[objectionIndex];
+  return { willingness, objectionIndex, resolved, status: 'continue', objectionType };
+}
+
+function ruleReply({ lead, status, objectionType }) {
+  if (status === 'goal_reached') return `Okay, that works for me. Let's do it: ${lead.goal}.`;
+  if (status === 'lost') return "Thanks, but I don't think this is for me.";
+  return OBJECTION_REPLIES[objectionType] ?? OBJECTION_REPLIES.urgency;
+}
+
+async function llmReply({ lead, status, objectionType, agentResponse }) {
+  const config = getEvaluatorConfig();
+  if (!config.apiKey) return null;
+
+  const completion = await requestChatJson({
+    config,
+    system: 'You role-play a sales lead. Return only JSON.',
+    prompt: [
+      'Write the lead\'s next chat message. Return only valid JSON object with key: reply.',
+      `Lead: ${lead.name}, interested in "${lead.offer}". Original message: "${lead.message}"`,
+      `Agent just said: "${agentResponse}"`,
+      status === 'goal_reached'
+        ? `The lead is now convinced and agrees to: ${lead.goal}.`
+        : status === 'lost'
+          ? 'The lead politely ends the conversation.'
+          : `The lead is not convinced yet and raises a ${objectionType} objection.`,
+      'Keep it under 30 words.',
+    ].join('\n'),
+  });
+
+  return completion.ok && typeof completion.json?.reply === 'string' ? completion.json.reply.slice(0, 300) : null;
+}
+
+export function conversationReward({ outcome, turns, willingness }) {
+  if (outcome === 'goal_reached') return Number(Math.max(6, 10 - 0.75 * (turns - 1)).toFixed(2));
+  if (outcome === 'lost') return 1.5;
+  return Number((2 + 5 * willingness).toFixed(2));
+}
+
+// chooseStrategy(leadView) picks per turn, so the agent can switch strategy as objections change.
+export async function simulateConversation({ lead, persona, maxTurns, seed, epoch, chooseStrategy, respond, evaluate }) {
+  const rng = createRng(`${seed}:conversation:${lead.id}:${epoch}`);
+  const useLlm = String(process.env.SIMULATOR_MODE ?? 'rule').trim().toLowerCase() === 'llm';
+  const state = { willingness: persona.willingness, objectionIndex: 0 };
+
+  let objectionType = persona.objections[0];
+  let leadMessage = lead.message;
+  let outcome = 'stalled';
+  const turns = [];
+
+  for (let turn = 1; turn <= maxTurns; turn += 1) {
+    const leadView = { ...lead, objectionType, message: leadMessage };
+    const selection = await chooseStrategy(leadView, turn);
+    const response = await respond(selection.strategy, leadView);
+    const evaluation = await evaluate({ lead: leadView, strategy: selection.strategy, response });
+    const fit = normalizeReward(evaluation.score);
+
+    const next = personaTurn({ persona, state, fit, rng });
+    state.willingness = next.willingness;
+    state.objectionIndex = next.objectionIndex;
+
+    const reply =
+      (useLlm ? await llmReply({ lead, status: next.status, objectionType: next.objectionType, agentResponse: response }) : null) ??
+      ruleReply({ lead, status: next.status, objectionType: next.objectionType });
+
+    turns.push({
+      turn,
+      objectionType,
+      strategy: selection.strategy,
+      decision: selection.decision,
+      score: evaluation.score,
+      evaluator: evaluation.source,
+      resolved: next.resolved,
+      willingness: round(next.willingness),
+      response,
+      leadReply: reply,
+    });
+
+    if (next.status !== 'continue') {
+      outcome = next.status;
+      break;
+    }
+    objectionType = next.objectionType;
+    leadMessage = reply;
+  }
+
+  return {
+    outcome,
+    goalReached: outcome === 'goal_reached',
+    finalWillingness: round(state.willingness),
+    reward: conversationReward({ outcome, turns: turns.length, willingness: state.willingness }),
+    turns,
+  };
+}
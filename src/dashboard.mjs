@@ -0,0 +1,178 @@
+import crypto from 'node:crypto';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const ROOT = path.resolve(__dirname, '..');
+const PAGE_PATH = path.join(ROOT, 'public', 'dashboard.html');
+const HEARTBEAT_MS = 15000;
+const RECENT_CALLS = 20;
+
+export const DASHBOARD_SECTIONS = ['overview', 'epochs', 'strategies', 'objection-policy', 'voice', 'calls'];
+
+async function readJson(filePath) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+function epochCurve(report) {
+  return (report?.rounds ?? []).map((round) => ({
+    epoch: round.epoch,
+    avgScore: round.avgScore,
+    epsilon: round.epsilon,
+    explore: round.decisions?.explore ?? 0,
+    exploit: round.decisions?.exploit ?? 0,
+  }));
+}
+
+// One point per saved snapshot: how the run ended, how exploratory the policy was and which strategy each objection maps to.
+function policyTimeline(snapshots) {
+  return snapshots.map((snapshot) => ({
+    id: snapshot.id,
+    createdAt: snapshot.createdAt,
+    runId: snapshot.runId,
+    reason: snapshot.reason,
+    epsilon: snapshot.epsilon,
+    lastEpochAvg: snapshot.summary?.lastEpochAvg ?? null,
+    objectionPolicy: snapshot.objectionPolicy ?? {},
+  }));
+}
+
+function strategyTable(memory) {
+  return Object.entries(memory?.strategyStats ?? {}).map(([strategy, stats]) => ({
+    strategy,
+    uses: stats.uses,
+    avgScore: stats.avgScore,
+  }));
+}
+
+function callSummary(entry) {
+  const event = entry?.event ?? {};
+  return {
+    receivedAt: event.receivedAt ?? null,
+    type: event.type ?? null,
+    conversationId: event.conversationId || null,
+    leadId: event.leadId ?? null,
+    strategy: event.selectedStrategy ?? null,
+    durationSeconds: event.durationSeconds ?? null,
+    outcome: event.outcome ?? null,
+    reward: event.reward ?? null,
+    objectionsRaised: event.analysis?.objectionsRaised ?? [],
+  };
+}
+
+// Follow-ups from the last run, each with the first post-call event for that lead received after the run.
+function voiceTable(report, calls) {
+  const since = report?.generatedAt ?? '';
+  return (report?.channels?.voiceFollowups ?? []).map((followup) => {
+    const call = calls.find((c) => c.leadId === followup.leadId && String(c.receivedAt ?? '') >= since) ?? null;
+    return { ...followup, callOutcome: call?.outcome ?? null, callReward: call?.reward ?? null, conversationId: call?.conversationId ?? null };
+  });
+}
+
+export async function buildDashboardData({ storage, dataDir }) {
+  const [report, memory, learning, snapshots, callEvents] = await Promise.all([
+    readJson(path.join(dataDir, 'report-latest.json')),
+    storage.readMemory().catch(() => null),
+    storage.readDocument('post-call-learning', null),
+    storage.listPolicySnapshots(),
+    storage.queryCallEvents({ limit: 200 }),
+  ]);
+  const calls = callEvents.map(callSummary);
+
+  return {
+    overview: {
+      generatedAt: new Date().toISOString(),
+      workspace: storage.workspace?.id ?? null,
+      report: report
+        ? { runId: report.runId, generatedAt: report.generatedAt, epochs: report.epochs, policy: report.selection?.policy ?? null, summary: report.summary }
+        : null,
+      runs: memory?.runs ?? 0,
+      epsilon: memory?.policy?.epsilon ?? null,
+      snapshots: snapshots.length,
+      callsCount: learning?.callsCount ?? 0,
+      avgCallDurationSeconds: learning?.avgDurationSeconds ?? 0,
+    },
+    epochs: epochCurve(report),
+    strategies: strategyTable(memory),
+    'objection-policy': {
+      current: memory?.objectionPolicy ?? {},
+      timeline: policyTimeline(snapshots),
+    },
+    voice: voiceTable(report, calls),
+    calls: calls.slice(-RECENT_CALLS).reverse(),
+  };
+}
+
+// Server-sent events: every connected dashboard gets each post-call event as it is processed.
+export function createEventHub() {
+  const clients = new Set();
+  const heartbeat = setInterval(() => {
+    for (const res of clients) res.write(': ping\n\n');
+  }, HEARTBEAT_MS);
+  heartbeat.unref();
+
+  return {
+    subscribe(req, res) {
+      res.writeHead(200, { 'content-type': 'text/event-stream', 'cache-control': 'no-cache', connection: 'keep-alive' });
+      res.write('retry: 3000\n\n');
+      clients.add(res);
+      req.on('close', () => clients.delete(res));
+    },
+    publish(type, data) {
+      const frame = `event: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+      for (const res of clients) res.write(frame);
+    },
+    closeAll() {
+      clearInterval(heartbeat);
+      for (const res of clients) res.end();
+      clients.clear();
+    },
+    get size() {
+      return clients.size;
+    },
+  };
+}
+
+function safeEqual(actual, expected) {
+  const a = Buffer.from(String(actual ?? ''));
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// EventSource cannot send headers, so the token may also come as ?token=.
+function isAuthorized(req, url, token) {
+  return safeEqual(url.searchParams.get('token'), token) || safeEqual(req.headers.authorization, `Bearer ${token}`);
+}
+
+// GET /dashboard (page), /api/dashboard (everything), /api/<section> and /api/events (SSE). Read-only.
+export async function handleDashboardRoute({ req, res, url, storage, dataDir, hub, token, requireToken = false, tokenEnv = 'DASHBOARD_TOKEN' }) {
+  const send = (statusCode, body, contentType = 'application/json') => {
+    res.writeHead(statusCode, { 'content-type': contentType });
+    res.end(typeof body === 'string' ? body : JSON.stringify(body));
+  };
+  if (req.method !== 'GET') return send(405, { ok: false, error: 'METHOD_NOT_ALLOWED' });
+  // Without a token the dashboard is only served on a loopback bind.
+  if (!token && requireToken) return send(503, { ok: false, error: 'TOKEN_NOT_CONFIGURED', message: `Set ${tokenEnv} to serve the dashboard on a public host` });
+  if (token && !isAuthorized(req, url, token)) return send(401, { ok: false, error: 'UNAUTHORIZED' });
+
+  if (url.pathname === '/dashboard' || url.pathname === '/dashboard/') {
+    return send(200, await fs.readFile(PAGE_PATH, 'utf-8'), 'text/html; charset=utf-8');
+  }
+  if (url.pathname === '/api/events') return hub.subscribe(req, res);
+
+  const data = await buildDashboardData({ storage, dataDir });
+  if (url.pathname === '/api/dashboard') return send(200, { ok: true, ...data });
+  const section = url.pathname.slice('/api/'.length);
+  if (!DASHBOARD_SECTIONS.includes(section)) return send(404, { ok: false, error: 'NOT_FOUND', sections: DASHBOARD_SECTIONS });
+  return send(200, { ok: true, [section]: data[section] });
+}
+
+export function isDashboardPath(pathname) {
+  return pathname === '/dashboard' || pathname === '/dashboard/' || pathname.startsWith('/api/');
+}
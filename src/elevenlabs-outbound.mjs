@@ -13,7 +13,7 @@ function getEnv(name, fallback = '') {
   return value.trim();
 }
 
-function normalizeE164Phone(raw) {
+export function normalizeE164Phone(raw) {
   const trimmed = String(raw ?? '').trim();
   if (!trimmed) return null;
   const cleaned = trimmed.replace(/[()\-\s]/g, '');
@@ -57,7 +57,7 @@ function parseJsonEnv(name, fallback) {
   }
 }
 
-function buildClientData(context) {
+function buildClientData(context, voice) {
   const dynamicFromEnv = parseJsonEnv('ELEVENLABS_DYNAMIC_VARIABLES_JSON', {});
   const initiationFromEnv = parseJsonEnv('ELEVENLABS_CONVERSATION_INIT_JSON', {});
 
@@ -68,6 +68,7 @@ function buildClientData(context) {
         ? initiationFromEnv.dynamic_variables
         : {}),
       ...dynamicFromEnv,
+      ...voice.dynamicVariables,
       lead_id: context.leadId,
       lead_name: context.leadName,
       lead_goal: context.goal,
@@ -79,19 +80,21 @@ function buildClientData(context) {
     },
   };
 
-  return ensureLanguage(merged, getEnv('ELEVENLABS_LANGUAGE', 'en'));
+  return ensureLanguage(merged, voice.language || getEnv('ELEVENLABS_LANGUAGE', 'en'));
 }
 
 async function writeArtifacts(result) {
   await fs.writeFile(ARTIFACTS_PATH, JSON.stringify(result, null, 2) + '\n', 'utf-8');
 }
 
+// `params.voice` is the workspace voice config; anything it leaves out comes from the ELEVENLABS_* env vars.
 export async function startElevenLabsOutboundCall(params) {
+  const voice = params.voice ?? {};
   const mode = getEnv('VOICE_MODE', 'dry-run');
   const outboundUrl = getEnv('ELEVENLABS_OUTBOUND_CALL_URL', 'https://api.elevenlabs.io/v1/convai/twilio/outbound-call');
-  const apiKey = getEnv('ELEVENLABS_API_KEY');
-  const agentId = getEnv('ELEVENLABS_AGENT_ID');
-  const agentPhoneNumberId = getEnv('ELEVENLABS_AGENT_PHONE_NUMBER_ID');
+  const apiKey = (voice.apiKeyEnv && getEnv(voice.apiKeyEnv)) || getEnv('ELEVENLABS_API_KEY');
+  const agentId = voice.agentId || getEnv('ELEVENLABS_AGENT_ID');
+  const agentPhoneNumberId = voice.agentPhoneNumberId || getEnv('ELEVENLABS_AGENT_PHONE_NUMBER_ID');
 
   const toNumber = normalizeE164Phone(params.toNumber);
   if (!toNumber) {
@@ -106,7 +109,7 @@ export async function startElevenLabsOutboundCall(params) {
     agent_id: agentId || 'agent_placeholder',
     agent_phone_number_id: agentPhoneNumberId || 'pn_placeholder',
     to_number: toNumber,
-    conversation_initiation_client_data: buildClientData(params.context),
+    conversation_initiation_client_data: buildClientData(params.context, voice),
   };
 
   if (mode !== 'live') {
@@ -129,7 +132,7 @@ export async function startElevenLabsOutboundCall(params) {
     return {
       ok: false,
       status: 'MISSING_CONFIG',
-      error: 'Set ELEVENLABS_API_KEY, ELEVENLABS_AGENT_ID, ELEVENLABS_AGENT_PHONE_NUMBER_ID for live calls.',
+      error: 'Set ELEVENLABS_API_KEY, ELEVENLABS_AGENT_ID, ELEVENLABS_AGENT_PHONE_NUMBER_ID (or the workspace voice config) for live calls.',
     };
   }
 
@@ -0,0 +1,164 @@
+import { updateRunningStats } from './policy-stats.mjs';
+
+export const ESCALATION_ACTIONS = ['text', 'voice', 'wait'];
+
+const TEXT_CHANNELS = ['instagram_dm', 'whatsapp'];
+const FRICTION_SENTIMENTS = ['skeptical', 'hesitant', 'overwhelmed'];
+const PRIOR_STRENGTH = 2;
+
+function round(value, digits = 3) {
+  return Number(value.toFixed(digits));
+}
+
+function createStats() {
+  return { count: 0, mean: 0, m2: 0, variance: 0 };
+}
+
+function createActionStats() {
+  return Object.fromEntries(ESCALATION_ACTIONS.map((action) => [action, createStats()]));
+}
+
+export function ensureEscalationPolicy(memory) {
+  if (!memory.escalationPolicy || typeof memory.escalationPolicy !== 'object') {
+    memory.escalationPolicy = { contexts: {}, bySentiment: {}, byObjection: {}, pending: {} };
+  }
+  return memory.escalationPolicy;
+}
+
+function contextOf(lead) {
+  const sentiment = String(lead.sentiment ?? 'unknown').toLowerCase();
+  const objectionType = lead.objectionType || 'unknown';
+  return { key: `${sentiment}|${objectionType}`, sentiment, objectionType };
+}
+
+function statsFor(table, key) {
+  table[key] ??= createActionStats();
+  return table[key];
+}
+
+// Cold start mirrors the old fixed rule: friction signals favour a call, anything else stays on text.
+// Timing objections and overwhelmed leads get a small prior toward waiting.
+function priorOffsets({ lead, result }) {
+  const sentiment = String(lead.sentiment ?? '').toLowerCase();
+  const friction = FRICTION_SENTIMENTS.includes(sentiment) || result.conversionProbability < 0.58;
+  const wantsTime = lead.objectionType === 'timing' || sentiment === 'overwhelmed';
+  return { text: 0, voice: friction ? 0.5 : -0.5, wait: wantsTime ? 0.25 : -0.25 };
+}
+
+function shrink(observations, prior) {
+  const weight = observations.reduce((sum, stats) => sum + stats.count, 0);
+  const total = observations.reduce((sum, stats) => sum + stats.count * stats.mean, 0);
+  return (total + PRIOR_STRENGTH * prior) / (weight + PRIOR_STRENGTH);
+}
+
+export function isVoiceEligible({ lead, epoch, minEpochForVoice }) {
+  const channel = String(lead.channel ?? '').toLowerCase();
+  const hasPhone = typeof lead.phoneNumber === 'string' && lead.phoneNumber.trim().length > 0;
+  return epoch >= minEpochForVoice && TEXT_CHANNELS.includes(channel) && hasPhone;
+}
+
+// Picks text, voice or wait by expected reward. Each estimate is shrunk from the sentiment+objection context
+// toward the sentiment and objection marginals, then toward the prior. An optimism bonus makes rarely tried actions get tried.
+export function decideEscalation({ memory, lead, result, eligible, explore = 0.25 }) {
+  const policy = ensureEscalationPolicy(memory);
+  const context = contextOf(lead);
+  const offsets = priorOffsets({ lead, result });
+  const actions = eligible ? ESCALATION_ACTIONS : ESCALATION_ACTIONS.filter((action) => action !== 'voice');
+
+  const estimates = {};
+  const samples = {};
+  for (const action of ESCALATION_ACTIONS) {
+    const prior = result.score + offsets[action];
+    const parent = shrink(
+      [statsFor(policy.bySentiment, context.sentiment)[action], statsFor(policy.byObjection, context.objectionType)[action]],
+      prior,
+    );
+    const local = statsFor(policy.contexts, context.key)[action];
+    const mean = shrink([local], parent);
+    estimates[action] = round(mean + explore / Math.sqrt(1 + local.count));
+    samples[action] = round(local.count, 2);
+  }
+
+  const action = actions.reduce((best, candidate) => (estimates[candidate] > estimates[best] ? candidate : best), 'text');
+  const alternative = Math.max(estimates.text, estimates.wait);
+  return {
+    action,
+    eligible,
+    context: context.key,
+    uplift: round(estimates.voice - alternative),
+    estimates,
+    samples,
+  };
+}
+
+export function recordEscalationReward(memory, { lead, action, reward, weight = 1 }) {
+  const policy = ensureEscalationPolicy(memory);
+  const context = contextOf(lead);
+  for (const stats of [
+    statsFor(policy.contexts, context.key)[action],
+    statsFor(policy.bySentiment, context.sentiment)[action],
+    statsFor(policy.byObjection, context.objectionType)[action],
+  ]) {
+    updateRunningStats(stats, reward, weight);
+  }
+}
+
+// Pending decisions per lead: a call waits for its post-call outcome (see run.mjs), text and wait for the next text score.
+function slotOf(action) {
+  return action === 'voice' ? 'voice' : 'text';
+}
+
+export function setPendingEscalation(memory, { lead, decision, epoch, runId, waitEpochs = 1 }) {
+  const policy = ensureEscalationPolicy(memory);
+  policy.pending[lead.id] ??= {};
+  policy.pending[lead.id][slotOf(decision.action)] = {
+    action: decision.action,
+    context: decision.context,
+    uplift: decision.uplift,
+    epoch,
+    runId,
+    waitRemaining: decision.action === 'wait' ? waitEpochs : 0,
+    decidedAt: new Date().toISOString(),
+  };
+}
+
+export function resolvePendingEscalation(memory, { lead, slot, reward }) {
+  const policy = ensureEscalationPolicy(memory);
+  const pending = policy.pending[lead.id]?.[slot];
+  if (!pending || !Number.isFinite(reward)) return null;
+  recordEscalationReward(memory, { lead, action: pending.action, reward });
+  delete policy.pending[lead.id][slot];
+  if (!Object.keys(policy.pending[lead.id]).length) delete policy.pending[lead.id];
+  return { action: pending.action, reward: round(reward), decidedInRun: pending.runId };
+}
+
+// A lead told to wait sits out the next epoch(s) without using capacity.
+export function consumeWait(memory, leadId) {
+  const pending = ensureEscalationPolicy(memory).pending[leadId]?.text;
+  if (pending?.action !== 'wait' || !(pending.waitRemaining > 0)) return false;
+  pending.waitRemaining -= 1;
+  return true;
+}
+
+function upliftTable(table) {
+  return Object.fromEntries(
+    Object.entries(table).map(([key, stats]) => [
+      key,
+      {
+        voice: { n: stats.voice.count, mean: stats.voice.mean },
+        text: { n: stats.text.count, mean: stats.text.mean },
+        wait: { n: stats.wait.count, mean: stats.wait.mean },
+        voiceUplift: stats.voice.count > 0 && stats.text.count > 0 ? round(stats.voice.mean - stats.text.mean) : null,
+      },
+    ]),
+  );
+}
+
+export function describeEscalationPolicy(memory) {
+  const policy = ensureEscalationPolicy(memory);
+  return {
+    bySentiment: upliftTable(policy.bySentiment),
+    byObjection: upliftTable(policy.byObjection),
+    pending: Object.keys(policy.pending).length,
+  };
+}
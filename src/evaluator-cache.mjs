@@ -0,0 +1,57 @@
+import crypto from 'node:crypto';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { recordCacheLookup } from './llm-pool.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const ROOT = path.resolve(__dirname, '..');
+const DEFAULT_CACHE_DIR = path.join(ROOT, 'data', 'cache', 'evaluator');
+
+function getEnv(name, fallback = '') {
+  const value = process.env[name];
+  if (typeof value !== 'string') return fallback;
+  return value.trim();
+}
+
+function sha256(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+export function isEvaluatorCacheEnabled() {
+  return getEnv('EVALUATOR_CACHE', 'on').toLowerCase() !== 'off';
+}
+
+function cacheDir() {
+  return getEnv('EVALUATOR_CACHE_DIR') || DEFAULT_CACHE_DIR;
+}
+
+// Content-addressed: identical model + prompt for the same lead always maps to the same entry.
+export function evaluationCacheKey({ model, system, prompt, leadId }) {
+  const promptHash = sha256(`${system}\n${prompt}`);
+  return { key: sha256(JSON.stringify({ model, promptHash, leadId: leadId ?? null })), promptHash };
+}
+
+function entryPath(key) {
+  return path.join(cacheDir(), key.slice(0, 2), `${key}.json`);
+}
+
+export async function readCachedEvaluation(key) {
+  try {
+    const entry = JSON.parse(await fs.readFile(entryPath(key), 'utf-8'));
+    recordCacheLookup(true);
+    return entry.value;
+  } catch {
+    recordCacheLookup(false);
+    return null;
+  }
+}
+
+export async function writeCachedEvaluation(key, { model, promptHash, leadId, value }) {
+  const filePath = entryPath(key);
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.${process.pid}.${crypto.randomUUID()}.tmp`;
+  await fs.writeFile(tmpPath, JSON.stringify({ model, promptHash, leadId, cachedAt: new Date().toISOString(), value }) + '\n', 'utf-8');
+  await fs.rename(tmpPath, filePath);
+}
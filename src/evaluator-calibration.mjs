@@ -0,0 +1,156 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const ROOT = path.resolve(__dirname, '..');
+const DEFAULT_CALIBRATION_PATH = path.join(ROOT, 'data', 'evaluator-calibration.json');
+
+function round(value, digits = 4) {
+  return Number.isFinite(value) ? Number(value.toFixed(digits)) : null;
+}
+
+function mean(values) {
+  return values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : 0;
+}
+
+export function getCalibrationPath() {
+  const fromEnv = String(process.env.EVALUATOR_CALIBRATION_PATH ?? '').trim();
+  return fromEnv || DEFAULT_CALIBRATION_PATH;
+}
+
+export function pearson(xs, ys) {
+  if (xs.length < 2) return null;
+  const mx = mean(xs);
+  const my = mean(ys);
+  let cov = 0;
+  let vx = 0;
+  let vy = 0;
+  for (let i = 0; i < xs.length; i += 1) {
+    cov += (xs[i] - mx) * (ys[i] - my);
+    vx += (xs[i] - mx) ** 2;
+    vy += (ys[i] - my) ** 2;
+  }
+  return vx > 0 && vy > 0 ? round(cov / Math.sqrt(vx * vy)) : null;
+}
+
+// Ranks with ties sharing their average rank, so Spearman = Pearson on ranks.
+function ranks(values) {
+  const order = values.map((value, index) => ({ value, index })).sort((a, b) => a.value - b.value);
+  const out = new Array(values.length);
+  for (let i = 0; i < order.length; ) {
+    let j = i;
+    while (j + 1 < order.length && order[j + 1].value === order[i].value) j += 1;
+    for (let k = i; k <= j; k += 1) out[order[k].index] = (i + j) / 2 + 1;
+    i = j + 1;
+  }
+  return out;
+}
+
+export function spearman(xs, ys) {
+  return pearson(ranks(xs), ranks(ys));
+}
+
+// Least-squares fit of y ~ intercept + slope * x; with no spread in x it only corrects the offset.
+export function fitLinear(xs, ys) {
+  const mx = mean(xs);
+  const my = mean(ys);
+  let cov = 0;
+  let vx = 0;
+  for (let i = 0; i < xs.length; i += 1) {
+    cov += (xs[i] - mx) * (ys[i] - my);
+    vx += (xs[i] - mx) ** 2;
+  }
+  if (xs.length < 3 || vx === 0) return { intercept: round(my - mx), slope: 1 };
+  const slope = cov / vx;
+  return { intercept: round(my - slope * mx), slope: round(slope) };
+}
+
+export function calibrateScore(score, objectionType, calibration) {
+  const mapping = calibration?.byObjection?.[objectionType] ?? calibration?.global;
+  if (!mapping) return score;
+  return Number(Math.max(1, Math.min(10, mapping.intercept + mapping.slope * score)).toFixed(2));
+}
+
+// Mappings are fitted per judge; a version-1 file holds a single mapping, which was fitted on the `overall` rubric.
+export function judgeMapping(calibration, judgeId) {
+  if (!calibration) return null;
+  if (calibration.judges) return calibration.judges[judgeId] ?? null;
+  return judgeId === 'overall' ? calibration : null;
+}
+
+function describeGroup(rows) {
+  const rule = rows.map((r) => r.rule);
+  const llm = rows.map((r) => r.llm);
+  const labelled = rows.filter((r) => Number.isFinite(r.label));
+  return {
+    n: rows.length,
+    pearson: pearson(rule, llm),
+    spearman: spearman(rule, llm),
+    bias: round(mean(rows.map((r) => r.llm - r.rule))),
+    meanAbsDiff: round(mean(rows.map((r) => Math.abs(r.llm - r.rule)))),
+    labelCorrelation: labelled.length
+      ? {
+          rule: spearman(labelled.map((r) => r.rule), labelled.map((r) => r.label)),
+          llm: spearman(labelled.map((r) => r.llm), labelled.map((r) => r.label)),
+        }
+      : null,
+  };
+}
+
+// rows: { id, leadId, objectionType, strategy, rule, llm, label? }. The mapping puts LLM scores on the rule scale.
+export function buildCalibration(rows, { minSamples = 4, threshold = 1.5 } = {}) {
+  const groups = {};
+  for (const row of rows) (groups[row.objectionType] ??= []).push(row);
+
+  const global = fitLinear(
+    rows.map((r) => r.llm),
+    rows.map((r) => r.rule),
+  );
+  const mapping = { version: 1, createdAt: new Date().toISOString(), target: 'rule', global, byObjection: {} };
+  const byObjection = {};
+  for (const [objectionType, groupRows] of Object.entries(groups)) {
+    byObjection[objectionType] = describeGroup(groupRows);
+    if (groupRows.length >= minSamples) {
+      mapping.byObjection[objectionType] = {
+        ...fitLinear(
+          groupRows.map((r) => r.llm),
+          groupRows.map((r) => r.rule),
+        ),
+        n: groupRows.length,
+      };
+    }
+  }
+
+  const scored = rows.map((row) => {
+    const calibrated = calibrateScore(row.llm, row.objectionType, mapping);
+    return { ...row, calibrated, gap: round(calibrated - row.rule) };
+  });
+
+  return {
+    overall: describeGroup(rows),
+    afterCalibration: {
+      bias: round(mean(scored.map((r) => r.gap))),
+      meanAbsDiff: round(mean(scored.map((r) => Math.abs(r.gap)))),
+    },
+    byObjection,
+    mapping,
+    disagreements: scored.filter((r) => Math.abs(r.gap) >= threshold).sort((a, b) => Math.abs(b.gap) - Math.abs(a.gap)),
+    rows: scored,
+  };
+}
+
+let cachedCalibration;
+
+export async function loadCalibration() {
+  if (String(process.env.EVALUATOR_CALIBRATION ?? 'on').trim().toLowerCase() === 'off') return null;
+  if (cachedCalibration === undefined) {
+    try {
+      cachedCalibration = JSON.parse(await fs.readFile(getCalibrationPath(), 'utf-8'));
+    } catch {
+      cachedCalibration = null;
+    }
+  }
+  return cachedCalibration;
+}
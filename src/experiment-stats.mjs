@@ -0,0 +1,172 @@
+function round(value, digits = 4) {
+  return Number.isFinite(value) ? Number(value.toFixed(digits)) : null;
+}
+
+// Abramowitz-Stegun 7.1.26; accurate to ~1e-7, plenty for reporting p-values.
+function erf(x) {
+  const sign = x < 0 ? -1 : 1;
+  const ax = Math.abs(x);
+  const t = 1 / (1 + 0.3275911 * ax);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  return sign * (1 - poly * Math.exp(-ax * ax));
+}
+
+export function normalCdf(x) {
+  return 0.5 * (1 + erf(x / Math.SQRT2));
+}
+
+function logGamma(x) {
+  const c = [
+    76.18009172947146, -86.50532032941677, 24.01409824083091, -1.231739572450155, 0.1208650973866179e-2,
+    -0.5395239384953e-5,
+  ];
+  let y = x;
+  const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+  let ser = 1.000000000190015;
+  for (const coefficient of c) {
+    y += 1;
+    ser += coefficient / y;
+  }
+  return -tmp + Math.log((2.5066282746310005 * ser) / x);
+}
+
+// Continued fraction for the regularized incomplete beta function (modified Lentz).
+function betaContinuedFraction(a, b, x) {
+  const tiny = 1e-30;
+  let c = 1;
+  let d = 1 - ((a + b) * x) / (a + 1);
+  d = 1 / (Math.abs(d) < tiny ? tiny : d);
+  let h = d;
+  for (let m = 1; m <= 200; m += 1) {
+    const m2 = 2 * m;
+    let aa = (m * (b - m) * x) / ((a + m2 - 1) * (a + m2));
+    d = 1 / (Math.abs(1 + aa * d) < tiny ? tiny : 1 + aa * d);
+    c = Math.abs(1 + aa / c) < tiny ? tiny : 1 + aa / c;
+    h *= d * c;
+    aa = (-(a + m) * (a + b + m) * x) / ((a + m2) * (a + m2 + 1));
+    d = 1 / (Math.abs(1 + aa * d) < tiny ? tiny : 1 + aa * d);
+    c = Math.abs(1 + aa / c) < tiny ? tiny : 1 + aa / c;
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < 1e-10) break;
+  }
+  return h;
+}
+
+function incompleteBeta(a, b, x) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+  return x < (a + 1) / (a + b + 2)
+    ? (front * betaContinuedFraction(a, b, x)) / a
+    : 1 - (front * betaContinuedFraction(b, a, 1 - x)) / b;
+}
+
+export function studentTTwoSidedP(t, df) {
+  if (!Number.isFinite(t) || !(df > 0)) return null;
+  return incompleteBeta(df / 2, 0.5, df / (df + t * t));
+}
+
+// Acklam's rational approximation of the standard normal quantile; relative error below 1.2e-9.
+export function normalQuantile(p) {
+  const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.357751867269, -30.66479806614716, 2.506628277459239];
+  const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+  const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+  const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+  const tail = (q) => (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) / ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  if (p < 0.02425) return tail(Math.sqrt(-2 * Math.log(p)));
+  if (p > 1 - 0.02425) return -tail(Math.sqrt(-2 * Math.log(1 - p)));
+  const q = p - 0.5;
+  const r = q * q;
+  return ((((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q) / (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+// Two-sided critical values for a (1 - alpha) interval.
+export function zCritical(alpha) {
+  return normalQuantile(1 - alpha / 2);
+}
+
+// Bisection on the two-sided t p-value, which falls monotonically in |t|.
+export function tCritical(alpha, df) {
+  if (!(df > 0)) return null;
+  let low = 0;
+  let high = 2 * zCritical(alpha);
+  while (studentTTwoSidedP(high, df) > alpha) high *= 2;
+  for (let i = 0; i < 100; i += 1) {
+    const mid = (low + high) / 2;
+    if (studentTTwoSidedP(mid, df) > alpha) low = mid;
+    else high = mid;
+  }
+  return (low + high) / 2;
+}
+
+export function wilsonInterval(successes, n, z = zCritical(0.05)) {
+  if (n === 0) return { lower: null, upper: null };
+  const p = successes / n;
+  const denom = 1 + (z * z) / n;
+  const center = (p + (z * z) / (2 * n)) / denom;
+  const half = (z * Math.sqrt((p * (1 - p)) / n + (z * z) / (4 * n * n))) / denom;
+  return { lower: round(Math.max(0, center - half)), upper: round(Math.min(1, center + half)) };
+}
+
+// Two-sided two-proportion z-test (pooled SE for the test, unpooled SE for the interval).
+export function twoProportionTest({ successesA, nA, successesB, nB, alpha = 0.05 }) {
+  const z = zCritical(alpha);
+  if (nA === 0 || nB === 0) return { diff: null, relativeLift: null, ci: { lower: null, upper: null }, z: null, pValue: null };
+  const pA = successesA / nA;
+  const pB = successesB / nB;
+  const diff = pB - pA;
+  const pooled = (successesA + successesB) / (nA + nB);
+  const pooledSe = Math.sqrt(pooled * (1 - pooled) * (1 / nA + 1 / nB));
+  const se = Math.sqrt((pA * (1 - pA)) / nA + (pB * (1 - pB)) / nB);
+  const stat = pooledSe > 0 ? diff / pooledSe : 0;
+
+  return {
+    diff: round(diff),
+    relativeLift: pA > 0 ? round(diff / pA) : null,
+    ci: { lower: round(diff - z * se), upper: round(diff + z * se) },
+    z: round(stat),
+    pValue: pooledSe > 0 ? round(2 * (1 - normalCdf(Math.abs(stat)))) : 1,
+  };
+}
+
+export function summarize(values) {
+  const n = values.length;
+  const mean = n ? values.reduce((sum, v) => sum + v, 0) / n : 0;
+  const variance = n > 1 ? values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (n - 1) : 0;
+  return { n, mean, variance };
+}
+
+// t interval for the mean of per-unit rates (clamped to [0, 1]), e.g. per-lead conversion rates when whole leads are randomized.
+export function rateInterval(values, alpha = 0.05) {
+  const { n, mean, variance } = summarize(values);
+  if (n < 2) return { lower: null, upper: null };
+  const half = tCritical(alpha, n - 1) * Math.sqrt(variance / n);
+  return { lower: round(Math.max(0, mean - half)), upper: round(Math.min(1, mean + half)) };
+}
+
+// Welch's t-test on means (e.g. conversation reward); the interval uses the t quantile at the Welch-Satterthwaite df.
+export function welchTTest(valuesA, valuesB, alpha = 0.05) {
+  const a = summarize(valuesA);
+  const b = summarize(valuesB);
+  if (a.n < 2 || b.n < 2) return { diff: null, ci: { lower: null, upper: null }, t: null, df: null, pValue: null };
+
+  const seA = a.variance / a.n;
+  const seB = b.variance / b.n;
+  const se = Math.sqrt(seA + seB);
+  const diff = b.mean - a.mean;
+  if (se === 0) {
+    return { diff: round(diff), ci: { lower: round(diff), upper: round(diff) }, t: null, df: null, pValue: diff === 0 ? 1 : 0 };
+  }
+
+  const t = diff / se;
+  const df = (seA + seB) ** 2 / (seA ** 2 / (a.n - 1) + seB ** 2 / (b.n - 1));
+  const critical = tCritical(alpha, df);
+  return {
+    diff: round(diff),
+    ci: { lower: round(diff - critical * se), upper: round(diff + critical * se) },
+    t: round(t),
+    df: round(df, 1),
+    pValue: round(studentTTwoSidedP(t, df)),
+  };
+}
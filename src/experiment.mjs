@@ -0,0 +1,252 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { createRng } from './bandit-policy.mjs';
+import { createPersona, simulateConversation } from './conversation-simulator.mjs';
+import { rateInterval, summarize, twoProportionTest, welchTTest, wilsonInterval, zCritical } from './experiment-stats.mjs';
+import { evaluateLeadAdaptive } from './llm-evaluator.mjs';
+import { generateResponse } from './response-generator.mjs';
+import { createStorage } from './storage.mjs';
+import { SELECTION_POLICIES, STRATEGIES, pickBestStrategy, pickPolicyStrategy } from './strategy-selection.mjs';
+import { syncMemoryStrategies } from './strategy-registry.mjs';
+
+const UNITS = ['seed', 'lead'];
+
+function getArg(name, fallback) {
+  const found = process.argv.find((a) => a.startsWith(`--${name}=`));
+  if (!found) return fallback;
+  const [, value] = found.split('=');
+  return value ?? fallback;
+}
+
+function round(value, digits = 4) {
+  return Number(value.toFixed(digits));
+}
+
+function shuffle(items, rng) {
+  const out = [...items];
+  for (let i = out.length - 1; i > 0; i -= 1) {
+    const j = Math.floor(rng() * (i + 1));
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+}
+
+// Control is a fixed strategy or uniform random; treatment is the learned memory, frozen for the experiment.
+function createChooser({ arm, spec, memory, rng }) {
+  if (arm === 'control') {
+    return () =>
+      spec === 'random'
+        ? { strategy: STRATEGIES[Math.floor(rng() * STRATEGIES.length)], decision: 'explore' }
+        : { strategy: spec, decision: 'exploit' };
+  }
+  if (spec === 'greedy') {
+    return (lead) => ({ strategy: pickBestStrategy(memory, lead.objectionType), decision: 'exploit' });
+  }
+  return (lead) => pickPolicyStrategy({ policyName: spec, memory, lead, rng });
+}
+
+// Units are (lead, replicate) pairs. unit=seed randomizes each pair; unit=lead splits the lead list once.
+function assignUnits({ leads, replicates, unit, seed }) {
+  const rng = createRng(`${seed}:assign`);
+  if (unit === 'lead') {
+    const shuffled = shuffle(leads, rng);
+    const treatmentIds = new Set(shuffled.slice(0, Math.ceil(shuffled.length / 2)).map((lead) => lead.id));
+    return leads.flatMap((lead) =>
+      Array.from({ length: replicates }, (_, i) => ({ lead, replicate: i + 1, arm: treatmentIds.has(lead.id) ? 'treatment' : 'control' })),
+    );
+  }
+
+  // Balanced within each replicate: half the leads get each arm.
+  return Array.from({ length: replicates }, (_, i) => {
+    const shuffled = shuffle(leads, rng);
+    return shuffled.map((lead, index) => ({ lead, replicate: i + 1, arm: index % 2 === 0 ? 'treatment' : 'control' }));
+  }).flat();
+}
+
+// With unit=lead the replicates of one lead share its arm, so they are not independent: each lead becomes one
+// observation (its conversion rate and mean reward across replicates) before any interval or test.
+function aggregateByLead(results) {
+  const byLead = new Map();
+  for (const result of results) {
+    if (!byLead.has(result.leadId)) byLead.set(result.leadId, []);
+    byLead.get(result.leadId).push(result);
+  }
+  return [...byLead.values()].map((rows) => ({
+    conversionRate: rows.filter((r) => r.converted).length / rows.length,
+    reward: summarize(rows.map((r) => r.reward)).mean,
+  }));
+}
+
+function describeArm(results, { unit, alpha }) {
+  const conversions = results.filter((r) => r.converted).length;
+  const rewards = summarize(results.map((r) => r.reward));
+  return {
+    n: results.length,
+    ...(unit === 'lead' ? { leads: aggregateByLead(results).length } : {}),
+    conversions,
+    conversionRate: results.length ? round(conversions / results.length) : null,
+    conversionCi:
+      unit === 'lead'
+        ? rateInterval(aggregateByLead(results).map((l) => l.conversionRate), alpha)
+        : wilsonInterval(conversions, results.length, zCritical(alpha)),
+    meanReward: round(rewards.mean),
+    meanTurns: results.length ? round(results.reduce((sum, r) => sum + r.turns, 0) / results.length, 2) : null,
+  };
+}
+
+function breakdownByObjection(results) {
+  const out = {};
+  for (const result of results) {
+    const group = (out[result.objectionType] ??= { control: { n: 0, conversions: 0 }, treatment: { n: 0, conversions: 0 } });
+    group[result.arm].n += 1;
+    if (result.converted) group[result.arm].conversions += 1;
+  }
+  for (const group of Object.values(out)) {
+    for (const arm of Object.values(group)) arm.conversionRate = arm.n ? round(arm.conversions / arm.n) : null;
+  }
+  return out;
+}
+
+async function main() {
+  const replicates = Number(getArg('replicates', '20'));
+  const unit = getArg('unit', 'seed');
+  const control = getArg('control', 'random');
+  const treatment = getArg('treatment', 'greedy');
+  const seed = getArg('seed', '7');
+  const maxTurns = Number(getArg('maxTurns', '4'));
+  const alpha = Number(getArg('alpha', '0.05'));
+  const ciLabel = `${round((1 - alpha) * 100, 2)}% CI`;
+
+  if (!(alpha > 0 && alpha < 1)) throw new Error(`--alpha must be between 0 and 1, got ${getArg('alpha', '0.05')}`);
+  if (!UNITS.includes(unit)) throw new Error(`Unknown --unit=${unit}. Expected one of: ${UNITS.join(', ')}`);
+  if (control !== 'random' && !STRATEGIES.includes(control)) {
+    throw new Error(`Unknown --control=${control}. Expected random or one of: ${STRATEGIES.join(', ')}`);
+  }
+  if (treatment !== 'greedy' && !SELECTION_POLICIES.includes(treatment)) {
+    throw new Error(`Unknown --treatment=${treatment}. Expected greedy or one of: ${SELECTION_POLICIES.join(', ')}`);
+  }
+
+  const storage = await createStorage({ backend: getArg('storage', undefined), workspace: getArg('workspace', undefined) });
+  const leads = await storage.readLeads();
+  const memory = await storage.readMemory();
+  await storage.close();
+  syncMemoryStrategies(memory, STRATEGIES);
+  const experimentPath = path.join(storage.workspace.dataDir, 'experiment-latest.json');
+
+  const units = assignUnits({ leads, replicates, unit, seed });
+  const choosers = {
+    control: createChooser({ arm: 'control', spec: control, memory, rng: createRng(`${seed}:control`) }),
+    treatment: createChooser({ arm: 'treatment', spec: treatment, memory: structuredClone(memory), rng: createRng(`${seed}:treatment`) }),
+  };
+
+  console.log('\n=== Offline A/B experiment (simulated conversations) ===');
+  console.log(`Control: ${control} | Treatment: ${treatment} (memory after ${memory.runs} run(s), frozen)`);
+  console.log(`Unit: ${unit} | Leads: ${leads.length} | Replicates: ${replicates} | Conversations: ${units.length} | Seed: ${seed}`);
+
+  const results = [];
+  for (const { lead, replicate, arm } of units) {
+    const unitSeed = `${seed}:${replicate}`;
+    const conversation = await simulateConversation({
+      lead,
+      persona: createPersona(lead, unitSeed),
+      maxTurns,
+      seed: unitSeed,
+      epoch: 1,
+      chooseStrategy: (leadView) => choosers[arm](leadView),
+      respond: async (strategy, leadView) => (await generateResponse({ strategy, lead: leadView })).text,
+      evaluate: evaluateLeadAdaptive,
+    });
+    results.push({
+      arm,
+      leadId: lead.id,
+      objectionType: lead.objectionType,
+      replicate,
+      converted: conversation.goalReached,
+      outcome: conversation.outcome,
+      reward: conversation.reward,
+      turns: conversation.turns.length,
+      strategyPath: conversation.turns.map((t) => t.strategy),
+    });
+  }
+
+  const controlResults = results.filter((r) => r.arm === 'control');
+  const treatmentResults = results.filter((r) => r.arm === 'treatment');
+  let conversion;
+  let reward;
+  if (unit === 'lead') {
+    const controlLeads = aggregateByLead(controlResults);
+    const treatmentLeads = aggregateByLead(treatmentResults);
+    const controlRate = summarize(controlLeads.map((l) => l.conversionRate)).mean;
+    const rates = welchTTest(
+      controlLeads.map((l) => l.conversionRate),
+      treatmentLeads.map((l) => l.conversionRate),
+      alpha,
+    );
+    conversion = { test: 'welch_per_lead', ...rates, relativeLift: rates.diff !== null && controlRate > 0 ? round(rates.diff / controlRate) : null };
+    reward = { test: 'welch_per_lead', ...welchTTest(controlLeads.map((l) => l.reward), treatmentLeads.map((l) => l.reward), alpha) };
+  } else {
+    conversion = {
+      test: 'two_proportion_z',
+      ...twoProportionTest({
+        successesA: controlResults.filter((r) => r.converted).length,
+        nA: controlResults.length,
+        successesB: treatmentResults.filter((r) => r.converted).length,
+        nB: treatmentResults.length,
+        alpha,
+      }),
+    };
+    reward = {
+      test: 'welch',
+      ...welchTTest(
+        controlResults.map((r) => r.reward),
+        treatmentResults.map((r) => r.reward),
+        alpha,
+      ),
+    };
+  }
+
+  const report = {
+    generatedAt: new Date().toISOString(),
+    design: {
+      unit,
+      replicates,
+      seed,
+      maxTurns,
+      alpha,
+      leads: leads.length,
+      control,
+      treatment,
+      memoryRuns: memory.runs,
+      evaluator: process.env.EVALUATOR_MODE ?? 'auto',
+    },
+    arms: {
+      control: describeArm(controlResults, { unit, alpha }),
+      treatment: describeArm(treatmentResults, { unit, alpha }),
+    },
+    conversionLift: { ...conversion, significant: conversion.pValue !== null && conversion.pValue < alpha },
+    rewardDiff: { ...reward, significant: reward.pValue !== null && reward.pValue < alpha },
+    byObjection: breakdownByObjection(results),
+    results,
+  };
+
+  await fs.writeFile(experimentPath, JSON.stringify(report, null, 2) + '\n', 'utf-8');
+
+  for (const [arm, stats] of Object.entries(report.arms)) {
+    console.log(
+      `${arm.padEnd(9)} n=${String(stats.n).padStart(3)} conversion=${stats.conversionRate} [${stats.conversionCi.lower}, ${stats.conversionCi.upper}] reward=${stats.meanReward} turns=${stats.meanTurns}`,
+    );
+  }
+  const lift = report.conversionLift;
+  console.log(
+    `Conversion lift: ${lift.diff >= 0 ? '+' : ''}${lift.diff} (${ciLabel} ${lift.ci.lower}..${lift.ci.upper}, relative ${lift.relativeLift ?? 'n/a'}) ${lift.test} p=${lift.pValue}${lift.significant ? ' significant' : ' not significant'} at alpha=${alpha}`,
+  );
+  console.log(
+    `Reward difference: ${reward.diff >= 0 ? '+' : ''}${reward.diff} (${ciLabel} ${reward.ci.lower}..${reward.ci.upper}) ${reward.test} t=${reward.t} df=${reward.df} p=${reward.pValue}`,
+  );
+  console.log(`Saved experiment report: ${experimentPath}`);
+}
+
+main().catch((error) => {
+  console.error('Fatal error:', error);
+  process.exit(1);
+});
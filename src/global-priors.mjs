@@ -0,0 +1,171 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { createStorage } from './storage.mjs';
+import { createInitialMemory } from './storage-schema.mjs';
+import { reviseObjectionPolicy } from './policy-stats.mjs';
+import { STRATEGY_REGISTRY } from './strategy-registry.mjs';
+import { DEFAULT_WORKSPACE, isWorkspaceInitialized, loadWorkspaces } from './workspaces.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const ROOT = path.resolve(__dirname, '..');
+export const GLOBAL_DATA_DIR = path.join(ROOT, 'data', 'global');
+
+function round(value, digits = 4) {
+  return Number(value.toFixed(digits));
+}
+
+// Chan et al. parallel merge of two Welford summaries.
+function poolStats(a, b) {
+  const count = a.count + b.count;
+  if (!count) return { count: 0, mean: 0, m2: 0 };
+  const delta = b.mean - a.mean;
+  return {
+    count,
+    mean: a.mean + (delta * b.count) / count,
+    m2: a.m2 + b.m2 + (delta * delta * a.count * b.count) / count,
+  };
+}
+
+// The inverse merge: what is left of `stats` once the inherited `base` is taken out.
+function removeStats(stats, base) {
+  const count = stats.count - base.count;
+  if (count <= 1e-9) return { count: 0, mean: 0, m2: 0 };
+  const mean = (stats.mean * stats.count - base.mean * base.count) / count;
+  const delta = mean - base.mean;
+  return { count, mean, m2: Math.max(0, stats.m2 - base.m2 - (delta * delta * base.count * count) / stats.count) };
+}
+
+// A workspace that started from global priors still carries them; only its own evidence counts towards the global policy.
+function ownEvidence(memory) {
+  const base = memory?.priors?.baseline ?? {};
+  const strategyStats = {};
+  for (const [strategy, stats] of Object.entries(memory?.strategyStats ?? {})) {
+    const inherited = base.strategyStats?.[strategy];
+    strategyStats[strategy] = {
+      uses: Math.max(0, (stats.uses ?? 0) - (inherited?.uses ?? 0)),
+      totalScore: (stats.totalScore ?? 0) - (inherited?.totalScore ?? 0),
+    };
+  }
+
+  const banditArms = {};
+  for (const [objectionType, arms] of Object.entries(memory?.banditArms ?? {})) {
+    banditArms[objectionType] = {};
+    for (const [strategy, arm] of Object.entries(arms)) {
+      const inherited = base.banditArms?.[objectionType]?.[strategy];
+      banditArms[objectionType][strategy] = {
+        pulls: Math.max(0, (arm.pulls ?? 0) - (inherited?.pulls ?? 0)),
+        totalReward: (arm.totalReward ?? 0) - (inherited?.totalReward ?? 0),
+        alpha: Math.max(0, (arm.alpha ?? 1) - (inherited?.alpha ?? 1)),
+        beta: Math.max(0, (arm.beta ?? 1) - (inherited?.beta ?? 1)),
+      };
+    }
+  }
+
+  const objectionStats = {};
+  for (const [objectionType, byStrategy] of Object.entries(memory?.objectionStats ?? {})) {
+    objectionStats[objectionType] = {};
+    for (const [strategy, stats] of Object.entries(byStrategy)) {
+      const inherited = base.objectionStats?.[objectionType]?.[strategy];
+      objectionStats[objectionType][strategy] = inherited ? removeStats(stats, inherited) : { count: stats.count, mean: stats.mean, m2: stats.m2 };
+    }
+  }
+
+  return { strategyStats, banditArms, objectionStats };
+}
+
+// Pools the memories of all workspaces into one global memory: counts and rewards add up, per-objection
+// statistics are merged, and the objection map is re-derived from the pooled means.
+export function aggregateWorkspaceMemories(entries) {
+  const memory = createInitialMemory();
+  const strategies = STRATEGY_REGISTRY.active.map((s) => s.id);
+  const objectionStats = {};
+
+  for (const { memory: source } of entries) {
+    const own = ownEvidence(source);
+    for (const [strategy, stats] of Object.entries(own.strategyStats)) {
+      if (!memory.strategyStats[strategy]) continue;
+      memory.strategyStats[strategy].uses += stats.uses;
+      memory.strategyStats[strategy].totalScore += stats.totalScore;
+    }
+    for (const [objectionType, arms] of Object.entries(own.banditArms)) {
+      for (const [strategy, arm] of Object.entries(arms)) {
+        if (!strategies.includes(strategy) || !arm.pulls) continue;
+        memory.banditArms[objectionType] ??= {};
+        const pooled = (memory.banditArms[objectionType][strategy] ??= { pulls: 0, totalReward: 0, meanReward: 0, alpha: 1, beta: 1 });
+        pooled.pulls += arm.pulls;
+        pooled.totalReward += arm.totalReward;
+        pooled.alpha += arm.alpha;
+        pooled.beta += arm.beta;
+      }
+    }
+    for (const [objectionType, byStrategy] of Object.entries(own.objectionStats)) {
+      for (const [strategy, stats] of Object.entries(byStrategy)) {
+        if (!strategies.includes(strategy) || !stats.count) continue;
+        objectionStats[objectionType] ??= {};
+        objectionStats[objectionType][strategy] = poolStats(objectionStats[objectionType][strategy] ?? { count: 0, mean: 0, m2: 0 }, stats);
+      }
+    }
+    memory.runs += source?.runs ?? 0;
+  }
+
+  for (const stats of Object.values(memory.strategyStats)) {
+    stats.uses = round(stats.uses);
+    stats.totalScore = round(stats.totalScore);
+    stats.avgScore = stats.uses ? round(stats.totalScore / stats.uses) : 0;
+  }
+  for (const arms of Object.values(memory.banditArms)) {
+    for (const arm of Object.values(arms)) {
+      arm.pulls = round(arm.pulls);
+      arm.totalReward = round(arm.totalReward);
+      arm.meanReward = round(arm.totalReward / arm.pulls);
+      arm.alpha = round(arm.alpha);
+      arm.beta = round(arm.beta);
+    }
+  }
+  memory.objectionStats = {};
+  for (const [objectionType, byStrategy] of Object.entries(objectionStats)) {
+    memory.objectionStats[objectionType] = Object.fromEntries(
+      Object.entries(byStrategy).map(([strategy, stats]) => [
+        strategy,
+        { count: round(stats.count), mean: round(stats.mean), m2: round(stats.m2, 6), variance: stats.count > 1 ? round(stats.m2 / (stats.count - 1)) : 0 },
+      ]),
+    );
+    // With no incumbent this is always the initial assignment: the best pooled mean.
+    reviseObjectionPolicy({ memory, objectionType, strategies });
+  }
+
+  memory.global = {
+    workspaces: entries.map(({ workspace, memory: source }) => ({ workspace, runs: source?.runs ?? 0 })),
+    aggregatedAt: new Date().toISOString(),
+  };
+  return memory;
+}
+
+export async function createGlobalStorage(backend) {
+  await fs.mkdir(GLOBAL_DATA_DIR, { recursive: true });
+  return createStorage({ backend, workspace: DEFAULT_WORKSPACE, dataDir: GLOBAL_DATA_DIR });
+}
+
+// Rebuilds data/global from every initialized workspace (the default one included) and returns the pooled memory.
+// `exclude` leaves out the workspace being (re)initialized so it does not inherit its own history.
+export async function refreshGlobalPriors({ backend, exclude } = {}) {
+  const entries = [];
+  for (const workspace of await loadWorkspaces()) {
+    if (workspace.id === exclude || !(await isWorkspaceInitialized(workspace))) continue;
+    const storage = await createStorage({ backend, workspace: workspace.id });
+    const memory = await storage.readMemory().catch(() => null);
+    await storage.close();
+    if (memory) entries.push({ workspace: workspace.id, memory });
+  }
+
+  const memory = aggregateWorkspaceMemories(entries);
+  const global = await createGlobalStorage(backend);
+  try {
+    await global.writeMemory(memory);
+    return { memory, location: global.location };
+  } finally {
+    await global.close();
+  }
+}
@@ -0,0 +1,53 @@
+import { createStorage } from './storage.mjs';
+
+function getArg(name, fallback) {
+  const found = process.argv.find((a) => a.startsWith(`--${name}=`));
+  if (!found) return fallback;
+  const [, value] = found.split('=');
+  return value ?? fallback;
+}
+
+function average(values) {
+  return values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : 0;
+}
+
+async function main() {
+  const filter = {
+    leadId: getArg('leadId', undefined),
+    strategy: getArg('strategy', undefined),
+    objectionType: getArg('objectionType', undefined),
+    runId: getArg('runId', undefined),
+    since: getArg('since', undefined),
+    limit: Number(getArg('limit', '20')),
+  };
+  const asJson = getArg('json', 'false') === 'true';
+
+  const storage = await createStorage({ backend: getArg('storage', undefined), workspace: getArg('workspace', undefined) });
+  const rows = await storage.queryInteractions(filter);
+  await storage.close();
+
+  if (asJson) {
+    console.log(JSON.stringify(rows, null, 2));
+    return;
+  }
+
+  console.log(`Storage: ${storage.backend} (${storage.location}) | matches shown: ${rows.length}`);
+  for (const row of rows) {
+    console.log(
+      `${String(row.timestamp ?? '-').slice(0, 19)} | ${String(row.runId ?? 'legacy').padEnd(26)} | e${row.epoch ?? '-'} | ${String(row.leadId).padEnd(6)} | ${String(row.objectionType).padEnd(10)} | ${String(row.strategy).padEnd(12)} | score=${Number.isFinite(row.score) ? row.score.toFixed(2) : '-'}${row.outcome ? ` | ${row.outcome}` : ''}`,
+    );
+  }
+
+  const byStrategy = {};
+  for (const row of rows) {
+    if (Number.isFinite(row.score)) (byStrategy[row.strategy] ??= []).push(row.score);
+  }
+  for (const [strategy, scores] of Object.entries(byStrategy)) {
+    console.log(`  ${strategy.padEnd(12)} n=${scores.length} avg=${average(scores).toFixed(3)}`);
+  }
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,63 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const ROOT = path.resolve(__dirname, '..');
+const DEFAULT_JUDGES_PATH = path.join(ROOT, 'config', 'judges.json');
+
+export const JUDGE_TYPES = ['rule', 'llm'];
+
+export function getJudgesPath() {
+  const fromEnv = String(process.env.EVALUATOR_JUDGES_PATH ?? '').trim();
+  return fromEnv || DEFAULT_JUDGES_PATH;
+}
+
+export function validateJudgesConfig(raw) {
+  const errors = [];
+  const rubrics = raw?.rubrics && typeof raw.rubrics === 'object' ? raw.rubrics : {};
+  const judges = Array.isArray(raw?.judges) ? raw.judges : [];
+  if (!judges.length) errors.push('judges must be a non-empty array');
+
+  for (const [id, rubric] of Object.entries(rubrics)) {
+    if (!Array.isArray(rubric?.criteria) || !rubric.criteria.length) errors.push(`rubric "${id}" needs a non-empty criteria array`);
+  }
+
+  const seen = new Set();
+  for (const judge of judges) {
+    if (!judge?.id) errors.push('every judge needs an id');
+    if (seen.has(judge?.id)) errors.push(`duplicate judge id "${judge?.id}"`);
+    seen.add(judge?.id);
+    if (!JUDGE_TYPES.includes(judge?.type)) errors.push(`judge "${judge?.id}": type must be one of ${JUDGE_TYPES.join(', ')}`);
+    if (!(Number(judge?.weight) > 0)) errors.push(`judge "${judge?.id}": weight must be > 0`);
+    if (judge?.type === 'llm' && !rubrics[judge.rubric]) errors.push(`judge "${judge?.id}": unknown rubric "${judge?.rubric}"`);
+  }
+
+  return {
+    ok: errors.length === 0,
+    errors,
+    config: {
+      rubrics,
+      judges: judges.filter((judge) => judge?.enabled !== false).map((judge) => ({ ...judge, weight: Number(judge.weight) })),
+    },
+  };
+}
+
+let cachedJudges;
+
+export async function loadJudgesConfig() {
+  if (!cachedJudges) {
+    const filePath = getJudgesPath();
+    let raw;
+    try {
+      raw = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+    } catch (error) {
+      throw new Error(`Cannot read judges config ${filePath}: ${error.message}`);
+    }
+    const validated = validateJudgesConfig(raw);
+    if (!validated.ok) throw new Error(`Invalid judges config ${filePath}: ${validated.errors.join('; ')}`);
+    cachedJudges = validated.config;
+  }
+  return cachedJudges;
+}
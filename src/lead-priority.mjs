@@ -0,0 +1,132 @@
+// Ranks leads by expected value: offer value x estimated chance to convert, with the reasons behind each factor.
+
+const BASE_CONVERSION = 0.4;
+const HISTORY_PRIOR_WEIGHT = 3;
+
+const SENTIMENT_FACTOR = {
+  positive: 1.25,
+  excited: 1.25,
+  neutral: 1,
+  cautious: 0.9,
+  uncertain: 0.85,
+  hesitant: 0.85,
+  overwhelmed: 0.8,
+  skeptical: 0.75,
+};
+
+// Urgency means the lead wants to move; timing and complexity usually mean "not now".
+const OBJECTION_FACTOR = {
+  urgency: 1.15,
+  results: 0.95,
+  price: 0.9,
+  trust: 0.9,
+  complexity: 0.85,
+  timing: 0.8,
+};
+
+const CHANNEL_FACTOR = {
+  whatsapp: 1.05,
+  instagram_dm: 1,
+};
+
+const CALL_OUTCOME_FACTOR = {
+  booked: 1.3,
+  follow_up_requested: 1.15,
+  objection_unresolved: 0.9,
+  not_interested: 0.5,
+};
+
+// A lead that already paid or booked has little left to win; a lost one is not worth the capacity.
+const REAL_OUTCOME_FACTOR = {
+  paid: 0.15,
+  booked: 0.4,
+  no_response: 0.8,
+  lost: 0.1,
+};
+
+function getEnv(name, fallback = '') {
+  const value = process.env[name];
+  if (typeof value !== 'string') return fallback;
+  return value.trim();
+}
+
+function round(value, digits = 3) {
+  return Number(value.toFixed(digits));
+}
+
+function applyFactor(state, table, key, label) {
+  const factor = table[String(key ?? '').toLowerCase()];
+  if (factor === undefined || factor === 1) return;
+  state.p *= factor;
+  state.reasons.push(`${label} ×${factor}`);
+}
+
+export function scoreLead({ lead, history = [], callOutcomes = [], outcomes = [] }) {
+  const reasons = [];
+  const rawValue = Number(lead.offerValue);
+  const defaultValue = Number(getEnv('LEAD_DEFAULT_OFFER_VALUE', '500')) || 500;
+  const offerValue = Number.isFinite(rawValue) && rawValue > 0 ? rawValue : defaultValue;
+  reasons.push(Number.isFinite(rawValue) && rawValue > 0 ? `offer value ${offerValue}` : `default offer value ${offerValue}`);
+
+  const state = { p: BASE_CONVERSION, reasons };
+  applyFactor(state, SENTIMENT_FACTOR, lead.sentiment, `sentiment ${lead.sentiment}`);
+  applyFactor(state, OBJECTION_FACTOR, lead.objectionType, `objection ${lead.objectionType}`);
+  applyFactor(state, CHANNEL_FACTOR, lead.channel, `channel ${lead.channel}`);
+
+  // Past evaluations shrink toward the prior until there are a few of them.
+  const predicted = history.map((h) => h.conversionProbability).filter(Number.isFinite);
+  if (predicted.length) {
+    const mean = predicted.reduce((sum, p) => sum + p, 0) / predicted.length;
+    const blended = (HISTORY_PRIOR_WEIGHT * state.p + predicted.length * mean) / (HISTORY_PRIOR_WEIGHT + predicted.length);
+    reasons.push(`${predicted.length} past interaction(s), mean p=${round(mean, 2)}`);
+    state.p = blended;
+  }
+
+  const lastCall = callOutcomes.at(-1);
+  if (lastCall) applyFactor(state, CALL_OUTCOME_FACTOR, lastCall.outcome, `last call ${lastCall.outcome}`);
+  const lastOutcome = outcomes.at(-1);
+  if (lastOutcome) applyFactor(state, REAL_OUTCOME_FACTOR, lastOutcome.outcome, `real outcome ${lastOutcome.outcome}`);
+
+  const conversionEstimate = round(Math.max(0.02, Math.min(0.95, state.p)));
+  return {
+    leadId: lead.id,
+    offerValue,
+    conversionEstimate,
+    expectedValue: round(offerValue * conversionEstimate, 2),
+    reasons,
+  };
+}
+
+export function rankLeads({ leads, memory, learning = null, outcomes = [] }) {
+  const history = Array.isArray(memory?.history) ? memory.history : [];
+  const callOutcomes = Array.isArray(learning?.outcomes) ? learning.outcomes : [];
+
+  // Stable sort: equal expected values keep the file order.
+  return leads
+    .map((lead) => ({
+      lead,
+      ...scoreLead({
+        lead,
+        history: history.filter((h) => h.leadId === lead.id),
+        callOutcomes: callOutcomes.filter((c) => c.leadId === lead.id),
+        outcomes: outcomes.filter((o) => o.leadId === lead.id),
+      }),
+    }))
+    .sort((a, b) => b.expectedValue - a.expectedValue)
+    .map((entry, index) => ({ rank: index + 1, ...entry }));
+}
+
+export function createCapacityBudget(capacity) {
+  const total = Number.isFinite(capacity) && capacity >= 0 ? capacity : Infinity;
+  let spent = 0;
+  return {
+    take(cost) {
+      if (spent + cost > total) return false;
+      spent += cost;
+      return true;
+    },
+    snapshot() {
+      return { capacity: Number.isFinite(total) ? total : null, spent, remaining: Number.isFinite(total) ? total - spent : null };
+    },
+  };
+}
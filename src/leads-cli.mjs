@@ -0,0 +1,122 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { parseCsv } from './csv.mjs';
+import { DUPLICATE_MODES, filterLeads, importLeads, validateLeads } from './leads.mjs';
+import { classifyMessage } from './message-classifier.mjs';
+import { createStorage } from './storage.mjs';
+
+const COMMANDS = ['list', 'import', 'validate', 'classify'];
+
+function getArg(name, fallback) {
+  const found = process.argv.find((a) => a.startsWith(`--${name}=`));
+  if (!found) return fallback;
+  const [, value] = found.split('=');
+  return value ?? fallback;
+}
+
+async function readRows(file) {
+  const text = await fs.readFile(path.resolve(file), 'utf-8');
+  if (file.toLowerCase().endsWith('.csv')) return parseCsv(text);
+  const payload = JSON.parse(text);
+  return Array.isArray(payload) ? payload : Array.isArray(payload?.leads) ? payload.leads : [payload];
+}
+
+async function listCommand(storage) {
+  const leads = filterLeads(await storage.readLeads(), {
+    channel: getArg('channel', undefined),
+    objectionType: getArg('objectionType', undefined),
+    sentiment: getArg('sentiment', undefined),
+    source: getArg('source', undefined),
+    search: getArg('q', undefined),
+  });
+  if (getArg('json', 'false') === 'true') {
+    console.log(JSON.stringify(leads, null, 2));
+    return;
+  }
+  for (const lead of leads) {
+    console.log(
+      `${String(lead.id).padEnd(18)} | ${String(lead.name ?? '').padEnd(10)} | ${String(lead.channel ?? '-').padEnd(12)} | ${String(lead.phoneNumber ?? '-').padEnd(14)} | ${String(lead.objectionType ?? '-').padEnd(10)} | ${lead.sentiment ?? '-'}`,
+    );
+  }
+  console.log(`${leads.length} lead(s).`);
+}
+
+async function importCommand(storage) {
+  const file = getArg('file', undefined);
+  if (!file) throw new Error('Pass a CSV or JSON file, e.g. --file=data/sample-leads.csv');
+  const result = await importLeads({
+    storage,
+    rows: await readRows(file),
+    source: `import:${path.basename(file)}`,
+    onDuplicate: getArg('onDuplicate', 'skip'),
+    dryRun: getArg('dryRun', 'false') === 'true',
+  });
+  for (const lead of result.created) console.log(`+ ${lead.id} ${lead.name} (${lead.channel}, ${lead.phoneNumber ?? lead.instagramId ?? 'no contact'})`);
+  for (const lead of result.updated) console.log(`~ ${lead.id} ${lead.name} updated`);
+  for (const duplicate of result.duplicates) {
+    console.log(`= row ${duplicate.index + 1}: ${duplicate.phoneNumber ?? duplicate.id} already ${duplicate.inBatch ? 'earlier in this file' : `stored as ${duplicate.existingId}`}`);
+  }
+  for (const rejection of result.rejected) {
+    console.log(`! row ${rejection.index + 1} (${rejection.id ?? '-'}): ${rejection.errors.join('; ')}`);
+  }
+  console.log(
+    `${result.dryRun ? 'Dry run: would create' : 'Created'} ${result.created.length}, updated ${result.updated.length}, duplicates ${result.duplicates.length}, rejected ${result.rejected.length}.`,
+  );
+  if (result.rejected.length) process.exitCode = 1;
+}
+
+async function validateCommand(storage) {
+  const leads = await storage.readLeads();
+  const invalid = validateLeads(leads);
+  for (const entry of invalid) console.log(`! ${entry.id ?? `#${entry.index + 1}`}: ${entry.errors.join('; ')}`);
+  console.log(`${leads.length - invalid.length}/${leads.length} lead(s) valid.`);
+  if (invalid.length) process.exitCode = 1;
+}
+
+function describeClassification(c) {
+  const objections = c.objections.map((o) => `${o.type}(${o.confidence})`).join(',') || 'none';
+  return `objections=${objections} sentiment=${c.sentiment}(${c.sentimentConfidence}) source=${c.source}${c.lowConfidence ? ' LOW CONFIDENCE' : ''}`;
+}
+
+// Classifies --text, or every stored lead's message and compares with its labels.
+async function classifyCommand(storage) {
+  const found = process.argv.find((a) => a.startsWith('--text='));
+  if (found) {
+    console.log(describeClassification(await classifyMessage(found.slice('--text='.length))));
+    return;
+  }
+  let objectionHits = 0;
+  let sentimentHits = 0;
+  const leads = await storage.readLeads();
+  for (const lead of leads) {
+    const c = await classifyMessage(lead.message);
+    objectionHits += c.objectionType === lead.objectionType ? 1 : 0;
+    sentimentHits += c.sentiment === lead.sentiment ? 1 : 0;
+    console.log(`${String(lead.id).padEnd(18)} labelled=${lead.objectionType ?? '-'}/${lead.sentiment ?? '-'} | ${describeClassification(c)}`);
+  }
+  console.log(`Agreement with labels: objection ${objectionHits}/${leads.length}, sentiment ${sentimentHits}/${leads.length}.`);
+}
+
+async function main() {
+  const command = process.argv[2];
+  if (!COMMANDS.includes(command)) {
+    throw new Error(
+      `Usage: node src/leads-cli.mjs <${COMMANDS.join('|')}> [--file=leads.csv] [--onDuplicate=${DUPLICATE_MODES.join('|')}] [--dryRun=true] [--text="..."]`,
+    );
+  }
+
+  const storage = await createStorage({ backend: getArg('storage', undefined), workspace: getArg('workspace', undefined) });
+  try {
+    if (command === 'list') await listCommand(storage);
+    if (command === 'import') await importCommand(storage);
+    if (command === 'validate') await validateCommand(storage);
+    if (command === 'classify') await classifyCommand(storage);
+  } finally {
+    await storage.close();
+  }
+}
+
+main().catch((error) => {
+  console.error(error.message ?? error);
+  process.exit(1);
+});
@@ -0,0 +1,290 @@
+import { normalizeE164Phone } from './elevenlabs-outbound.mjs';
+import { CONSENT_CHANNELS } from './compliance.mjs';
+import { classifyLead } from './message-classifier.mjs';
+
+// The vocabulary the policy, evaluator and lead ranking know about. Inbound leads start as `unknown` until classified.
+export const OBJECTION_TYPES = ['price', 'trust', 'timing', 'results', 'complexity', 'urgency', 'unknown'];
+export const SENTIMENTS = ['positive', 'excited', 'neutral', 'cautious', 'uncertain', 'hesitant', 'overwhelmed', 'skeptical'];
+export const LEAD_CHANNELS = ['whatsapp', 'instagram_dm'];
+export const DUPLICATE_MODES = ['skip', 'update'];
+
+// objectionType and sentiment are required on the stored lead, but are inferred from the message when missing.
+const REQUIRED_FIELDS = ['name', 'channel', 'offer', 'goal', 'objectionType', 'sentiment', 'message'];
+const TEXT_FIELDS = ['id', 'name', 'offer', 'goal', 'message', 'instagramId'];
+
+// camelCase is canonical; CSV exports often use snake_case.
+const FIELD_ALIASES = {
+  id: ['id', 'leadId', 'lead_id'],
+  name: ['name'],
+  channel: ['channel'],
+  phoneNumber: ['phoneNumber', 'phone_number', 'phone'],
+  instagramId: ['instagramId', 'instagram_id'],
+  offer: ['offer'],
+  offerValue: ['offerValue', 'offer_value'],
+  goal: ['goal'],
+  objectionType: ['objectionType', 'objection_type', 'objection'],
+  sentiment: ['sentiment'],
+  message: ['message'],
+  consent: ['consent'],
+};
+
+function pickField(raw, key) {
+  for (const alias of FIELD_ALIASES[key]) {
+    const value = raw?.[alias];
+    if (value !== undefined && value !== null && String(value).trim() !== '') return value;
+  }
+  return undefined;
+}
+
+// Consent comes as an object from JSON, or as "whatsapp,voice" (granted channels) from CSV.
+function parseConsent(value, errors) {
+  const consent = {};
+  if (typeof value === 'string') {
+    for (const channel of value.split(/[,;|]/).map((c) => c.trim()).filter(Boolean)) consent[channel] = true;
+  } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+    Object.assign(consent, value);
+  } else {
+    errors.push('consent: expected an object or a list of channels');
+    return undefined;
+  }
+  for (const [channel, granted] of Object.entries(consent)) {
+    if (!CONSENT_CHANNELS.includes(channel)) errors.push(`consent: unknown channel "${channel}" (expected ${CONSENT_CHANNELS.join(', ')})`);
+    if (typeof granted !== 'boolean') errors.push(`consent.${channel}: expected true or false`);
+  }
+  return consent;
+}
+
+// Validates one lead (a full record, or with `partial` only the fields present) and reports every problem, not just the first.
+export function normalizeLead(raw, { partial = false } = {}) {
+  const errors = [];
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return { ok: false, errors: ['expected an object'] };
+
+  const lead = {};
+  for (const key of Object.keys(FIELD_ALIASES)) {
+    const value = pickField(raw, key);
+    if (value !== undefined) lead[key] = value;
+  }
+  for (const key of TEXT_FIELDS) {
+    if (lead[key] !== undefined) lead[key] = String(lead[key]).trim();
+  }
+  if (!partial) {
+    // Someone who messaged us first may not have shared a name yet.
+    const required = raw.source === 'inbound' ? REQUIRED_FIELDS.filter((key) => key !== 'name') : REQUIRED_FIELDS;
+    for (const key of required) {
+      if (lead[key] === undefined) errors.push(`${key}: required`);
+    }
+  }
+
+  if (lead.channel !== undefined) {
+    lead.channel = String(lead.channel).trim().toLowerCase();
+    if (!LEAD_CHANNELS.includes(lead.channel)) errors.push(`channel: "${lead.channel}" is not one of ${LEAD_CHANNELS.join(', ')}`);
+  }
+  if (lead.objectionType !== undefined) {
+    lead.objectionType = String(lead.objectionType).trim().toLowerCase();
+    if (!OBJECTION_TYPES.includes(lead.objectionType)) {
+      errors.push(`objectionType: "${lead.objectionType}" is not one of ${OBJECTION_TYPES.join(', ')}`);
+    }
+  }
+  if (lead.sentiment !== undefined) {
+    lead.sentiment = String(lead.sentiment).trim().toLowerCase();
+    if (!SENTIMENTS.includes(lead.sentiment)) errors.push(`sentiment: "${lead.sentiment}" is not one of ${SENTIMENTS.join(', ')}`);
+  }
+  if (lead.phoneNumber !== undefined) {
+    const phone = normalizeE164Phone(lead.phoneNumber);
+    if (phone) lead.phoneNumber = phone;
+    else errors.push(`phoneNumber: "${lead.phoneNumber}" is not an E.164 number (e.g. +971501234567)`);
+  }
+  if (lead.offerValue !== undefined) {
+    const value = Number(lead.offerValue);
+    if (Number.isFinite(value) && value >= 0) lead.offerValue = value;
+    else errors.push(`offerValue: "${lead.offerValue}" is not a non-negative number`);
+  }
+  if (lead.consent !== undefined) lead.consent = parseConsent(lead.consent, errors);
+  if (lead.id !== undefined && !/^[\w.:-]+$/.test(lead.id)) errors.push(`id: "${lead.id}" may only contain letters, digits, ".", ":", "_" and "-"`);
+  if (!partial && lead.channel === 'whatsapp' && !lead.phoneNumber) errors.push('phoneNumber: required for whatsapp leads');
+
+  return errors.length ? { ok: false, errors } : { ok: true, lead };
+}
+
+// Checks leads already in storage; the demo warns about these instead of failing at call time.
+export function validateLeads(leads) {
+  return leads
+    .map((lead, index) => ({ index, id: lead?.id ?? null, ...normalizeLead(lead) }))
+    .filter((result) => !result.ok)
+    .map(({ index, id, errors }) => ({ index, id, errors }));
+}
+
+export function findLeadByPhone(leads, phoneNumber, exceptId = null) {
+  const phone = normalizeE164Phone(phoneNumber);
+  if (!phone) return null;
+  return leads.find((lead) => lead.id !== exceptId && normalizeE164Phone(lead.phoneNumber) === phone) ?? null;
+}
+
+// Phone first; Instagram-only leads have no phone, so their handle is the next best key.
+function findExistingLead(leads, lead) {
+  return (
+    findLeadByPhone(leads, lead.phoneNumber) ??
+    (lead.instagramId ? leads.find((l) => l.instagramId === lead.instagramId) : null) ??
+    (lead.id ? leads.find((l) => l.id === lead.id) : null) ??
+    null
+  );
+}
+
+// Labels the row is missing come from the message classifier; labels that were given are kept.
+async function labelFromMessage(raw) {
+  const message = pickField(raw, 'message');
+  const objectionType = pickField(raw, 'objectionType');
+  const sentiment = pickField(raw, 'sentiment');
+  if (message === undefined || (objectionType !== undefined && sentiment !== undefined)) return { raw, classification: null };
+  const labelled = await classifyLead({ message: String(message), objectionType, sentiment });
+  return { raw: { ...raw, objectionType: labelled.objectionType, sentiment: labelled.sentiment }, classification: labelled.classification };
+}
+
+function nextLeadId(leads) {
+  const highest = leads.reduce((max, lead) => {
+    const match = /^lead-(\d+)$/.exec(String(lead.id ?? ''));
+    return match ? Math.max(max, Number(match[1])) : max;
+  }, 0);
+  return `lead-${String(highest + 1).padStart(3, '0')}`;
+}
+
+export function filterLeads(leads, { channel, objectionType, sentiment, source, search } = {}) {
+  const needle = String(search ?? '').trim().toLowerCase();
+  return leads.filter(
+    (lead) =>
+      (!channel || lead.channel === channel) &&
+      (!objectionType || lead.objectionType === objectionType) &&
+      (!sentiment || lead.sentiment === sentiment) &&
+      (!source || (lead.source ?? 'manual') === source) &&
+      (!needle || [lead.id, lead.name, lead.phoneNumber, lead.offer].some((value) => String(value ?? '').toLowerCase().includes(needle))),
+  );
+}
+
+// Bulk create. Rows are deduplicated on phone number (or Instagram id, or lead id) against storage and within the batch;
+// `onDuplicate: 'update'` merges the row into the existing lead instead of skipping it.
+// Rows are labelled first; the dedupe and the write then happen under one leads lock.
+export async function importLeads({ storage, rows, source = 'api', onDuplicate = 'skip', dryRun = false }) {
+  if (!DUPLICATE_MODES.includes(onDuplicate)) {
+    throw new Error(`Unknown duplicate mode: ${onDuplicate}. Expected one of: ${DUPLICATE_MODES.join(', ')}`);
+  }
+  const labelled = [];
+  for (const row of rows) labelled.push(await labelFromMessage(row));
+
+  let result;
+  const merge = (leads) => {
+    const created = [];
+    const updated = [];
+    const duplicates = [];
+    const rejected = [];
+
+    for (const [index, { raw, classification }] of labelled.entries()) {
+      const normalized = normalizeLead(raw);
+      if (!normalized.ok) {
+        rejected.push({ index, id: pickField(raw, 'id') ?? null, errors: normalized.errors });
+        continue;
+      }
+      const lead = classification ? { ...normalized.lead, classification } : normalized.lead;
+      const existing = findExistingLead(leads, lead);
+      if (existing) {
+        const importedNow = created.some((l) => l.id === existing.id) || updated.some((l) => l.id === existing.id);
+        if (onDuplicate === 'skip' || importedNow) {
+          duplicates.push({ index, id: lead.id ?? null, phoneNumber: lead.phoneNumber ?? null, existingId: existing.id, inBatch: importedNow });
+          continue;
+        }
+        // An id in the row must not silently re-key the existing lead.
+        if (lead.id && lead.id !== existing.id) {
+          rejected.push({ index, id: lead.id, errors: [`phoneNumber: already used by ${existing.id}`] });
+          continue;
+        }
+        Object.assign(existing, lead, { id: existing.id, updatedAt: new Date().toISOString() });
+        updated.push(existing);
+        continue;
+      }
+      const record = { id: lead.id ?? nextLeadId(leads), ...lead, source, createdAt: new Date().toISOString() };
+      leads.push(record);
+      created.push(record);
+    }
+
+    result = { created, updated, duplicates, rejected, dryRun };
+    return !dryRun && (created.length || updated.length) ? leads : undefined;
+  };
+
+  if (dryRun) merge(await storage.readLeads());
+  else await storage.updateLeads(merge);
+  return result;
+}
+
+export async function createLead({ storage, raw: body, source = 'api' }) {
+  const { raw, classification } = await labelFromMessage(body);
+  const normalized = normalizeLead(raw);
+  if (!normalized.ok) return { ok: false, status: 'INVALID_LEAD', errors: normalized.errors };
+  const lead = classification ? { ...normalized.lead, classification } : normalized.lead;
+
+  let result;
+  await storage.updateLeads((leads) => {
+    if (lead.id && leads.some((l) => l.id === lead.id)) {
+      result = { ok: false, status: 'DUPLICATE_ID', errors: [`id: ${lead.id} already exists`] };
+      return undefined;
+    }
+    const samePhone = findLeadByPhone(leads, lead.phoneNumber);
+    if (samePhone) {
+      result = { ok: false, status: 'DUPLICATE_PHONE', errors: [`phoneNumber: already used by ${samePhone.id}`], existingId: samePhone.id };
+      return undefined;
+    }
+    const record = { id: lead.id ?? nextLeadId(leads), ...lead, source, createdAt: new Date().toISOString() };
+    result = { ok: true, status: 'CREATED', lead: record };
+    return [...leads, record];
+  });
+  return result;
+}
+
+// Partial update: only the fields given are changed, and the merged lead must still be valid.
+// A new message re-labels the lead only if its labels were inferred in the first place.
+export async function updateLead({ storage, id, raw: body }) {
+  const current = (await storage.readLeads()).find((lead) => lead.id === id);
+  if (!current) return { ok: false, status: 'NOT_FOUND', errors: [`lead ${id} not found`] };
+
+  const { raw, classification } = current.classification ? await labelFromMessage(body) : { raw: body, classification: null };
+  const patch = normalizeLead(raw, { partial: true });
+  if (!patch.ok) return { ok: false, status: 'INVALID_LEAD', errors: patch.errors };
+  if (patch.lead.id && patch.lead.id !== id) return { ok: false, status: 'INVALID_LEAD', errors: ['id: cannot be changed'] };
+
+  // The merge is re-done against the locked copy, so a concurrent edit to another field is not lost.
+  let result;
+  await storage.updateLeads((leads) => {
+    const index = leads.findIndex((lead) => lead.id === id);
+    if (index === -1) {
+      result = { ok: false, status: 'NOT_FOUND', errors: [`lead ${id} not found`] };
+      return undefined;
+    }
+    const merged = { ...leads[index], ...patch.lead, id };
+    const check = normalizeLead(merged);
+    if (!check.ok) {
+      result = { ok: false, status: 'INVALID_LEAD', errors: check.errors };
+      return undefined;
+    }
+    const samePhone = findLeadByPhone(leads, merged.phoneNumber, id);
+    if (samePhone) {
+      result = { ok: false, status: 'DUPLICATE_PHONE', errors: [`phoneNumber: already used by ${samePhone.id}`], existingId: samePhone.id };
+      return undefined;
+    }
+    leads[index] = { ...merged, ...check.lead, ...(classification ? { classification } : {}), updatedAt: new Date().toISOString() };
+    result = { ok: true, status: 'UPDATED', lead: leads[index] };
+    return leads;
+  });
+  return result;
+}
+
+export async function deleteLead({ storage, id }) {
+  let result;
+  await storage.updateLeads((leads) => {
+    const lead = leads.find((l) => l.id === id);
+    if (!lead) {
+      result = { ok: false, status: 'NOT_FOUND', errors: [`lead ${id} not found`] };
+      return undefined;
+    }
+    result = { ok: true, status: 'DELETED', lead };
+    return leads.filter((l) => l.id !== id);
+  });
+  return result;
+}
@@ -1,10 +1,21 @@
+import { calibrateScore, judgeMapping, loadCalibration } from './evaluator-calibration.mjs';
+import {
+  evaluationCacheKey,
+  isEvaluatorCacheEnabled,
+  readCachedEvaluation,
+  writeCachedEvaluation,
+} from './evaluator-cache.mjs';
+import { loadJudgesConfig } from './judges-config.mjs';
+import { getPoolConfig, isRetryableStatus, recordRequest, recordUsage, retryDelayMs, withLlmSlot } from './llm-pool.mjs';
+import { strategyPrior } from './strategy-registry.mjs';
+
 function getEnv(name, fallback = '') {
   const value = process.env[name];
   if (typeof value !== 'string') return fallback;
   return value.trim();
 }
 
-function getEvaluatorConfig() {
+export function getEvaluatorConfig() {
   const mode = getEnv('EVALUATOR_MODE', 'auto').toLowerCase();
   const apiUrl = getEnv('EVALUATOR_API_URL', 'https://api.openai.com/v1/chat/completions');
   const apiKey = getEnv('EVALUATOR_API_KEY', '');
@@ -20,13 +31,13 @@ function getEvaluatorConfig() {
   };
 }
 
-function shouldUseLlm(config) {
+export function shouldUseLlm(config) {
   if (config.mode === 'rule') return false;
   if (config.mode === 'llm') return true;
   return !!config.apiKey;
 }
 
-function parseJsonObjectFromText(raw) {
+export function parseJsonObjectFromText(raw) {
   if (!raw || typeof raw !== 'string') return null;
 
   try {
@@ -47,32 +58,36 @@ function parseJsonObjectFromText(raw) {
   }
 }
 
-function normalizeScoring(raw) {
+function rubricAsksForProbability(rubric) {
+  return rubric.criteria.some((line) => line.startsWith('conversionProbability'));
+}
+
+function normalizeScoring(raw, { requireProbability }) {
   const score = Number(raw?.score);
   const conversionProbability = Number(raw?.conversionProbability);
 
-  if (!Number.isFinite(score) || !Number.isFinite(conversionProbability)) {
+  if (!Number.isFinite(score) || (requireProbability && !Number.isFinite(conversionProbability))) {
     return null;
   }
 
   const boundedScore = Math.max(1, Math.min(10, score));
-  const boundedProb = Math.max(0.05, Math.min(0.95, conversionProbability));
+  const boundedProb = Number.isFinite(conversionProbability) ? Math.max(0.05, Math.min(0.95, conversionProbability)) : null;
 
   return {
     score: Number(boundedScore.toFixed(2)),
-    conversionProbability: Number(boundedProb.toFixed(2)),
+    conversionProbability: boundedProb === null ? null : Number(boundedProb.toFixed(2)),
     notes: typeof raw?.notes === 'string' ? raw.notes.slice(0, 300) : null,
   };
 }
 
-function buildPrompt({ lead, strategy, response }) {
+// Rubric text comes from the judges config (config/judges.json), not from this file.
+function buildPrompt({ lead, strategy, response, rubricId, rubric }) {
+  const withProbability = rubricAsksForProbability(rubric);
   return [
     'You are evaluating an AI sales closer reply.',
-    'Return only valid JSON object with keys: score, conversionProbability, notes.',
-    'Scoring rubric:',
-    '- score: 1..10 overall response quality for this lead context.',
-    '- conversionProbability: 0.05..0.95 estimated chance this lead books next step.',
-    '- notes: short rationale (< 30 words).',
+    `Return only valid JSON object with keys: score, ${withProbability ? 'conversionProbability, ' : ''}notes.`,
+    `Scoring rubric (${rubricId}): ${rubric.title ?? rubricId}`,
+    ...rubric.criteria.map((line) => `- ${line}`),
     '',
     'Lead context:',
     JSON.stringify(
@@ -93,25 +108,19 @@ function buildPrompt({ lead, strategy, response }) {
     `Proposed response: ${response}`,
     '',
     'Output JSON example:',
-    '{"score":7.8,"conversionProbability":0.64,"notes":"Addresses objection and gives clear next step."}',
+    withProbability
+      ? '{"score":7.8,"conversionProbability":0.64,"notes":"Addresses objection and gives clear next step."}'
+      : '{"score":7.8,"notes":"Addresses objection and gives clear next step."}',
   ].join('\n');
 }
 
 export function evaluateByRules({ lead, strategy, response }) {
   let score = 5.5;
 
-  const objectionBoost = {
-    price: { consultative: 1.0, social_proof: 0.7, urgent_offer: 0.2 },
-    trust: { consultative: 0.8, social_proof: 1.2, urgent_offer: 0.2 },
-    timing: { consultative: 0.6, social_proof: 0.4, urgent_offer: 1.1 },
-    results: { consultative: 0.7, social_proof: 1.0, urgent_offer: 0.3 },
-    complexity: { consultative: 1.1, social_proof: 0.5, urgent_offer: 0.1 },
-    urgency: { consultative: 0.5, social_proof: 0.4, urgent_offer: 1.0 },
-  };
+  // Objection fit and strategy-specific sentiment adjustments come from the strategy's priors in config/strategies.
+  score += strategyPrior(strategy, lead);
 
-  score += objectionBoost[lead.objectionType]?.[strategy] ?? 0.2;
-
-  if (response.includes(lead.name)) score += 0.4;
+  if (lead.name && response.includes(lead.name)) score += 0.4;
   if (response.includes(lead.goal)) score += 0.6;
   if (response.toLowerCase().includes('step')) score += 0.4;
   if (response.toLowerCase().includes('week')) score += 0.2;
@@ -122,10 +131,6 @@ export function evaluateByRules({ lead, strategy, response }) {
   };
   score += sentimentPenalty[lead.sentiment] ?? 0;
 
-  if (strategy === 'urgent_offer' && ['skeptical', 'overwhelmed'].includes(lead.sentiment)) {
-    score -= 0.3;
-  }
-
   const bounded = Math.max(1, Math.min(10, score));
   const conversionProbability = Math.max(0.05, Math.min(0.92, (bounded - 3) / 8));
 
@@ -137,9 +142,7 @@ export function evaluateByRules({ lead, strategy, response }) {
   };
 }
 
-async function evaluateByLlm({ config, lead, strategy, response }) {
-  const prompt = buildPrompt({ lead, strategy, response });
-
+async function postChatOnce({ config, system, prompt, temperature }) {
   const controller = new AbortController();
   const timeout = setTimeout(() => controller.abort(), config.timeoutMs);
 
@@ -153,11 +156,11 @@ async function evaluateByLlm({ config, lead, strategy, response }) {
       },
       body: JSON.stringify({
         model: config.model,
-        temperature: 0,
+        temperature,
         messages: [
           {
             role: 'system',
-            content: 'You are a strict JSON scoring engine. Return only JSON.',
+            content: system,
           },
           {
             role: 'user',
@@ -171,6 +174,8 @@ async function evaluateByLlm({ config, lead, strategy, response }) {
     if (!res.ok) {
       return {
         ok: false,
+        retryable: isRetryableStatus(res.status),
+        retryAfter: res.headers.get('retry-after'),
         error: `LLM HTTP ${res.status}: ${rawText.slice(0, 400)}`,
       };
     }
@@ -185,27 +190,19 @@ async function evaluateByLlm({ config, lead, strategy, response }) {
       };
     }
 
+    recordUsage(parsed?.usage);
     const content = parsed?.choices?.[0]?.message?.content ?? '';
-    const json = parseJsonObjectFromText(typeof content === 'string' ? content : JSON.stringify(content));
-    const normalized = normalizeScoring(json);
-
-    if (!normalized) {
-      return {
-        ok: false,
-        error: `LLM returned invalid scoring payload: ${String(content).slice(0, 400)}`,
-      };
-    }
-
+    const text = typeof content === 'string' ? content : JSON.stringify(content);
     return {
       ok: true,
-      value: {
-        ...normalized,
-        source: 'llm',
-      },
+      content: text,
+      json: parseJsonObjectFromText(text),
+      usage: parsed?.usage ?? null,
     };
   } catch (error) {
     return {
       ok: false,
+      retryable: true,
       error: `LLM request failed: ${String(error)}`,
     };
   } finally {
@@ -213,22 +210,133 @@ async function evaluateByLlm({ config, lead, strategy, response }) {
   }
 }
 
-export async function evaluateLeadAdaptive({ lead, strategy, response }) {
-  const config = getEvaluatorConfig();
+// Every LLM call goes through the shared pool: bounded concurrency, retries on 429/5xx/network errors.
+export async function requestChatJson({ config, system, prompt, temperature = 0 }) {
+  const { maxRetries } = getPoolConfig();
+  let result;
+  for (let attempt = 0; attempt <= maxRetries; attempt += 1) {
+    result = await withLlmSlot(() => postChatOnce({ config, system, prompt, temperature }));
+    const final = result.ok || !result.retryable || attempt === maxRetries;
+    recordRequest({ retry: attempt > 0, failed: final && !result.ok });
+    if (final) break;
+    await new Promise((resolve) => setTimeout(resolve, retryDelayMs(attempt, result.retryAfter)));
+  }
 
-  if (!shouldUseLlm(config)) {
-    return evaluateByRules({ lead, strategy, response });
+  const { retryable, retryAfter, ...rest } = result;
+  return rest;
+}
+
+export async function evaluateByLlm({ config, lead, strategy, response, rubricId = 'overall', rubric }) {
+  const resolvedRubric = rubric ?? (await loadJudgesConfig()).rubrics[rubricId];
+  if (!resolvedRubric) {
+    return { ok: false, error: `Unknown rubric: ${rubricId}` };
+  }
+
+  const system = 'You are a strict JSON scoring engine. Return only JSON.';
+  const prompt = buildPrompt({ lead, strategy, response, rubricId, rubric: resolvedRubric });
+  const cache = isEvaluatorCacheEnabled() ? evaluationCacheKey({ model: config.model, system, prompt, leadId: lead.id }) : null;
+  if (cache) {
+    const cached = await readCachedEvaluation(cache.key);
+    if (cached) return { ok: true, value: { ...cached, cached: true } };
+  }
+
+  const completion = await requestChatJson({
+    config,
+    system,
+    prompt,
+  });
+
+  if (!completion.ok) {
+    return completion;
+  }
+
+  const normalized = normalizeScoring(completion.json, { requireProbability: rubricAsksForProbability(resolvedRubric) });
+  if (!normalized) {
+    return {
+      ok: false,
+      error: `LLM returned invalid scoring payload: ${completion.content.slice(0, 400)}`,
+    };
   }
 
-  const llm = await evaluateByLlm({ config, lead, strategy, response });
-  if (llm.ok) {
-    return llm.value;
+  const value = { ...normalized, source: 'llm' };
+  if (cache) {
+    await writeCachedEvaluation(cache.key, { model: config.model, promptHash: cache.promptHash, leadId: lead.id, value });
+  }
+  return { ok: true, value };
+}
+
+export function getJudgeConfig(config, judge) {
+  return {
+    ...config,
+    model: judge.model ?? config.model,
+    apiUrl: judge.apiUrl ?? config.apiUrl,
+    apiKey: judge.apiKeyEnv ? getEnv(judge.apiKeyEnv, '') : config.apiKey,
+  };
+}
+
+async function runJudge({ config, judge, rubrics, lead, strategy, response, calibration }) {
+  const base = { id: judge.id, type: judge.type, rubric: judge.rubric ?? null, weight: judge.weight };
+  if (judge.type === 'rule') {
+    const rule = evaluateByRules({ lead, strategy, response });
+    return { ...base, ok: true, score: rule.score, conversionProbability: rule.conversionProbability, source: 'rule' };
   }
 
-  const fallback = evaluateByRules({ lead, strategy, response });
+  const llmConfig = getJudgeConfig(config, judge);
+  const llm = await evaluateByLlm({ config: llmConfig, lead, strategy, response, rubricId: judge.rubric, rubric: rubrics[judge.rubric] });
+  if (!llm.ok) return { ...base, model: llmConfig.model, ok: false, error: llm.error };
+
+  // Put LLM scores on the rule scale so both sources can share strategyStats (see `pnpm calibrate`).
+  const mapping = judge.calibrate ? judgeMapping(calibration, judge.id) : null;
+  return {
+    ...base,
+    model: llmConfig.model,
+    ok: true,
+    score: mapping ? calibrateScore(llm.value.score, lead.objectionType, mapping) : llm.value.score,
+    rawScore: mapping ? llm.value.score : undefined,
+    conversionProbability: llm.value.conversionProbability,
+    notes: llm.value.notes,
+    source: mapping ? 'llm_calibrated' : 'llm',
+  };
+}
+
+function weightedMean(entries, key) {
+  const usable = entries.filter((entry) => Number.isFinite(entry[key]));
+  const totalWeight = usable.reduce((sum, entry) => sum + entry.weight, 0);
+  if (!totalWeight) return null;
+  return usable.reduce((sum, entry) => sum + entry.weight * entry[key], 0) / totalWeight;
+}
+
+// Weighted mean over the judges that answered; if every LLM judge fails this degrades to the rule judges.
+// `calibration` defaults to the stored mapping; `pnpm calibrate` passes the one it has just fitted.
+export async function evaluateByJudges({ config, lead, strategy, response, calibration }) {
+  const { rubrics, judges } = await loadJudgesConfig();
+  const mapping = calibration === undefined ? await loadCalibration() : calibration;
+  const results = await Promise.all(
+    judges.map((judge) => runJudge({ config, judge, rubrics, lead, strategy, response, calibration: mapping })),
+  );
+
+  const answered = results.filter((result) => result.ok);
+  const llmAnswered = answered.filter((result) => result.type === 'llm');
+  const scoring = answered.length ? answered : [{ ...evaluateByRules({ lead, strategy, response }), weight: 1 }];
+  const score = weightedMean(scoring, 'score');
+  const conversionProbability = weightedMean(scoring, 'conversionProbability');
+  const failures = results.filter((result) => !result.ok);
+
   return {
-    ...fallback,
-    notes: llm.error,
-    source: 'rule_fallback',
+    score: Number(score.toFixed(2)),
+    conversionProbability: Number((conversionProbability ?? Math.max(0.05, Math.min(0.92, (score - 3) / 8))).toFixed(2)),
+    source: llmAnswered.length ? 'ensemble' : 'rule_fallback',
+    notes: failures.length ? failures.map((f) => `${f.id}: ${f.error}`).join(' | ').slice(0, 600) : null,
+    judges: results,
   };
 }
+
+export async function evaluateLeadAdaptive({ lead, strategy, response }) {
+  const config = getEvaluatorConfig();
+
+  if (!shouldUseLlm(config)) {
+    return evaluateByRules({ lead, strategy, response });
+  }
+
+  return evaluateByJudges({ config, lead, strategy, response });
+}
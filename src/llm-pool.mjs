@@ -0,0 +1,94 @@
+function getEnv(name, fallback = '') {
+  const value = process.env[name];
+  if (typeof value !== 'string') return fallback;
+  return value.trim();
+}
+
+function positiveNumber(raw, fallback) {
+  const n = Number(raw);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+export function getPoolConfig() {
+  return {
+    concurrency: Math.max(1, Math.floor(positiveNumber(getEnv('LLM_CONCURRENCY', '4'), 4))),
+    maxRetries: Math.floor(positiveNumber(getEnv('LLM_MAX_RETRIES', '3'), 3)),
+    retryBaseMs: positiveNumber(getEnv('LLM_RETRY_BASE_MS', '500'), 500),
+  };
+}
+
+// Run-level counters shared by every LLM caller (evaluator, generator, classifier, simulator).
+const stats = {
+  requests: 0,
+  retries: 0,
+  failures: 0,
+  promptTokens: 0,
+  completionTokens: 0,
+  totalTokens: 0,
+  cacheHits: 0,
+  cacheMisses: 0,
+};
+
+let active = 0;
+const waiting = [];
+
+async function acquire() {
+  const { concurrency } = getPoolConfig();
+  if (active < concurrency) {
+    active += 1;
+    return;
+  }
+  await new Promise((resolve) => waiting.push(resolve));
+}
+
+function release() {
+  const next = waiting.shift();
+  if (next) next();
+  else active -= 1;
+}
+
+export async function withLlmSlot(fn) {
+  await acquire();
+  try {
+    return await fn();
+  } finally {
+    release();
+  }
+}
+
+export function isRetryableStatus(status) {
+  return status === 429 || status >= 500;
+}
+
+// Exponential backoff with jitter; a Retry-After header (seconds) wins when the provider sends one.
+export function retryDelayMs(attempt, retryAfterHeader) {
+  const retryAfter = Number(retryAfterHeader);
+  if (Number.isFinite(retryAfter) && retryAfter >= 0) return Math.min(retryAfter * 1000, 30000);
+  const { retryBaseMs } = getPoolConfig();
+  return Math.round(retryBaseMs * 2 ** attempt * (0.75 + Math.random() * 0.5));
+}
+
+export function recordRequest({ retry = false, failed = false } = {}) {
+  stats.requests += 1;
+  if (retry) stats.retries += 1;
+  if (failed) stats.failures += 1;
+}
+
+export function recordUsage(usage) {
+  stats.promptTokens += Number(usage?.prompt_tokens) || 0;
+  stats.completionTokens += Number(usage?.completion_tokens) || 0;
+  stats.totalTokens += Number(usage?.total_tokens) || (Number(usage?.prompt_tokens) || 0) + (Number(usage?.completion_tokens) || 0);
+}
+
+export function recordCacheLookup(hit) {
+  if (hit) stats.cacheHits += 1;
+  else stats.cacheMisses += 1;
+}
+
+export function getLlmStats() {
+  const lookups = stats.cacheHits + stats.cacheMisses;
+  return {
+    ...stats,
+    cacheHitRate: lookups ? Number((stats.cacheHits / lookups).toFixed(3)) : null,
+  };
+}
@@ -0,0 +1,179 @@
+import http from 'node:http';
+import crypto from 'node:crypto';
+import { evaluateByRules, parseJsonObjectFromText } from './llm-evaluator.mjs';
+import { classifyTranscriptByRules } from './transcript-classifier.mjs';
+import { classifyMessageByRules } from './message-classifier.mjs';
+
+function getArg(name, fallback) {
+  const found = process.argv.find((a) => a.startsWith(`--${name}=`));
+  if (!found) return fallback;
+  const [, value] = found.split('=');
+  return value ?? fallback;
+}
+
+function readField(prompt, label) {
+  const line = prompt.split('\n').find((l) => l.startsWith(`${label}:`));
+  return line ? line.slice(label.length + 1).trim() : '';
+}
+
+function between(text, startMarker, endMarker) {
+  const start = text.indexOf(startMarker);
+  if (start === -1) return '';
+  const end = endMarker ? text.indexOf(endMarker, start + startMarker.length) : -1;
+  return text.slice(start + startMarker.length, end === -1 ? undefined : end);
+}
+
+// Small per-rubric nudges so the ensemble judges disagree a little, like real ones do.
+function rubricAdjustment(rubricId, response) {
+  const text = response.toLowerCase();
+  if (rubricId === 'empathy') return /fair|understand|makes sense/.test(text) ? 1 : -0.5;
+  if (rubricId === 'next_step') return text.includes('?') && /step|call|book|slot/.test(text) ? 1 : -1;
+  if (rubricId === 'compliance') return /guarantee|!!!|\bnow\b/.test(text) ? -3 : 0.5;
+  return 0;
+}
+
+function stubScore(prompt) {
+  const lead = parseJsonObjectFromText(between(prompt, 'Lead context:', 'Chosen strategy:')) ?? {};
+  const strategy = readField(prompt, 'Chosen strategy');
+  const response = readField(prompt, 'Proposed response');
+  const rubricId = /^Scoring rubric \(([^)]+)\)/m.exec(prompt)?.[1] ?? 'overall';
+  const scored = evaluateByRules({ lead, strategy, response });
+  // Like most LLM judges, the stub is generous and compresses the scale, so `pnpm calibrate` has a gap to fit.
+  const score = Math.max(1, Math.min(10, 2.2 + 0.8 * scored.score + rubricAdjustment(rubricId, response)));
+  return JSON.stringify({
+    score: Number(score.toFixed(2)),
+    ...(rubricId === 'overall' ? { conversionProbability: scored.conversionProbability } : {}),
+    notes: `stub ${rubricId} judge (${strategy || 'unknown strategy'})`,
+  });
+}
+
+function stubClassification(prompt) {
+  const transcript = between(prompt, 'Transcript:\n', null)
+    .split('\n')
+    .filter(Boolean)
+    .map((line) => {
+      const [sender, ...rest] = line.split(':');
+      return { sender: sender.trim(), text: rest.join(':').trim() };
+    });
+  const { label, confidence, objectionsRaised, commitment } = classifyTranscriptByRules(transcript);
+  return JSON.stringify({ label, confidence, objectionsRaised, commitment });
+}
+
+function stubReply(prompt) {
+  const strategy = readField(prompt, 'Strategy');
+  const leadName = readField(prompt, 'Lead name');
+  const name = leadName.startsWith('not known') ? '' : leadName;
+  const offer = readField(prompt, 'Offer') || 'the program';
+  const goal = readField(prompt, 'Goal') || 'a next step';
+  const objection = readField(prompt, 'Objection type').replace(/^unknown$/, '') || 'main';
+  const message = readField(prompt, 'Lead message');
+
+  const greeting = name ? `, ${name}` : '';
+  const opener = message ? `Thanks for being upfront${greeting} - "${message.slice(0, 60)}" is a fair thing to ask.` : `Thanks${greeting}.`;
+  const body = {
+    consultative: `Let's look at your ${objection} concern together and pick a small first step for ${offer}, with a checkpoint so you decide on results.`,
+    social_proof: `Clients who had the same ${objection} concern started ${offer} with a guided first week and saw a clear early win.`,
+    urgent_offer: `We can start ${offer} with a light fast-start this week, so you can test it without a big commitment.`,
+  }[strategy] ?? `Happy to walk you through ${offer} step by step.`;
+
+  return `${opener} ${body} Would you like to ${goal.charAt(0).toLowerCase()}${goal.slice(1)}?`;
+}
+
+function stubRewrite(prompt) {
+  const sentence = readField(prompt, 'Sentence');
+  return sentence.includes('{goal}') ? `Quick and concrete: ${sentence}` : `${sentence} It all maps back to your goal: {goal}.`;
+}
+
+// The stub is a little more sure of itself than the rules, so LLM mode is visible in the confidences.
+function stubMessageClassification(prompt) {
+  const { objections, sentiment, sentimentConfidence } = classifyMessageByRules(readField(prompt, 'Message'));
+  return JSON.stringify({
+    objections: objections.map((o) => ({ type: o.type, confidence: Math.min(0.95, o.confidence + 0.1) })),
+    sentiment,
+    sentimentConfidence,
+  });
+}
+
+function respondTo(messages) {
+  const system = String(messages.find((m) => m.role === 'system')?.content ?? '');
+  const prompt = String(messages.filter((m) => m.role === 'user').map((m) => m.content).join('\n'));
+
+  if (system.includes('scoring engine')) return stubScore(prompt);
+  if (system.includes('call outcome classifier')) return stubClassification(prompt);
+  if (system.includes('sales message classifier')) return stubMessageClassification(prompt);
+  if (system.includes('role-play a sales lead')) return JSON.stringify({ reply: 'Okay, that helps. Tell me a bit more.' });
+  if (system.includes('improving one sentence')) return stubRewrite(prompt);
+  if (system.includes('sales closer')) return stubReply(prompt);
+  return JSON.stringify({ ok: true });
+}
+
+function countTokens(text) {
+  return Math.ceil(String(text).length / 4);
+}
+
+async function main() {
+  const port = Number(getArg('port', process.env.LLM_STUB_PORT || '8788'));
+  // Answer every Nth request with 429 to exercise client retries.
+  const failEvery = Number(getArg('failEvery', '0'));
+  let requestCount = 0;
+
+  const server = http.createServer((req, res) => {
+    if (req.method !== 'POST' || !req.url.endsWith('/chat/completions')) {
+      res.writeHead(404, { 'content-type': 'application/json' });
+      res.end(JSON.stringify({ error: { message: 'NOT_FOUND' } }));
+      return;
+    }
+
+    requestCount += 1;
+    if (failEvery > 0 && requestCount % failEvery === 0) {
+      res.writeHead(429, { 'content-type': 'application/json', 'retry-after': '0' });
+      res.end(JSON.stringify({ error: { message: 'RATE_LIMITED (stub)' } }));
+      return;
+    }
+
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => {
+      let body;
+      try {
+        body = JSON.parse(Buffer.concat(chunks).toString('utf-8'));
+      } catch {
+        res.writeHead(400, { 'content-type': 'application/json' });
+        res.end(JSON.stringify({ error: { message: 'INVALID_JSON' } }));
+        return;
+      }
+
+      const messages = Array.isArray(body?.messages) ? body.messages : [];
+      const content = respondTo(messages);
+      const promptTokens = countTokens(messages.map((m) => m.content).join('\n'));
+      const completionTokens = countTokens(content);
+
+      res.writeHead(200, { 'content-type': 'application/json' });
+      res.end(
+        JSON.stringify({
+          id: `chatcmpl-stub-${crypto.randomUUID()}`,
+          object: 'chat.completion',
+          created: Math.floor(Date.now() / 1000),
+          model: body?.model ?? 'stub',
+          choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+          usage: {
+            prompt_tokens: promptTokens,
+            completion_tokens: completionTokens,
+            total_tokens: promptTokens + completionTokens,
+          },
+        }),
+      );
+    });
+  });
+
+  server.listen(port, '127.0.0.1', () => {
+    console.log(`LLM stub (OpenAI-compatible) listening on http://localhost:${port}/v1/chat/completions`);
+    console.log('Point EVALUATOR_API_URL / GENERATOR_API_URL at it with any non-empty API key.');
+    if (failEvery > 0) console.log(`Injecting HTTP 429 on every ${failEvery}th request.`);
+  });
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
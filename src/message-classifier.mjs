@@ -0,0 +1,176 @@
+import { getEvaluatorConfig, requestChatJson, shouldUseLlm } from './llm-evaluator.mjs';
+
+// Weighted keyword signals per objection: strong phrases count more than single loose words.
+const OBJECTION_SIGNALS = {
+  price: [
+    [/expensive|overpriced|too much money|too pricey/, 1],
+    [/\b(price|cost|costs|fee|fees)\b/, 0.6],
+    [/afford|budget|cheaper|discount|pay this much/, 0.8],
+    [/how much/, 0.6],
+    [/غالي|السعر/, 1],
+  ],
+  trust: [
+    [/how do i know|scam|\blegit|trust (you|this)/, 1],
+    [/proof|reviews?\b|testimonials?|experts?\b|real results from/, 0.7],
+    [/who else|anyone (else )?(tried|done)|never heard of/, 0.6],
+  ],
+  timing: [
+    [/not now|maybe later|next (month|year|week)|too busy|no time/, 1],
+    [/\bbusy\b|\blater\b|bad time|after (ramadan|the holidays|summer)/, 0.7],
+    [/مشغول|بعدين/, 1],
+  ],
+  results: [
+    [/didn'?t work|tried (it|this|similar|before)|does (it|this) (actually )?work/, 1],
+    [/\bresults?\b|guarantee|work for me|worth it/, 0.6],
+  ],
+  complexity: [
+    [/complicated|confus|too hard|overwhelm/, 1],
+    [/\bcomplex\b|hard to|a lot to (set up|learn|do)|how does (it|this) work/, 0.7],
+  ],
+  urgency: [
+    [/think about it|sleep on it|need to decide|not sure yet/, 1],
+    [/no rush|let me think|get back to you/, 0.7],
+  ],
+};
+
+const SENTIMENT_SIGNALS = {
+  excited: [[/can'?t wait|love (it|this)|amazing|awesome|let'?s (go|do it)|so excited/, 1]],
+  positive: [[/sounds good|looks good|interested|great|nice|i like/, 0.8]],
+  skeptical: [
+    [/how do i know|everyone says|scam|\blegit|prove|doubt/, 1],
+    [/really\?|not convinced|hard to believe/, 0.7],
+  ],
+  cautious: [
+    [/honestly|to be fair|careful|worth (it|the)/, 0.6],
+    [/\bbut\b|\bthough\b/, 0.6],
+  ],
+  hesitant: [[/maybe|\blater\b|not now|too busy|not (this|right now)/, 0.8]],
+  uncertain: [
+    [/not sure|don'?t know|unsure|no idea|confused about/, 0.9],
+    [/tried (similar|it|this|before)|no results|didn'?t work/, 0.7],
+  ],
+  overwhelmed: [[/overwhelm|too much (going on|to handle)|so much (on|going)|stressed|a lot on my plate|complicated/, 1]],
+};
+
+export const MESSAGE_OBJECTIONS = Object.keys(OBJECTION_SIGNALS);
+export const MESSAGE_SENTIMENTS = [...Object.keys(SENTIMENT_SIGNALS), 'neutral'];
+
+function getEnv(name, fallback = '') {
+  const value = process.env[name];
+  if (typeof value !== 'string') return fallback;
+  return value.trim();
+}
+
+export function getClassifierConfig() {
+  const minConfidence = Number(getEnv('MESSAGE_CLASSIFIER_MIN_CONFIDENCE', '0.5'));
+  return {
+    mode: getEnv('MESSAGE_CLASSIFIER_MODE', 'auto').toLowerCase(),
+    minConfidence: Number.isFinite(minConfidence) ? minConfidence : 0.5,
+    safeStrategy: getEnv('MESSAGE_CLASSIFIER_SAFE_STRATEGY', 'consultative'),
+  };
+}
+
+// Summed signal weight mapped to 0..1: one strong match is ~0.63, two ~0.86.
+function scoreSignals(text, table) {
+  return Object.entries(table)
+    .map(([label, signals]) => {
+      const weight = signals.reduce((sum, [pattern, w]) => (pattern.test(text) ? sum + w : sum), 0);
+      return { label, confidence: Number((1 - Math.exp(-weight)).toFixed(2)) };
+    })
+    .filter((entry) => entry.confidence > 0)
+    .sort((a, b) => b.confidence - a.confidence);
+}
+
+function finalize({ objections, sentiment, sentimentConfidence, source, notes }, minConfidence) {
+  const primary = objections[0] ?? null;
+  const confidence = primary ? primary.confidence : 0;
+  return {
+    objectionType: primary?.type ?? 'unknown',
+    objections,
+    sentiment,
+    sentimentConfidence,
+    confidence,
+    lowConfidence: confidence < minConfidence,
+    source,
+    ...(notes ? { notes } : {}),
+  };
+}
+
+export function classifyMessageByRules(text, { minConfidence = getClassifierConfig().minConfidence } = {}) {
+  const lower = String(text ?? '').toLowerCase();
+  const objections = scoreSignals(lower, OBJECTION_SIGNALS).map(({ label, confidence }) => ({ type: label, confidence }));
+  // Liking the offer while still raising an objection is not a positive lead yet.
+  const hedged = (entry) => objections.length > 0 && ['positive', 'excited'].includes(entry.label);
+  const sentiments = scoreSignals(lower, SENTIMENT_SIGNALS);
+  const topSentiment = sentiments.find((entry) => !hedged(entry));
+  // No sentiment cue at all is weak evidence for neutral, not a confident label.
+  return finalize(
+    {
+      objections,
+      sentiment: topSentiment?.label ?? 'neutral',
+      sentimentConfidence: topSentiment?.confidence ?? (sentiments.length ? 0.5 : 0.3),
+      source: 'rule',
+    },
+    minConfidence,
+  );
+}
+
+function buildMessagePrompt(text) {
+  return [
+    'You are labelling an inbound sales lead message.',
+    'Return only valid JSON object with keys: objections, sentiment, sentimentConfidence.',
+    `- objections: array of {"type": one of ${MESSAGE_OBJECTIONS.join(', ')}, "confidence": 0..1}, strongest first; empty if the lead raises none.`,
+    `- sentiment: one of ${MESSAGE_SENTIMENTS.join(', ')}.`,
+    '- sentimentConfidence: 0..1.',
+    '',
+    `Message: ${String(text ?? '').slice(0, 1000)}`,
+  ].join('\n');
+}
+
+function clampConfidence(value, fallback) {
+  const n = Number(value);
+  return Number.isFinite(n) ? Number(Math.max(0, Math.min(1, n)).toFixed(2)) : fallback;
+}
+
+function normalizeLlmClassification(raw) {
+  if (!raw || !Array.isArray(raw.objections) || !MESSAGE_SENTIMENTS.includes(raw.sentiment)) return null;
+  const objections = raw.objections
+    .filter((o) => MESSAGE_OBJECTIONS.includes(o?.type))
+    .map((o) => ({ type: o.type, confidence: clampConfidence(o.confidence, 0.5) }))
+    .sort((a, b) => b.confidence - a.confidence);
+  return { objections, sentiment: raw.sentiment, sentimentConfidence: clampConfidence(raw.sentimentConfidence, 0.5) };
+}
+
+export async function classifyMessage(text) {
+  const { mode, minConfidence } = getClassifierConfig();
+  const config = getEvaluatorConfig();
+  if (!shouldUseLlm({ ...config, mode })) return classifyMessageByRules(text, { minConfidence });
+
+  const completion = await requestChatJson({
+    config,
+    system: 'You are a strict JSON sales message classifier. Return only JSON.',
+    prompt: buildMessagePrompt(text),
+  });
+  const normalized = completion.ok ? normalizeLlmClassification(completion.json) : null;
+  if (normalized) return finalize({ ...normalized, source: 'llm' }, minConfidence);
+
+  return {
+    ...classifyMessageByRules(text, { minConfidence }),
+    source: 'rule_fallback',
+    notes: completion.ok ? `LLM returned invalid classification: ${completion.content.slice(0, 300)}` : completion.error,
+  };
+}
+
+// Only the labels a lead is missing are filled in; hand-set labels win. `force` re-labels from the message.
+export async function classifyLead(lead, { force = false } = {}) {
+  if (!lead?.message || (!force && lead.objectionType && lead.sentiment)) return lead;
+  const classification = await classifyMessage(lead.message);
+  const inferObjection = force || !lead.objectionType;
+  return {
+    ...lead,
+    objectionType: inferObjection ? classification.objectionType : lead.objectionType,
+    sentiment: force || !lead.sentiment ? classification.sentiment : lead.sentiment,
+    // A hand-set objection is trusted, so only an inferred one can send the lead to the safe default.
+    classification: { ...classification, lowConfidence: inferObjection && classification.lowConfidence, classifiedAt: new Date().toISOString() },
+  };
+}
@@ -0,0 +1,119 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const ROOT = path.resolve(__dirname, '..');
+const ARTIFACTS_PATH = path.join(ROOT, 'data', 'messages-latest.json');
+
+function getEnv(name, fallback = '') {
+  const value = process.env[name];
+  if (typeof value !== 'string') return fallback;
+  return value.trim();
+}
+
+function graphUrl(pathname) {
+  return `https://graph.facebook.com/${getEnv('META_GRAPH_VERSION', 'v21.0')}/${pathname}`;
+}
+
+function buildWhatsAppRequest({ to, text, context }) {
+  const phoneNumberId = getEnv('WHATSAPP_PHONE_NUMBER_ID') || context?.businessAccountId || 'phone_number_id_placeholder';
+  return {
+    url: getEnv('WHATSAPP_SEND_URL') || graphUrl(`${phoneNumberId}/messages`),
+    token: getEnv('WHATSAPP_ACCESS_TOKEN'),
+    tokenEnv: 'WHATSAPP_ACCESS_TOKEN',
+    payload: {
+      messaging_product: 'whatsapp',
+      recipient_type: 'individual',
+      to: String(to).replace(/^\+/, ''),
+      type: 'text',
+      text: { preview_url: false, body: text },
+    },
+  };
+}
+
+function buildInstagramRequest({ to, text }) {
+  return {
+    url: getEnv('INSTAGRAM_SEND_URL') || graphUrl('me/messages'),
+    token: getEnv('INSTAGRAM_ACCESS_TOKEN'),
+    tokenEnv: 'INSTAGRAM_ACCESS_TOKEN',
+    payload: {
+      recipient: { id: String(to) },
+      message: { text },
+    },
+  };
+}
+
+// Channel -> request builder. Add a channel here (or pass `senders`) to plug in another provider.
+export const CHANNEL_SENDERS = {
+  whatsapp: buildWhatsAppRequest,
+  instagram_dm: buildInstagramRequest,
+};
+
+async function writeArtifacts(result) {
+  await fs.writeFile(ARTIFACTS_PATH, JSON.stringify(result, null, 2) + '\n', 'utf-8');
+}
+
+export async function sendChannelMessage({ channel, to, text, context = {} }, senders = CHANNEL_SENDERS) {
+  const mode = getEnv('MESSAGING_MODE', 'dry-run');
+  const buildRequest = senders[channel];
+  if (!buildRequest) {
+    return { ok: false, status: 'UNSUPPORTED_CHANNEL', error: `No sender registered for channel: ${channel}` };
+  }
+  if (!to || !String(text ?? '').trim()) {
+    return { ok: false, status: 'INVALID_MESSAGE', error: 'A recipient and non-empty text are required.' };
+  }
+
+  const request = buildRequest({ to, text, context });
+
+  if (mode !== 'live') {
+    const simulated = {
+      ok: true,
+      status: 'SIMULATED',
+      mode,
+      channel,
+      request: { url: request.url, payload: request.payload },
+      context,
+      timestamp: new Date().toISOString(),
+    };
+    await writeArtifacts(simulated);
+    return simulated;
+  }
+
+  if (!request.token) {
+    return { ok: false, status: 'MISSING_CONFIG', error: `Set ${request.tokenEnv} to send live ${channel} messages.` };
+  }
+
+  const res = await fetch(request.url, {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${request.token}`,
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(request.payload),
+  });
+
+  const bodyText = await res.text().catch(() => '');
+  let bodyJson = null;
+  try {
+    bodyJson = bodyText ? JSON.parse(bodyText) : null;
+  } catch {
+    bodyJson = null;
+  }
+
+  const result = {
+    ok: res.ok,
+    status: res.ok ? 'OK' : 'HTTP_ERROR',
+    httpStatus: res.status,
+    mode,
+    channel,
+    response: bodyJson ?? bodyText,
+    request: { url: request.url, payload: request.payload },
+    context,
+    timestamp: new Date().toISOString(),
+  };
+
+  await writeArtifacts(result);
+  return result;
+}
@@ -0,0 +1,243 @@
+import crypto from 'node:crypto';
+import { createRng } from './bandit-policy.mjs';
+import { sendChannelMessage } from './message-sender.mjs';
+import { generateResponse } from './response-generator.mjs';
+import { STRATEGIES, pickPolicyStrategy } from './strategy-selection.mjs';
+import { syncMemoryStrategies } from './strategy-registry.mjs';
+import { classifyMessage } from './message-classifier.mjs';
+import { findLeadByPhone } from './leads.mjs';
+import { cancelQueuedCalls } from './call-scheduler.mjs';
+import { detectOptIn, detectOptOut, guardOutbound, loadCompliancePolicy, recordOptIn, recordOptOut } from './compliance.mjs';
+
+export const MESSAGING_CHANNELS = {
+  whatsapp: { route: '/webhooks/whatsapp', channel: 'whatsapp', leadPrefix: 'wa' },
+  instagram: { route: '/webhooks/instagram', channel: 'instagram_dm', leadPrefix: 'ig' },
+};
+
+function getEnv(name, fallback = '') {
+  const value = process.env[name];
+  if (typeof value !== 'string') return fallback;
+  return value.trim();
+}
+
+// Meta's subscription handshake: echo hub.challenge when the verify token matches.
+export function verifySubscription(searchParams, verifyToken) {
+  if (searchParams.get('hub.mode') !== 'subscribe') return { ok: false, reason: 'BAD_MODE' };
+  if (!verifyToken) return { ok: false, reason: 'VERIFY_TOKEN_NOT_CONFIGURED' };
+  if (searchParams.get('hub.verify_token') !== verifyToken) return { ok: false, reason: 'BAD_VERIFY_TOKEN' };
+  return { ok: true, challenge: searchParams.get('hub.challenge') ?? '' };
+}
+
+export function verifyHubSignature({ rawBody, signatureHeader, secret }) {
+  const header = String(signatureHeader ?? '').trim();
+  if (!header) return { ok: false, reason: 'MISSING_SIGNATURE' };
+  if (!header.startsWith('sha256=')) return { ok: false, reason: 'BAD_SIGNATURE' };
+
+  const expected = crypto.createHmac('sha256', secret).update(rawBody).digest();
+  const provided = Buffer.from(header.slice('sha256='.length), 'hex');
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    return { ok: false, reason: 'BAD_SIGNATURE' };
+  }
+  return { ok: true };
+}
+
+export function extractWhatsAppMessages(payload) {
+  const messages = [];
+  for (const entry of payload?.entry ?? []) {
+    for (const change of entry?.changes ?? []) {
+      if (change?.field !== 'messages') continue;
+      const value = change.value ?? {};
+      const names = Object.fromEntries((value.contacts ?? []).map((c) => [c?.wa_id, c?.profile?.name]));
+      for (const message of value.messages ?? []) {
+        const text = message?.type === 'text' ? message.text?.body : message?.button?.text ?? message?.interactive?.button_reply?.title;
+        if (typeof text !== 'string' || !text.trim()) continue;
+        messages.push({
+          platform: 'whatsapp',
+          messageId: message.id ?? null,
+          from: String(message.from ?? ''),
+          name: names[message.from] ?? null,
+          text: text.trim(),
+          businessAccountId: value.metadata?.phone_number_id ?? null,
+          timestamp: message.timestamp ? new Date(Number(message.timestamp) * 1000).toISOString() : new Date().toISOString(),
+        });
+      }
+    }
+  }
+  return messages;
+}
+
+export function extractInstagramMessages(payload) {
+  const messages = [];
+  for (const entry of payload?.entry ?? []) {
+    for (const event of entry?.messaging ?? []) {
+      const message = event?.message;
+      if (!message || message.is_echo || typeof message.text !== 'string' || !message.text.trim()) continue;
+      messages.push({
+        platform: 'instagram',
+        messageId: message.mid ?? null,
+        from: String(event.sender?.id ?? ''),
+        name: null,
+        text: message.text.trim(),
+        businessAccountId: event.recipient?.id ?? entry.id ?? null,
+        timestamp: event.timestamp ? new Date(Number(event.timestamp)).toISOString() : new Date().toISOString(),
+      });
+    }
+  }
+  return messages;
+}
+
+// Every new message is classified; a message without an objection keeps the one the lead raised before.
+function buildLead(message, existing, classification, inbound = {}) {
+  const { channel, leadPrefix } = MESSAGING_CHANNELS[message.platform];
+  const keepsObjection = !classification.objections.length && existing?.objectionType && existing.objectionType !== 'unknown';
+  return {
+    ...existing,
+    id: existing?.id ?? `${leadPrefix}-${message.from}`,
+    // A name we already have beats a WhatsApp profile name; Instagram never sends one, and templates greet an unnamed lead neutrally.
+    name: existing?.name ?? message.name ?? null,
+    channel,
+    ...(message.platform === 'whatsapp' ? { phoneNumber: `+${message.from}` } : { instagramId: message.from }),
+    offer: existing?.offer ?? inbound.offer ?? getEnv('INBOUND_DEFAULT_OFFER', 'our coaching program'),
+    goal: existing?.goal ?? inbound.goal ?? getEnv('INBOUND_DEFAULT_GOAL', 'Book a 20-minute discovery call'),
+    objectionType: keepsObjection ? existing.objectionType : classification.objectionType,
+    sentiment: classification.sentiment,
+    classification: { ...classification, lowConfidence: !keepsObjection && classification.lowConfidence, classifiedAt: message.timestamp },
+    // Writing to us on a channel is consent to be answered there; an explicit `false` is kept.
+    consent: { ...existing?.consent, [channel]: existing?.consent?.[channel] ?? true },
+    message: message.text,
+    source: existing?.source ?? 'inbound',
+    lastMessageId: message.messageId,
+    lastMessageAt: message.timestamp,
+  };
+}
+
+// Meta retries deliveries; a message id we already handled is acknowledged without a second reply.
+function isDuplicateMessage(existing, message) {
+  return !!(existing && message.messageId && existing.lastMessageId === message.messageId);
+}
+
+// A sender we already know by phone number (WhatsApp) or Instagram id keeps their lead, history and consent flags;
+// only an unknown sender gets a new `wa-`/`ig-` lead.
+function findInboundLead(leads, message) {
+  const id = `${MESSAGING_CHANNELS[message.platform].leadPrefix}-${message.from}`;
+  const known =
+    message.platform === 'whatsapp'
+      ? findLeadByPhone(leads, `+${message.from}`)
+      : leads.find((lead) => lead.instagramId && String(lead.instagramId) === message.from);
+  return known ?? leads.find((lead) => lead.id === id) ?? null;
+}
+
+async function upsertLead(storage, message) {
+  const known = findInboundLead(await storage.readLeads(), message);
+  if (isDuplicateMessage(known, message)) return { lead: known, duplicate: true };
+
+  // Classified outside the lock (it may call the LLM); the merge runs against the locked copy of the leads.
+  const classification = await classifyMessage(message.text);
+  let result;
+  await storage.updateLeads((leads) => {
+    const existing = findInboundLead(leads, message);
+    const index = existing ? leads.indexOf(existing) : -1;
+    if (isDuplicateMessage(existing, message)) {
+      result = { lead: existing, duplicate: true };
+      return undefined;
+    }
+    // New leads get the offer and goal of the workspace the message came in on.
+    const lead = buildLead(message, existing, classification, storage.workspace?.inbound);
+    if (index === -1) leads.push(lead);
+    else leads[index] = lead;
+    result = { lead, duplicate: false };
+    return leads;
+  });
+  return result;
+}
+
+// STOP-style messages put the sender on the do-not-contact list (all channels) and cancel queued calls; START lifts it.
+async function handleConsentKeywords({ storage, lead, message, policy }) {
+  const source = `inbound:${message.platform}`;
+  if (detectOptIn(message.text, policy)) {
+    const removed = await recordOptIn(storage, { lead, channel: lead.channel, source });
+    return { leadId: lead.id, messageId: message.messageId, optIn: true, removed: removed.length };
+  }
+  const optOut = detectOptOut(message.text, policy);
+  if (!optOut.optOut) return null;
+  await recordOptOut(storage, { lead, channel: lead.channel, match: optOut.match, source, quote: message.text.slice(0, 200) });
+  const cancelledCalls = await cancelQueuedCalls({ storage, leadId: lead.id });
+  return { leadId: lead.id, messageId: message.messageId, optOut: true, match: optOut.match, cancelledCalls };
+}
+
+export async function handleInboundMessages({ storage, messages, policyName }) {
+  const policy = await loadCompliancePolicy();
+  const results = [];
+  for (const message of messages) {
+    const { lead, duplicate } = await upsertLead(storage, message);
+    if (duplicate) {
+      results.push({ leadId: lead.id, messageId: message.messageId, duplicate: true });
+      continue;
+    }
+
+    const consentChange = await handleConsentKeywords({ storage, lead, message, policy });
+    if (consentChange) {
+      results.push(consentChange);
+      continue;
+    }
+    const source = `inbound:${message.platform}`;
+    const contact = await guardOutbound({ storage, lead, channel: lead.channel, source });
+    if (!contact.allowed) {
+      results.push({ leadId: lead.id, messageId: message.messageId, delivery: { ok: false, status: contact.status, mode: null } });
+      continue;
+    }
+
+    const memory = await storage.readMemory();
+    // Until the next run persists it, a newly added strategy still needs cold stats to be selectable.
+    syncMemoryStrategies(memory, STRATEGIES);
+    const selection = pickPolicyStrategy({ policyName, memory, lead, rng: createRng(message.messageId ?? lead.id) });
+    const reply = await generateResponse({ strategy: selection.strategy, lead });
+    const gate = await guardOutbound({ storage, lead, channel: lead.channel, text: reply.text, source });
+    const delivery = gate.allowed
+      ? await sendChannelMessage({
+          channel: lead.channel,
+          to: message.from,
+          text: reply.text,
+          context: { leadId: lead.id, strategy: selection.strategy, businessAccountId: message.businessAccountId },
+        })
+      : { ok: false, status: gate.status, mode: null };
+
+    await storage.appendInteractions([
+      {
+        runId: 'inbound',
+        timestamp: new Date().toISOString(),
+        epoch: null,
+        leadId: lead.id,
+        objectionType: lead.objectionType,
+        sentiment: lead.sentiment,
+        classificationConfidence: lead.classification.confidence,
+        strategy: selection.strategy,
+        score: null,
+        conversionProbability: null,
+        channel: lead.channel,
+        decision: selection.decision,
+        policy: selection.policy,
+        inboundMessageId: message.messageId,
+        inboundText: message.text.slice(0, 180),
+        responsePreview: reply.text.slice(0, 180),
+        responseSource: reply.source,
+        delivery: delivery.status,
+      },
+    ]);
+
+    results.push({
+      leadId: lead.id,
+      messageId: message.messageId,
+      objectionType: lead.objectionType,
+      sentiment: lead.sentiment,
+      classification: { confidence: lead.classification.confidence, source: lead.classification.source, lowConfidence: lead.classification.lowConfidence },
+      strategy: selection.strategy,
+      decision: selection.decision,
+      policy: selection.policy,
+      responseSource: reply.source,
+      delivery: { ok: !!delivery.ok, status: delivery.status, mode: delivery.mode ?? null },
+      complianceFlags: gate.flags,
+    });
+  }
+  return results;
+}
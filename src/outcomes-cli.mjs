@@ -0,0 +1,111 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { parseCsv } from './csv.mjs';
+import { ATTRIBUTION_MODELS, OUTCOME_TYPES, recordOutcomes, summarizeAttribution } from './outcomes.mjs';
+import { createStorage } from './storage.mjs';
+
+const COMMANDS = ['import', 'add', 'list', 'summary'];
+
+function getArg(name, fallback) {
+  const found = process.argv.find((a) => a.startsWith(`--${name}=`));
+  if (!found) return fallback;
+  const [, value] = found.split('=');
+  return value ?? fallback;
+}
+
+function printRecorded({ accepted, duplicates, rejected }) {
+  for (const outcome of accepted) {
+    const credits = outcome.attribution.map((c) => `${c.strategy}@${c.channel ?? '?'}:${c.credit}`).join(' ') || 'unattributed';
+    console.log(`+ ${outcome.id} ${outcome.leadId} ${outcome.outcome.padEnd(11)} revenue=${outcome.revenue} reward=${outcome.reward} | ${credits}`);
+  }
+  for (const rejection of rejected) {
+    console.log(`! row ${rejection.index + 1} (${rejection.leadId ?? '-'}): ${rejection.error}`);
+  }
+  console.log(`Recorded ${accepted.length}, duplicates ${duplicates}, rejected ${rejected.length}.`);
+  if (accepted.length) console.log('They are blended into learning on the next `pnpm demo` run.');
+}
+
+async function importCommand(storage) {
+  const file = getArg('file', undefined);
+  if (!file) throw new Error('Pass the CSV file, e.g. --file=data/sample-outcomes.csv');
+  const rows = parseCsv(await fs.readFile(path.resolve(file), 'utf-8'));
+  const result = await recordOutcomes({
+    storage,
+    rawOutcomes: rows,
+    source: `csv:${path.basename(file)}`,
+    model: getArg('attribution', 'last_touch'),
+  });
+  printRecorded(result);
+}
+
+async function addCommand(storage) {
+  const raw = Object.fromEntries(
+    ['id', 'leadId', 'outcome', 'revenue', 'currency', 'occurredAt', 'strategy', 'channel', 'notes']
+      .map((key) => [key, getArg(key, undefined)])
+      .filter(([, value]) => value !== undefined),
+  );
+  const result = await recordOutcomes({ storage, rawOutcomes: [raw], source: 'cli', model: getArg('attribution', 'last_touch') });
+  printRecorded(result);
+  if (result.rejected.length) process.exitCode = 1;
+}
+
+async function listCommand(storage) {
+  const outcomes = await storage.queryOutcomes({
+    leadId: getArg('leadId', undefined),
+    since: getArg('since', undefined),
+    limit: Number(getArg('limit', '20')),
+  });
+  if (getArg('json', 'false') === 'true') {
+    console.log(JSON.stringify(outcomes, null, 2));
+    return;
+  }
+  if (!outcomes.length) {
+    console.log('No outcomes recorded yet. Import some with `pnpm outcomes:import`.');
+    return;
+  }
+  for (const outcome of outcomes) {
+    const credits = outcome.attribution.map((c) => `${c.strategy}@${c.channel ?? '?'}:${c.credit}`).join(' ') || 'unattributed';
+    console.log(
+      `${outcome.occurredAt.slice(0, 19)} | ${outcome.leadId} | ${outcome.outcome.padEnd(11)} | revenue=${String(outcome.revenue).padEnd(7)} | reward=${outcome.reward} | ${outcome.source} | ${credits}`,
+    );
+  }
+}
+
+async function summaryCommand(storage) {
+  const summary = summarizeAttribution(await storage.queryOutcomes({ since: getArg('since', undefined) }));
+  if (getArg('json', 'false') === 'true') {
+    console.log(JSON.stringify(summary, null, 2));
+    return;
+  }
+  console.log(`Outcomes: ${summary.outcomes} (unattributed ${summary.unattributed})`);
+  for (const [strategy, channels] of Object.entries(summary.byStrategy)) {
+    for (const [channel, entry] of Object.entries(channels)) {
+      const counts = OUTCOME_TYPES.map((type) => `${type}=${entry[type]}`).join(' ');
+      console.log(`  ${strategy.padEnd(12)} ${channel.padEnd(12)} credit=${entry.credit} revenue=${entry.revenue} | ${counts}`);
+    }
+  }
+}
+
+async function main() {
+  const command = process.argv[2];
+  if (!COMMANDS.includes(command)) {
+    throw new Error(
+      `Usage: node src/outcomes-cli.mjs <${COMMANDS.join('|')}> [--file=outcomes.csv] [--attribution=${ATTRIBUTION_MODELS.join('|')}]`,
+    );
+  }
+
+  const storage = await createStorage({ backend: getArg('storage', undefined), workspace: getArg('workspace', undefined) });
+  try {
+    if (command === 'import') await importCommand(storage);
+    if (command === 'add') await addCommand(storage);
+    if (command === 'list') await listCommand(storage);
+    if (command === 'summary') await summaryCommand(storage);
+  } finally {
+    await storage.close();
+  }
+}
+
+main().catch((error) => {
+  console.error(error.message ?? error);
+  process.exit(1);
+});
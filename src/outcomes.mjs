@@ -0,0 +1,192 @@
+import crypto from 'node:crypto';
+import { STRATEGIES } from './strategy-selection.mjs';
+
+export const OUTCOME_TYPES = ['booked', 'paid', 'no_response', 'lost'];
+export const ATTRIBUTION_MODELS = ['last_touch', 'linear'];
+
+// Real outcomes on the evaluator's 1..10 scale, so they can be blended into the same memory.
+const OUTCOME_BASE_REWARD = {
+  paid: 9,
+  booked: 8,
+  no_response: 3,
+  lost: 1.5,
+};
+
+const OUTCOME_ALIASES = {
+  'no response': 'no_response',
+  'no-response': 'no_response',
+  noresponse: 'no_response',
+  won: 'paid',
+  closed_won: 'paid',
+  closed_lost: 'lost',
+};
+
+function pick(raw, ...keys) {
+  for (const key of keys) {
+    const value = raw?.[key];
+    if (value !== undefined && value !== null && String(value).trim() !== '') return value;
+  }
+  return null;
+}
+
+export function computeOutcomeReward({ outcome, revenue }) {
+  const base = OUTCOME_BASE_REWARD[outcome];
+  if (base === undefined) return null;
+  // Revenue adds up to one point (10k in any currency saturates), only for won deals.
+  const bonus = (outcome === 'paid' || outcome === 'booked') && revenue > 0 ? Math.min(1, Math.log10(1 + revenue) / 4) : 0;
+  return Number(Math.min(10, base + bonus).toFixed(2));
+}
+
+export function normalizeOutcome(raw, { source = 'api', leadIds = null } = {}) {
+  const leadId = String(pick(raw, 'leadId', 'lead_id') ?? '').trim();
+  if (!leadId) return { ok: false, error: 'MISSING_LEAD_ID' };
+  if (leadIds && !leadIds.has(leadId)) return { ok: false, error: `UNKNOWN_LEAD: ${leadId}` };
+
+  const rawOutcome = String(pick(raw, 'outcome', 'status') ?? '').trim().toLowerCase();
+  const outcome = OUTCOME_ALIASES[rawOutcome] ?? rawOutcome;
+  if (!OUTCOME_TYPES.includes(outcome)) {
+    return { ok: false, error: `INVALID_OUTCOME: ${rawOutcome || '(empty)'} (expected ${OUTCOME_TYPES.join(', ')})` };
+  }
+
+  const rawRevenue = pick(raw, 'revenue', 'amount');
+  const revenue = rawRevenue === null ? 0 : Number(rawRevenue);
+  if (!Number.isFinite(revenue) || revenue < 0) return { ok: false, error: `INVALID_REVENUE: ${rawRevenue}` };
+
+  const rawOccurredAt = pick(raw, 'occurredAt', 'occurred_at', 'date');
+  const occurredAt = rawOccurredAt === null ? new Date() : new Date(rawOccurredAt);
+  if (Number.isNaN(occurredAt.getTime())) return { ok: false, error: `INVALID_DATE: ${rawOccurredAt}` };
+
+  const strategy = pick(raw, 'strategy');
+  if (strategy !== null && !STRATEGIES.includes(strategy)) return { ok: false, error: `UNKNOWN_STRATEGY: ${strategy}` };
+
+  const occurredAtIso = occurredAt.toISOString();
+  // A stable id makes re-importing the same CSV a no-op.
+  const id =
+    pick(raw, 'id', 'outcomeId', 'outcome_id') ??
+    `out-${crypto.createHash('sha256').update(`${leadId}|${outcome}|${occurredAtIso}`).digest('hex').slice(0, 12)}`;
+
+  return {
+    ok: true,
+    outcome: {
+      id: String(id),
+      leadId,
+      outcome,
+      revenue,
+      currency: pick(raw, 'currency') ?? null,
+      occurredAt: occurredAtIso,
+      strategy,
+      channel: pick(raw, 'channel'),
+      notes: pick(raw, 'notes'),
+      source,
+    },
+  };
+}
+
+// Everything that touched the lead before the outcome: text interactions and voice calls.
+function collectTouches({ interactions, callEvents, occurredAt }) {
+  const touches = [
+    ...interactions.map((row) => ({
+      strategy: row.strategy,
+      channel: row.channel ?? null,
+      runId: row.runId ?? null,
+      timestamp: row.timestamp ?? null,
+    })),
+    ...callEvents.map(({ event }) => ({
+      strategy: event?.selectedStrategy ?? null,
+      channel: 'voice',
+      runId: null,
+      timestamp: event?.receivedAt ?? null,
+    })),
+  ];
+  return touches
+    .filter((touch) => STRATEGIES.includes(touch.strategy) && (!touch.timestamp || touch.timestamp <= occurredAt))
+    .sort((a, b) => String(a.timestamp ?? '').localeCompare(String(b.timestamp ?? '')));
+}
+
+export function attributeOutcome({ outcome, interactions = [], callEvents = [], model = 'last_touch' }) {
+  const touches = collectTouches({ interactions, callEvents, occurredAt: outcome.occurredAt });
+  const last = touches.at(-1) ?? null;
+
+  if (outcome.strategy) {
+    return [{ strategy: outcome.strategy, channel: outcome.channel ?? last?.channel ?? null, runId: null, timestamp: null, credit: 1 }];
+  }
+  if (!touches.length) return [];
+  if (model === 'last_touch') return [{ ...last, credit: 1 }];
+
+  // linear: equal credit per touch, merged by strategy and channel.
+  const merged = new Map();
+  for (const touch of touches) {
+    const key = `${touch.strategy}|${touch.channel}`;
+    const entry = merged.get(key) ?? { ...touch, credit: 0 };
+    entry.credit += 1 / touches.length;
+    entry.runId = touch.runId;
+    entry.timestamp = touch.timestamp;
+    merged.set(key, entry);
+  }
+  return [...merged.values()].map((entry) => ({ ...entry, credit: Number(entry.credit.toFixed(4)) }));
+}
+
+export async function recordOutcomes({ storage, rawOutcomes, source = 'api', model = 'last_touch' }) {
+  if (!ATTRIBUTION_MODELS.includes(model)) {
+    throw new Error(`Unknown attribution model: ${model}. Expected one of: ${ATTRIBUTION_MODELS.join(', ')}`);
+  }
+  const leads = await storage.readLeads();
+  const leadIds = new Set(leads.map((lead) => lead.id));
+  const leadChannels = new Map(leads.map((lead) => [lead.id, lead.channel ?? null]));
+  const records = [];
+  const rejected = [];
+
+  for (const [index, raw] of rawOutcomes.entries()) {
+    const normalized = normalizeOutcome(raw, { source, leadIds });
+    if (!normalized.ok) {
+      rejected.push({ index, leadId: raw?.leadId ?? raw?.lead_id ?? null, error: normalized.error });
+      continue;
+    }
+    const { outcome } = normalized;
+    const [interactions, callEvents] = await Promise.all([
+      storage.queryInteractions({ leadId: outcome.leadId }),
+      storage.queryCallEvents({ leadId: outcome.leadId }),
+    ]);
+    // Interactions logged before channels were recorded fall back to the lead's text channel.
+    const withChannels = interactions.map((row) => ({ ...row, channel: row.channel ?? leadChannels.get(outcome.leadId) }));
+    const attribution = attributeOutcome({ outcome, interactions: withChannels, callEvents, model });
+    records.push({
+      ...outcome,
+      reward: computeOutcomeReward(outcome),
+      attributionModel: model,
+      attribution,
+      recordedAt: new Date().toISOString(),
+    });
+  }
+
+  const accepted = await storage.appendOutcomes(records);
+  return { accepted, duplicates: records.length - accepted.length, rejected };
+}
+
+// Older outcomes say less about the current templates and policy.
+export function outcomeDecay(occurredAt, now, halfLifeDays) {
+  if (!(halfLifeDays > 0)) return 1;
+  const ageDays = Math.max(0, (new Date(now).getTime() - new Date(occurredAt).getTime()) / 86400000);
+  return 0.5 ** (ageDays / halfLifeDays);
+}
+
+export function summarizeAttribution(outcomes) {
+  const byStrategy = {};
+  let unattributed = 0;
+  for (const outcome of outcomes) {
+    if (!outcome.attribution?.length) unattributed += 1;
+    for (const credit of outcome.attribution ?? []) {
+      const channel = credit.channel ?? 'unknown';
+      byStrategy[credit.strategy] ??= {};
+      const entry = (byStrategy[credit.strategy][channel] ??= {
+        credit: 0,
+        revenue: 0,
+        ...Object.fromEntries(OUTCOME_TYPES.map((type) => [type, 0])),
+      });
+      entry.credit = Number((entry.credit + credit.credit).toFixed(4));
+      entry[outcome.outcome] = Number((entry[outcome.outcome] + credit.credit).toFixed(4));
+      entry.revenue = Number((entry.revenue + outcome.revenue * credit.credit).toFixed(2));
+    }
+  }
+  return { outcomes: outcomes.length, unattributed, byStrategy };
+}
@@ -0,0 +1,103 @@
+import { createStorage } from './storage.mjs';
+import { diffSnapshots, resolveSnapshot, restoreSnapshot, savePolicySnapshot } from './policy-snapshots.mjs';
+
+const COMMANDS = ['list', 'diff', 'rollback'];
+
+function getArg(name, fallback) {
+  const found = process.argv.find((a) => a.startsWith(`--${name}=`));
+  if (!found) return fallback;
+  const [, value] = found.split('=');
+  return value ?? fallback;
+}
+
+function signed(value) {
+  if (value === null || value === undefined) return 'n/a';
+  return `${value >= 0 ? '+' : ''}${value}`;
+}
+
+async function listCommand(storage) {
+  const snapshots = await storage.listPolicySnapshots();
+  if (!snapshots.length) {
+    console.log('No policy snapshots yet. Run `pnpm demo` to create one.');
+    return;
+  }
+  for (const snapshot of snapshots) {
+    const mapping = Object.entries(snapshot.objectionPolicy ?? {})
+      .map(([objectionType, strategy]) => `${objectionType}=${strategy}`)
+      .join(' ');
+    console.log(
+      `${snapshot.id.padEnd(5)} | ${snapshot.createdAt.slice(0, 19)} | ${String(snapshot.runId ?? '-').padEnd(26)} | ${String(snapshot.reason).padEnd(12)} | eps=${snapshot.epsilon ?? 'n/a'} | last avg=${snapshot.summary?.lastEpochAvg ?? 'n/a'} | ${mapping || '(no mapping)'}`,
+    );
+  }
+}
+
+async function diffCommand(storage) {
+  const from = await resolveSnapshot(storage, getArg('from', 'previous'));
+  const to = await resolveSnapshot(storage, getArg('to', 'latest'));
+  if (!from || !to) throw new Error('Snapshot not found. Use `pnpm policy:list` to see available versions.');
+
+  const diff = diffSnapshots(from, to);
+  if (getArg('json', 'false') === 'true') {
+    console.log(JSON.stringify(diff, null, 2));
+    return;
+  }
+
+  console.log(`Diff ${diff.from} -> ${diff.to}`);
+  console.log(`epsilon: ${diff.epsilon.from} -> ${diff.epsilon.to} (${signed(diff.epsilon.delta)})`);
+  console.log(`last epoch avg: ${diff.lastEpochAvg.from ?? 'n/a'} -> ${diff.lastEpochAvg.to ?? 'n/a'} (${signed(diff.lastEpochAvg.delta)})`);
+
+  console.log('\nObjection mapping changes:');
+  if (!diff.objectionPolicy.length) console.log('  (none)');
+  for (const change of diff.objectionPolicy) {
+    console.log(`  ${change.objectionType.padEnd(12)} ${change.from ?? '-'} -> ${change.to ?? '-'}`);
+  }
+
+  console.log('\nStrategy averages:');
+  for (const [strategy, stats] of Object.entries(diff.strategyStats)) {
+    console.log(`  ${strategy.padEnd(12)} ${stats.avgFrom ?? 'n/a'} -> ${stats.avgTo ?? 'n/a'} (${signed(stats.avgDelta)}, uses ${signed(stats.usesDelta)})`);
+  }
+
+  console.log('\nObjection score deltas:');
+  if (!diff.objectionStats.length) console.log('  (none)');
+  for (const row of diff.objectionStats) {
+    console.log(`  ${row.objectionType.padEnd(12)} ${row.strategy.padEnd(12)} mean ${row.meanFrom ?? 'n/a'} -> ${row.meanTo} (${signed(row.meanDelta)}, n ${signed(row.countDelta)})`);
+  }
+}
+
+async function rollbackCommand(storage) {
+  const ref = getArg('to', undefined);
+  if (!ref) throw new Error('Pass the version to restore, e.g. --to=v3 (or a run id).');
+  const target = await resolveSnapshot(storage, ref);
+  if (!target) throw new Error(`Snapshot not found: ${ref}`);
+
+  // Snapshot the current state first so the rollback itself can be undone.
+  const memory = await storage.readMemory();
+  const backup = await savePolicySnapshot({ storage, memory, runId: null, reason: 'pre-rollback' });
+  const restored = restoreSnapshot(memory, target);
+  await storage.writeMemory(restored);
+  await savePolicySnapshot({ storage, memory: restored, runId: null, reason: `rollback:${target.id}`, summary: target.summary });
+
+  console.log(`Restored policy ${target.id} (run ${target.runId ?? '-'}, epsilon ${target.epsilon}).`);
+  console.log(`Previous state saved as ${backup.id}; undo with --to=${backup.id}.`);
+}
+
+async function main() {
+  const command = process.argv[2];
+  if (!COMMANDS.includes(command)) {
+    throw new Error(`Usage: node src/policy-cli.mjs <${COMMANDS.join('|')}> [--from=v1 --to=v2]`);
+  }
+
+  const storage = await createStorage({ backend: getArg('storage', undefined), workspace: getArg('workspace', undefined) });
+  try {
+    if (command === 'list') await listCommand(storage);
+    if (command === 'diff') await diffCommand(storage);
+    if (command === 'rollback') await rollbackCommand(storage);
+  } finally {
+    await storage.close();
+  }
+}
+
+main().catch((error) => {
+  console.error(error.message ?? error);
+  process.exit(1);
+});
@@ -0,0 +1,102 @@
+function round(value, digits = 4) {
+  return Number(value.toFixed(digits));
+}
+
+function delta(from, to) {
+  return Number.isFinite(from) && Number.isFinite(to) ? round(to - from) : null;
+}
+
+// Everything the agent has learned; the history window and run counter stay with the live memory.
+function learnedState(memory) {
+  const { history, runs, ...state } = memory;
+  return structuredClone(state);
+}
+
+// The storage assigns `id` and `version` while it holds the snapshot lock, so concurrent saves never share a vN.
+export async function savePolicySnapshot({ storage, memory, runId, reason = 'run', summary = null }) {
+  return storage.savePolicySnapshot({
+    runId,
+    reason,
+    createdAt: new Date().toISOString(),
+    runs: memory.runs,
+    epsilon: memory.policy?.epsilon ?? null,
+    objectionPolicy: structuredClone(memory.objectionPolicy ?? {}),
+    summary,
+    state: learnedState(memory),
+  });
+}
+
+export async function resolveSnapshot(storage, ref) {
+  const snapshots = await storage.listPolicySnapshots();
+  if (!snapshots.length) return null;
+  if (!ref || ref === 'latest') return snapshots[snapshots.length - 1];
+  if (ref === 'previous') return snapshots[snapshots.length - 2] ?? null;
+  const id = /^\d+$/.test(ref) ? `v${ref}` : ref;
+  return snapshots.find((snapshot) => snapshot.id === id || snapshot.runId === ref) ?? null;
+}
+
+export function diffSnapshots(from, to) {
+  const objectionTypes = new Set([...Object.keys(from.objectionPolicy ?? {}), ...Object.keys(to.objectionPolicy ?? {})]);
+  const objectionPolicy = [];
+  for (const objectionType of objectionTypes) {
+    const before = from.objectionPolicy?.[objectionType] ?? null;
+    const after = to.objectionPolicy?.[objectionType] ?? null;
+    if (before !== after) objectionPolicy.push({ objectionType, from: before, to: after });
+  }
+
+  const strategyStats = {};
+  const strategies = new Set([...Object.keys(from.state?.strategyStats ?? {}), ...Object.keys(to.state?.strategyStats ?? {})]);
+  for (const strategy of strategies) {
+    const before = from.state?.strategyStats?.[strategy];
+    const after = to.state?.strategyStats?.[strategy];
+    strategyStats[strategy] = {
+      avgFrom: before?.avgScore ?? null,
+      avgTo: after?.avgScore ?? null,
+      avgDelta: delta(before?.avgScore, after?.avgScore),
+      usesDelta: (after?.uses ?? 0) - (before?.uses ?? 0),
+    };
+  }
+
+  const objectionStats = [];
+  const statTypes = new Set([...Object.keys(from.state?.objectionStats ?? {}), ...Object.keys(to.state?.objectionStats ?? {})]);
+  for (const objectionType of statTypes) {
+    const before = from.state?.objectionStats?.[objectionType] ?? {};
+    const after = to.state?.objectionStats?.[objectionType] ?? {};
+    for (const strategy of new Set([...Object.keys(before), ...Object.keys(after)])) {
+      const meanDelta = delta(before[strategy]?.mean ?? 0, after[strategy]?.mean ?? 0);
+      const countDelta = round((after[strategy]?.count ?? 0) - (before[strategy]?.count ?? 0));
+      if (meanDelta === 0 && countDelta === 0) continue;
+      objectionStats.push({
+        objectionType,
+        strategy,
+        meanFrom: before[strategy]?.mean ?? null,
+        meanTo: after[strategy]?.mean ?? null,
+        meanDelta,
+        countDelta,
+      });
+    }
+  }
+
+  return {
+    from: from.id,
+    to: to.id,
+    epsilon: { from: from.epsilon, to: to.epsilon, delta: delta(from.epsilon, to.epsilon) },
+    lastEpochAvg: {
+      from: from.summary?.lastEpochAvg ?? null,
+      to: to.summary?.lastEpochAvg ?? null,
+      delta: delta(from.summary?.lastEpochAvg, to.summary?.lastEpochAvg),
+    },
+    objectionPolicy,
+    strategyStats,
+    objectionStats,
+  };
+}
+
+export function restoreSnapshot(memory, snapshot) {
+  return {
+    ...structuredClone(snapshot.state),
+    runs: memory.runs,
+    history: memory.history ?? [],
+    restoredFrom: { id: snapshot.id, runId: snapshot.runId ?? null, at: new Date().toISOString() },
+  };
+}
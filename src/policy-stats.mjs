@@ -0,0 +1,108 @@
+function round(value, digits = 4) {
+  return Number(value.toFixed(digits));
+}
+
+function createStats() {
+  return { count: 0, mean: 0, m2: 0, variance: 0 };
+}
+
+// Weighted Welford update, so down-weighted feedback (e.g. voice) can share the same stats.
+export function updateRunningStats(stats, value, weight = 1) {
+  const count = stats.count + weight;
+  const delta = value - stats.mean;
+  const mean = stats.mean + (weight / count) * delta;
+  const m2 = stats.m2 + weight * delta * (value - mean);
+
+  stats.count = round(count);
+  stats.mean = round(mean);
+  stats.m2 = round(Math.max(0, m2), 6);
+  stats.variance = stats.count > 1 ? round(stats.m2 / (stats.count - 1)) : 0;
+  return stats;
+}
+
+export function confidenceInterval(stats, { z = 1.96, minSamples = 2 } = {}) {
+  if (!stats || stats.count < minSamples) {
+    return { lower: -Infinity, upper: Infinity };
+  }
+  const halfWidth = z * Math.sqrt(stats.variance / stats.count);
+  return { lower: round(stats.mean - halfWidth), upper: round(stats.mean + halfWidth) };
+}
+
+export function ensureObjectionStats(memory, objectionType, strategies) {
+  if (!memory.objectionStats || typeof memory.objectionStats !== 'object') {
+    memory.objectionStats = {};
+  }
+
+  const key = objectionType || 'unknown';
+  const byStrategy = memory.objectionStats[key] || {};
+  for (const strategy of strategies) {
+    if (!byStrategy[strategy]) byStrategy[strategy] = createStats();
+  }
+  memory.objectionStats[key] = byStrategy;
+  return byStrategy;
+}
+
+export function recordObjectionScore(memory, objectionType, strategy, score, weight = 1) {
+  const byStrategy = ensureObjectionStats(memory, objectionType, [strategy]);
+  return updateRunningStats(byStrategy[strategy], score, weight);
+}
+
+function describe(strategy, stats, interval) {
+  return {
+    strategy,
+    count: stats.count,
+    mean: stats.mean,
+    variance: stats.variance,
+    lower: Number.isFinite(interval.lower) ? interval.lower : null,
+    upper: Number.isFinite(interval.upper) ? interval.upper : null,
+  };
+}
+
+// The incumbent is only replaced when a challenger's lower bound clears its upper bound.
+export function reviseObjectionPolicy({ memory, objectionType, strategies, z, minSamples }) {
+  const byStrategy = ensureObjectionStats(memory, objectionType, strategies);
+  const options = {
+    z: z ?? memory.policy?.confidenceZ ?? 1.96,
+    minSamples: minSamples ?? memory.policy?.minPolicySamples ?? 2,
+  };
+
+  const observed = strategies.filter((strategy) => byStrategy[strategy].count > 0);
+  if (!observed.length) return null;
+
+  const challenger = observed.reduce((best, strategy) =>
+    byStrategy[strategy].mean > byStrategy[best].mean ? strategy : best,
+  );
+  const incumbent = memory.objectionPolicy?.[objectionType];
+
+  if (!incumbent || !strategies.includes(incumbent)) {
+    memory.objectionPolicy[objectionType] = challenger;
+    return {
+      objectionType,
+      from: incumbent ?? null,
+      to: challenger,
+      reason: 'INITIAL_ASSIGNMENT',
+      challenger: describe(challenger, byStrategy[challenger], confidenceInterval(byStrategy[challenger], options)),
+      incumbent: null,
+    };
+  }
+
+  if (challenger === incumbent) return null;
+
+  const challengerInterval = confidenceInterval(byStrategy[challenger], options);
+  const incumbentInterval = confidenceInterval(byStrategy[incumbent], options);
+  const incumbentUnobserved = byStrategy[incumbent].count === 0;
+
+  if (!incumbentUnobserved && !(challengerInterval.lower > incumbentInterval.upper)) return null;
+  if (incumbentUnobserved && byStrategy[challenger].count < options.minSamples) return null;
+
+  memory.objectionPolicy[objectionType] = challenger;
+  return {
+    objectionType,
+    from: incumbent,
+    to: challenger,
+    reason: incumbentUnobserved ? 'INCUMBENT_UNOBSERVED' : 'CHALLENGER_LCB_ABOVE_INCUMBENT_UCB',
+    z: options.z,
+    challenger: describe(challenger, byStrategy[challenger], challengerInterval),
+    incumbent: describe(incumbent, byStrategy[incumbent], incumbentInterval),
+  };
+}
@@ -6,7 +6,12 @@ import { fileURLToPath } from 'node:url';
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const ROOT = path.resolve(__dirname, '..');
-const SAMPLE_PATH = path.join(ROOT, 'data', 'sample-post-call-webhook.json');
+const SAMPLES = {
+  elevenlabs: { file: 'sample-post-call-webhook.json', route: '/webhooks/elevenlabs' },
+  'call-failure': { file: 'sample-call-failure-webhook.json', route: '/webhooks/elevenlabs' },
+  whatsapp: { file: 'sample-whatsapp-webhook.json', route: '/webhooks/whatsapp' },
+  instagram: { file: 'sample-instagram-webhook.json', route: '/webhooks/instagram' },
+};
 
 function getArg(name, fallback) {
   const found = process.argv.find((a) => a.startsWith(`--${name}=`));
@@ -16,15 +21,25 @@ function getArg(name, fallback) {
 }
 
 async function main() {
-  const url = getArg('url', 'http://localhost:8787/webhooks/elevenlabs');
-  const raw = await fs.readFile(SAMPLE_PATH, 'utf-8');
+  const channel = getArg('channel', 'elevenlabs');
+  const sample = SAMPLES[channel];
+  if (!sample) {
+    throw new Error(`Unknown --channel=${channel}. Expected one of: ${Object.keys(SAMPLES).join(', ')}`);
+  }
+  const url = getArg('url', `http://localhost:8787${sample.route}`);
+  const raw = await fs.readFile(path.join(ROOT, 'data', sample.file), 'utf-8');
   const payload = JSON.parse(raw);
   const secret = String(process.env.ELEVENLABS_WEBHOOK_SECRET ?? '').trim();
+  const metaSecret = String(process.env.META_APP_SECRET ?? '').trim();
 
   const headers = { 'Content-Type': 'application/json' };
   const body = JSON.stringify(payload);
 
-  if (secret) {
+  if (sample.route !== '/webhooks/elevenlabs') {
+    if (metaSecret) {
+      headers['X-Hub-Signature-256'] = `sha256=${crypto.createHmac('sha256', metaSecret).update(body).digest('hex')}`;
+    }
+  } else if (secret) {
     const timestamp = Math.floor(Date.now() / 1000);
     const signature = crypto
       .createHmac('sha256', secret)
@@ -1,31 +1,36 @@
-import fs from 'node:fs/promises';
-import path from 'node:path';
-import { fileURLToPath } from 'node:url';
+import { createStorage } from './storage.mjs';
+import { createInitialMemory } from './storage-schema.mjs';
+import { savePolicySnapshot } from './policy-snapshots.mjs';
+import { emptyQueue, getQueueName } from './call-scheduler.mjs';
+import { refreshGlobalPriors } from './global-priors.mjs';
+import { inheritGlobalPriors } from './workspaces.mjs';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-const ROOT = path.resolve(__dirname, '..');
-const MEMORY_PATH = path.join(ROOT, 'data', 'memory.json');
+function getArg(name, fallback) {
+  const found = process.argv.find((a) => a.startsWith(`--${name}=`));
+  if (!found) return fallback;
+  const [, value] = found.split('=');
+  return value ?? fallback;
+}
 
-const INITIAL_MEMORY = {
-  runs: 0,
-  policy: {
-    epsilon: 0.45,
-    decay: 0.7,
-    minEpsilon: 0.05,
-  },
-  strategyStats: {
-    consultative: { uses: 0, totalScore: 0, avgScore: 0 },
-    social_proof: { uses: 0, totalScore: 0, avgScore: 0 },
-    urgent_offer: { uses: 0, totalScore: 0, avgScore: 0 },
-  },
-  objectionPolicy: {},
-  history: [],
-};
+// A workspace configured with global priors is reset back to the policy pooled from the other workspaces, not to a cold start.
+async function startingMemory(storage) {
+  const { workspace } = storage;
+  if (workspace.isDefault || workspace.priors.from !== 'global') return createInitialMemory();
+  const { memory: globalMemory } = await refreshGlobalPriors({ backend: storage.backend, exclude: workspace.id });
+  return inheritGlobalPriors(globalMemory, { strength: workspace.priors.strength });
+}
 
 async function main() {
-  await fs.writeFile(MEMORY_PATH, JSON.stringify(INITIAL_MEMORY, null, 2) + '\n', 'utf-8');
-  console.log(`Reset memory at: ${MEMORY_PATH}`);
+  // Only the learned memory (and the dry-run call queue) is reset; the interaction history is kept for auditing.
+  const storage = await createStorage({ backend: getArg('storage', undefined), workspace: getArg('workspace', undefined) });
+  const current = await storage.readMemory().catch(() => null);
+  const backup = current?.runs ? await savePolicySnapshot({ storage, memory: current, runId: null, reason: 'pre-reset' }) : null;
+  await storage.writeMemory(await startingMemory(storage));
+  // Simulated calls would otherwise keep leads in cooldown across demos. The live queue is never touched.
+  await storage.writeDocument(getQueueName('dry-run'), emptyQueue());
+  await storage.close();
+  console.log(`Reset memory${storage.workspace.isDefault ? '' : ` of workspace ${storage.workspace.id}`} in ${storage.backend} storage: ${storage.location}`);
+  if (backup) console.log(`Previous policy saved as ${backup.id} (restore with \`pnpm policy:rollback --to=${backup.id}${storage.workspace.isDefault ? '' : ` --workspace=${storage.workspace.id}`}\`).`);
 }
 
 main().catch((error) => {
@@ -0,0 +1,161 @@
+import { requestChatJson } from './llm-evaluator.mjs';
+import { STRATEGY_REGISTRY } from './strategy-registry.mjs';
+
+// Sentence blocks with {field} placeholders, so variants can be stored in memory and recombined.
+export const STRATEGY_TEMPLATES = Object.fromEntries(STRATEGY_REGISTRY.active.map((strategy) => [strategy.id, strategy.template]));
+
+const STRATEGY_GUIDANCE = Object.fromEntries(STRATEGY_REGISTRY.active.map((strategy) => [strategy.id, strategy.guidance]));
+
+function getEnv(name, fallback = '') {
+  const value = process.env[name];
+  if (typeof value !== 'string') return fallback;
+  return value.trim();
+}
+
+function getGeneratorConfig() {
+  const mode = getEnv('GENERATOR_MODE', 'auto').toLowerCase();
+  const apiUrl = getEnv('GENERATOR_API_URL', getEnv('EVALUATOR_API_URL', 'https://api.openai.com/v1/chat/completions'));
+  const apiKey = getEnv('GENERATOR_API_KEY', getEnv('EVALUATOR_API_KEY', ''));
+  const model = getEnv('GENERATOR_MODEL', getEnv('EVALUATOR_MODEL', 'gpt-4o-mini'));
+  const timeoutMs = Number(getEnv('GENERATOR_TIMEOUT_MS', '12000'));
+  const temperature = Number(getEnv('GENERATOR_TEMPERATURE', '0.4'));
+
+  return {
+    mode,
+    apiUrl,
+    apiKey,
+    model,
+    timeoutMs: Number.isFinite(timeoutMs) && timeoutMs > 0 ? timeoutMs : 12000,
+    temperature: Number.isFinite(temperature) ? temperature : 0.4,
+  };
+}
+
+function shouldGenerate(config) {
+  if (config.mode === 'template') return false;
+  if (config.mode === 'llm') return true;
+  return !!config.apiKey;
+}
+
+// Placeholder names from imports and chat profiles; greeting someone as "Customer" is worse than no name.
+const GENERIC_NAMES = ['there', 'unknown', 'customer', 'client', 'user', 'lead', 'friend', 'n/a', 'none'];
+
+function knownName(lead) {
+  const name = String(lead.name ?? '').trim();
+  return GENERIC_NAMES.includes(name.toLowerCase()) ? '' : name;
+}
+
+// An `unknown` objection (the low-confidence safe default) has nothing to name, so it renders like a missing field.
+function fieldValue(lead, field) {
+  if (field === 'name') return knownName(lead);
+  const value = String(lead[field] ?? '').trim();
+  return field === 'objectionType' && value === 'unknown' ? '' : value;
+}
+
+// A field with no value is dropped with its comma or brackets, so an unnamed lead gets "Great question." instead of ", great question."
+function renderBlock(block, lead) {
+  let dropped = false;
+  const text = block.replace(/(,\s*|\s*\()?\{(name|goal|objectionType|offer|channel)\}(\)|,\s*)?/g, (_, before = '', field, after = '') => {
+    const value = fieldValue(lead, field);
+    if (value) return `${before}${value}${after}`;
+    dropped = true;
+    return before.includes('(') && after === ')' ? '' : `${before.includes('(') ? before : ''}${after === ')' ? after : ''}`;
+  });
+  if (!dropped) return text;
+  const tidy = text.replace(/\s{2,}/g, ' ').replace(/\s+([.,!?])/g, '$1').trim();
+  return tidy.charAt(0).toUpperCase() + tidy.slice(1);
+}
+
+export function renderBlocks(blocks, lead) {
+  return blocks.map((block) => renderBlock(block, lead)).join(' ');
+}
+
+export function buildTemplateResponse(strategy, lead) {
+  const blocks = STRATEGY_TEMPLATES[strategy];
+  if (!blocks) {
+    throw new Error(`No template for strategy "${strategy}"`);
+  }
+  return renderBlocks(blocks, lead);
+}
+
+function buildGeneratorPrompt({ strategy, lead }) {
+  const name = knownName(lead);
+  return [
+    `Strategy: ${strategy}`,
+    `Strategy guidance: ${STRATEGY_GUIDANCE[strategy] ?? 'Address the objection and propose a clear next step.'}`,
+    name ? `Lead name: ${name}` : 'Lead name: not known, so greet them without a name',
+    `Channel: ${lead.channel}`,
+    `Offer: ${lead.offer}`,
+    `Goal: ${lead.goal}`,
+    `Objection type: ${lead.objectionType}`,
+    `Sentiment: ${lead.sentiment}`,
+    `Lead message: ${lead.message}`,
+    '',
+    'Write the next reply to this lead.',
+    name ? '- Respond to what the lead actually wrote, using their name.' : '- Respond to what the lead actually wrote. Do not make up a name.',
+    '- Stay under 90 words, plain chat style, no emojis.',
+    '- End with one clear next step towards the goal.',
+    '- Do not invent prices, guarantees or client names.',
+  ].join('\n');
+}
+
+function cleanGeneratedText(content) {
+  const text = String(content ?? '')
+    .trim()
+    .replace(/^["']|["']$/g, '')
+    .trim();
+  return text.length >= 20 ? text.slice(0, 1200) : null;
+}
+
+export async function generateResponse({ strategy, lead }) {
+  const config = getGeneratorConfig();
+
+  if (!shouldGenerate(config)) {
+    return { text: buildTemplateResponse(strategy, lead), source: 'template' };
+  }
+
+  const completion = await requestChatJson({
+    config,
+    temperature: config.temperature,
+    system: 'You are an AI sales closer replying to a lead in a chat. Reply with the message text only.',
+    prompt: buildGeneratorPrompt({ strategy, lead }),
+  });
+  const text = completion.ok ? cleanGeneratedText(completion.content) : null;
+  if (text) {
+    return { text, source: 'llm' };
+  }
+
+  return {
+    text: buildTemplateResponse(strategy, lead),
+    source: 'template_fallback',
+    error: completion.ok ? 'Generator returned an empty reply' : completion.error,
+  };
+}
+
+// Same rule as reply generation, so GENERATOR_MODE=llm also forces LLM rewrites (which fall back to recombination on errors).
+export function canRewriteWithLlm() {
+  return shouldGenerate(getGeneratorConfig());
+}
+
+// Rewrites one template block for prompt evolution; placeholders must survive the rewrite.
+export async function rewriteBlock({ strategy, block }) {
+  const config = getGeneratorConfig();
+  const completion = await requestChatJson({
+    config,
+    temperature: Math.max(config.temperature, 0.7),
+    system: 'You are an AI sales closer improving one sentence of a reply template. Reply with the sentence only.',
+    prompt: [
+      `Strategy: ${strategy}`,
+      `Strategy guidance: ${STRATEGY_GUIDANCE[strategy] ?? 'Address the objection and propose a clear next step.'}`,
+      `Sentence: ${block}`,
+      '',
+      'Rewrite the sentence so it is more persuasive and concrete, under 35 words.',
+      'Keep every placeholder in curly braces (e.g. {name}, {goal}, {offer}, {objectionType}) exactly as written.',
+    ].join('\n'),
+  });
+
+  const text = completion.ok ? cleanGeneratedText(completion.content) : null;
+  if (!text) return null;
+
+  const placeholders = block.match(/\{[a-zA-Z]+\}/g) ?? [];
+  return placeholders.every((placeholder) => text.includes(placeholder)) ? text.slice(0, 300) : null;
+}
@@ -1,40 +1,51 @@
+import crypto from 'node:crypto';
 import fs from 'node:fs/promises';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
-import { startElevenLabsOutboundCall } from './elevenlabs-outbound.mjs';
+import { createGuardedDialer, emptyQueue, enqueueCall, getQueueName, processDueCalls, summarizeQueue } from './call-scheduler.mjs';
+import { checkContent, getCompliancePath, guardOutbound, loadCompliancePolicy, readDnc } from './compliance.mjs';
 import { evaluateLeadAdaptive } from './llm-evaluator.mjs';
+import { getJudgesPath } from './judges-config.mjs';
+import { getLlmStats } from './llm-pool.mjs';
+import { createRng, updateBanditArm } from './bandit-policy.mjs';
+import { updateContextualModel } from './contextual-bandit.mjs';
+import { SELECTION_POLICIES, STRATEGIES, pickPolicyStrategy } from './strategy-selection.mjs';
+import { recordObjectionScore, reviseObjectionPolicy } from './policy-stats.mjs';
+import { createPersona, simulateConversation } from './conversation-simulator.mjs';
+import { generateResponse } from './response-generator.mjs';
+import {
+  bestVariant,
+  describeLineage,
+  ensureVariantPopulation,
+  evolvePopulation,
+  pickVariant,
+  recordVariantScore,
+  renderVariant,
+} from './template-evolution.mjs';
+import { createStorage } from './storage.mjs';
+import { savePolicySnapshot } from './policy-snapshots.mjs';
+import { outcomeDecay, summarizeAttribution } from './outcomes.mjs';
+import { createCapacityBudget, rankLeads } from './lead-priority.mjs';
+import { validateLeads } from './leads.mjs';
+import { classifyLead } from './message-classifier.mjs';
+import { syncMemoryStrategies } from './strategy-registry.mjs';
+import {
+  consumeWait,
+  decideEscalation,
+  describeEscalationPolicy,
+  isVoiceEligible,
+  recordEscalationReward,
+  resolvePendingEscalation,
+  setPendingEscalation,
+} from './escalation-policy.mjs';
+import { HISTORY_WINDOW } from './storage-schema.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const ROOT = path.resolve(__dirname, '..');
-const DATA_DIR = path.join(ROOT, 'data');
-const LEADS_PATH = path.join(DATA_DIR, 'leads.json');
-const MEMORY_PATH = path.join(DATA_DIR, 'memory.json');
-const REPORT_PATH = path.join(DATA_DIR, 'report-latest.json');
 
-const STRATEGIES = ['consultative', 'social_proof', 'urgent_offer'];
 const TEXT_CHANNELS = ['instagram_dm', 'whatsapp'];
-
-const STRATEGY_TEMPLATES = {
-  consultative: ({ lead }) =>
-    [
-      `Totally fair point, ${lead.name}. Before recommending anything expensive, I want to map your exact goal: ${lead.goal}.`,
-      `If we can solve your ${lead.objectionType} concern with a low-risk first step, would you be open to a quick start this week?`,
-      `I can offer a structured first step and a clear success checkpoint so you can decide based on results, not promises.`,
-    ].join(' '),
-  social_proof: ({ lead }) =>
-    [
-      `${lead.name}, great question. We recently helped clients with the same concern (${lead.objectionType}) and they converted after seeing a guided first win in week 1.`,
-      `For your case (${lead.offer}), we can start with the same proven sequence and track progress clearly.`,
-      `If you want, I can share the exact 3-step plan and reserve your onboarding slot.`,
-    ].join(' '),
-  urgent_offer: ({ lead }) =>
-    [
-      `${lead.name}, understood. To reduce risk, we can lock a fast-start option today and keep commitment light.`,
-      `This lets you test ${lead.offer} quickly and decide from real momentum, not overthinking.`,
-      `If we start now, I can secure the current onboarding window and set your first measurable milestone this week.`,
-    ].join(' '),
-};
+const CLASSIFY_MODES = ['missing', 'all', 'off'];
 
 function getArg(name, fallback) {
   const found = process.argv.find((a) => a.startsWith(`--${name}=`));
@@ -43,11 +54,6 @@ function getArg(name, fallback) {
   return value ?? fallback;
 }
 
-async function readJson(filePath) {
-  const raw = await fs.readFile(filePath, 'utf-8');
-  return JSON.parse(raw);
-}
-
 async function writeJson(filePath, value) {
   await fs.writeFile(filePath, JSON.stringify(value, null, 2) + '\n', 'utf-8');
 }
@@ -56,56 +62,300 @@ function getAverage(stats) {
   return stats.uses > 0 ? stats.totalScore / stats.uses : 0;
 }
 
-function pickBestStrategy(memory, objectionType) {
-  const mapped = memory.objectionPolicy?.[objectionType];
-  if (mapped && STRATEGIES.includes(mapped)) return mapped;
+function updateMemory(memory, lead, strategy, result, epoch, candidateScores) {
+  const stats = memory.strategyStats[strategy];
+  stats.uses += 1;
+  stats.totalScore = Number((stats.totalScore + result.score).toFixed(4));
+  stats.avgScore = Number(getAverage(stats).toFixed(4));
 
-  let best = STRATEGIES[0];
-  let bestScore = -Infinity;
-  for (const strategy of STRATEGIES) {
-    const avg = memory.strategyStats[strategy]?.avgScore ?? 0;
-    if (avg > bestScore) {
-      bestScore = avg;
-      best = strategy;
-    }
+  for (const [candidateStrategy, candidateResult] of Object.entries(candidateScores)) {
+    recordObjectionScore(memory, lead.objectionType, candidateStrategy, candidateResult.score);
   }
-  return best;
+  const policyChange = reviseObjectionPolicy({
+    memory,
+    objectionType: lead.objectionType,
+    strategies: STRATEGIES,
+  });
+
+  return policyChange ? { epoch, leadId: lead.id, ...policyChange } : null;
 }
 
 function pickWarmupStrategy(index) {
   return STRATEGIES[index % STRATEGIES.length];
 }
 
-function updateMemory(memory, lead, strategy, result, epoch, response, candidateScores) {
+// Warm-up exploration is skipped for leads whose objection the classifier was unsure about.
+function selectForLead({ lead, memory, warmup, warmupIndex, policyName, rng }) {
+  return warmup && !lead.classification?.lowConfidence
+    ? { strategy: pickWarmupStrategy(warmupIndex), decision: 'explore', policy: 'warmup', detail: null }
+    : pickPolicyStrategy({ policyName, memory, lead, rng });
+}
+
+// A reply the content policy would block is never sent, so it counts as the worst possible reply.
+function applyContentPolicy(candidateScore, text, compliancePolicy) {
+  const content = checkContent(text, compliancePolicy);
+  if (content.allowed) return candidateScore;
+  return { ...candidateScore, score: 1, conversionProbability: 0, source: 'compliance_block', violations: content.violations };
+}
+
+async function playTextLead({ lead, memory, epoch, warmup, warmupIndex, policyName, rng, evolution, compliancePolicy }) {
+  const selection = selectForLead({ lead, memory, warmup, warmupIndex, policyName, rng });
+  const { strategy } = selection;
+
+  // Variants are picked in a fixed order (seeded rng); drafting and scoring then run through the LLM pool.
+  const variants = STRATEGIES.map((candidateStrategy) => (evolution ? pickVariant(memory, candidateStrategy, evolution.rng) : null));
+  const candidates = await Promise.all(
+    STRATEGIES.map(async (candidateStrategy, index) => {
+      const candidateResponse = await buildResponse(candidateStrategy, lead, variants[index]);
+      const candidateScore = await evaluateLeadAdaptive({ lead, strategy: candidateStrategy, response: candidateResponse.text });
+      return { candidateResponse, candidateScore: applyContentPolicy(candidateScore, candidateResponse.text, compliancePolicy) };
+    }),
+  );
+
+  const candidateScores = {};
+  const candidateResponses = {};
+  STRATEGIES.forEach((candidateStrategy, index) => {
+    candidateResponses[candidateStrategy] = candidates[index].candidateResponse;
+    candidateScores[candidateStrategy] = candidates[index].candidateScore;
+    if (variants[index]) {
+      recordVariantScore(memory, candidateStrategy, variants[index].id, candidateScores[candidateStrategy].score);
+    }
+  });
+
+  const response = candidateResponses[strategy].text;
+  const result = candidateScores[strategy];
+  const policyChange = updateMemory(memory, lead, strategy, result, epoch, candidateScores);
+  updateBanditArm(memory, lead.objectionType, strategy, result.score);
+  updateContextualModel(memory, lead, strategy, result.score);
+
+  return {
+    selection,
+    strategy,
+    result,
+    candidateScores,
+    response,
+    responseSource: candidateResponses[strategy].source,
+    decisions: [selection.decision],
+    policyChanges: policyChange ? [policyChange] : [],
+    interaction: {
+      timestamp: new Date().toISOString(),
+      epoch,
+      leadId: lead.id,
+      objectionType: lead.objectionType,
+      strategy,
+      score: result.score,
+      conversionProbability: result.conversionProbability,
+      responsePreview: response.slice(0, 180),
+    },
+  };
+}
+
+async function playSimulatedLead({ lead, memory, epoch, warmup, warmupIndex, policyName, rng, seed, maxTurns, evolution }) {
+  const persona = createPersona(lead, seed);
+  const selections = [];
+
+  const conversation = await simulateConversation({
+    lead,
+    persona,
+    maxTurns,
+    seed,
+    epoch,
+    chooseStrategy: (leadView, turn) => {
+      const selection = selectForLead({
+        lead: leadView,
+        memory,
+        warmup,
+        warmupIndex: warmupIndex + turn - 1,
+        policyName,
+        rng,
+      });
+      selections.push(selection);
+      return selection;
+    },
+    respond: async (strategy, leadView) =>
+      (await buildResponse(strategy, leadView, evolution ? bestVariant(memory, strategy) : null)).text,
+    evaluate: evaluateLeadAdaptive,
+  });
+
+  // Every turn shares the conversation's reward: the goal is reached (or not) by the whole path.
+  const reward = conversation.reward;
+  const policyChanges = [];
+  for (const turn of conversation.turns) {
+    const stats = memory.strategyStats[turn.strategy];
+    stats.uses += 1;
+    stats.totalScore = Number((stats.totalScore + reward).toFixed(4));
+    stats.avgScore = Number(getAverage(stats).toFixed(4));
+
+    recordObjectionScore(memory, turn.objectionType, turn.strategy, reward);
+    updateBanditArm(memory, turn.objectionType, turn.strategy, reward);
+    updateContextualModel(memory, { ...lead, objectionType: turn.objectionType }, turn.strategy, reward);
+  }
+  for (const objectionType of new Set(conversation.turns.map((t) => t.objectionType))) {
+    const change = reviseObjectionPolicy({ memory, objectionType, strategies: STRATEGIES });
+    if (change) policyChanges.push({ epoch, leadId: lead.id, source: 'simulator', ...change });
+  }
+
+  const lastTurn = conversation.turns[conversation.turns.length - 1];
+  return {
+    selection: selections[0],
+    strategy: selections[0].strategy,
+    result: {
+      score: reward,
+      conversionProbability: conversation.goalReached ? 0.95 : Number(Math.max(0.05, conversation.finalWillingness).toFixed(2)),
+      source: `simulator/${lastTurn?.evaluator ?? 'rule'}`,
+    },
+    candidateScores: null,
+    response: conversation.turns[0]?.response ?? '',
+    responseSource: null,
+    decisions: selections.map((s) => s.decision),
+    policyChanges,
+    conversation,
+    interaction: {
+      timestamp: new Date().toISOString(),
+      epoch,
+      leadId: lead.id,
+      objectionType: lead.objectionType,
+      strategy: conversation.turns[0]?.strategy ?? null,
+      strategyPath: conversation.turns.map((t) => t.strategy),
+      score: reward,
+      outcome: conversation.outcome,
+      responsePreview: String(conversation.turns[0]?.response ?? '').slice(0, 180),
+    },
+  };
+}
+
+// Per-candidate judge scores, so the report shows which judges made a strategy win.
+function summarizeCandidateJudges(candidateScores) {
+  const entries = Object.entries(candidateScores ?? {}).filter(([, candidate]) => candidate.judges);
+  if (!entries.length) return null;
+  return Object.fromEntries(
+    entries.map(([strategy, candidate]) => [
+      strategy,
+      Object.fromEntries(candidate.judges.map((judge) => [judge.id, judge.ok ? judge.score : null])),
+    ]),
+  );
+}
+
+// memory.history keeps a recent window for quick inspection; the storage backend keeps every interaction.
+function rememberInteraction(memory, interaction) {
+  memory.history.push(interaction);
+  if (memory.history.length > HISTORY_WINDOW) {
+    memory.history = memory.history.slice(-HISTORY_WINDOW);
+  }
+}
+
+// Feeds a reward observed outside the text loop (a call, a real outcome) into the same memory, with a weight.
+function applyExternalReward({ memory, lead, objectionType, strategy, reward, weight }) {
   const stats = memory.strategyStats[strategy];
-  stats.uses += 1;
-  stats.totalScore = Number((stats.totalScore + result.score).toFixed(4));
+  stats.uses = Number((stats.uses + weight).toFixed(4));
+  stats.totalScore = Number((stats.totalScore + reward * weight).toFixed(4));
   stats.avgScore = Number(getAverage(stats).toFixed(4));
 
-  let bestForLead = strategy;
-  let bestScore = result.score;
-  for (const [candidateStrategy, candidateResult] of Object.entries(candidateScores)) {
-    if (candidateResult.score > bestScore) {
-      bestScore = candidateResult.score;
-      bestForLead = candidateStrategy;
+  recordObjectionScore(memory, objectionType, strategy, reward, weight);
+  updateBanditArm(memory, objectionType, strategy, reward, weight);
+  updateContextualModel(memory, { ...lead, objectionType }, strategy, reward, weight);
+
+  return reviseObjectionPolicy({ memory, objectionType, strategies: STRATEGIES });
+}
+
+function applyVoiceFeedback({ memory, leads, learning, weight }) {
+  if (!memory.voiceFeedback || typeof memory.voiceFeedback !== 'object') {
+    memory.voiceFeedback = { appliedConversationIds: [] };
+  }
+
+  const applied = new Set(memory.voiceFeedback.appliedConversationIds);
+  const updates = [];
+  const policyChanges = [];
+  const outcomes = Array.isArray(learning?.outcomes) ? learning.outcomes : [];
+
+  for (const outcome of outcomes) {
+    const key = outcome.conversationId || `${outcome.leadId}:${outcome.receivedAt}`;
+    if (applied.has(key)) continue;
+
+    const lead = leads.find((l) => l.id === outcome.leadId);
+    const strategy = outcome.strategy;
+    if (!lead || !STRATEGIES.includes(strategy) || !Number.isFinite(outcome.reward) || weight <= 0) {
+      updates.push({
+        conversationId: key,
+        leadId: outcome.leadId ?? null,
+        strategy: strategy ?? null,
+        outcome: outcome.outcome ?? null,
+        skipped: true,
+      });
+      applied.add(key);
+      continue;
     }
+
+    const objectionType = outcome.objectionType || lead.objectionType;
+    const change = applyExternalReward({ memory, lead, objectionType, strategy, reward: outcome.reward, weight });
+    if (change) policyChanges.push({ epoch: 0, leadId: lead.id, source: 'voice', ...change });
+
+    updates.push({
+      conversationId: key,
+      leadId: lead.id,
+      strategy,
+      objectionType,
+      outcome: outcome.outcome,
+      reward: outcome.reward,
+      weight,
+    });
+    applied.add(key);
   }
-  memory.objectionPolicy[lead.objectionType] = bestForLead;
 
-  memory.history.push({
-    timestamp: new Date().toISOString(),
-    epoch,
-    leadId: lead.id,
-    objectionType: lead.objectionType,
-    strategy,
-    score: result.score,
-    conversionProbability: result.conversionProbability,
-    responsePreview: response.slice(0, 180),
-  });
+  memory.voiceFeedback.appliedConversationIds = [...applied];
+  return { updates, policyChanges };
+}
 
-  if (memory.history.length > 200) {
-    memory.history = memory.history.slice(-200);
+// Real outcomes are applied once each, split by attribution credit and faded with age.
+function applyOutcomeFeedback({ memory, leads, outcomes, weight, halfLifeDays, now }) {
+  if (!memory.outcomeFeedback || typeof memory.outcomeFeedback !== 'object') {
+    memory.outcomeFeedback = { appliedOutcomeIds: [] };
   }
+
+  const applied = new Set(memory.outcomeFeedback.appliedOutcomeIds);
+  const updates = [];
+  const policyChanges = [];
+
+  for (const outcome of outcomes) {
+    if (applied.has(outcome.id)) continue;
+    applied.add(outcome.id);
+
+    const lead = leads.find((l) => l.id === outcome.leadId);
+    const credits = (outcome.attribution ?? []).filter((credit) => STRATEGIES.includes(credit.strategy));
+    if (!lead || !credits.length || !Number.isFinite(outcome.reward) || weight <= 0) {
+      updates.push({ outcomeId: outcome.id, leadId: outcome.leadId, outcome: outcome.outcome, skipped: true });
+      continue;
+    }
+
+    const decay = outcomeDecay(outcome.occurredAt, now, halfLifeDays);
+    for (const credit of credits) {
+      const effectiveWeight = Number((weight * decay * credit.credit).toFixed(4));
+      if (effectiveWeight <= 0) continue;
+      const change = applyExternalReward({
+        memory,
+        lead,
+        objectionType: lead.objectionType,
+        strategy: credit.strategy,
+        reward: outcome.reward,
+        weight: effectiveWeight,
+      });
+      if (change) policyChanges.push({ epoch: 0, leadId: lead.id, source: 'outcome', ...change });
+      updates.push({
+        outcomeId: outcome.id,
+        leadId: lead.id,
+        outcome: outcome.outcome,
+        revenue: outcome.revenue,
+        strategy: credit.strategy,
+        channel: credit.channel,
+        reward: outcome.reward,
+        decay: Number(decay.toFixed(4)),
+        weight: effectiveWeight,
+      });
+    }
+  }
+
+  memory.outcomeFeedback.appliedOutcomeIds = [...applied];
+  return { updates, policyChanges };
 }
 
 function decayExploration(memory) {
@@ -115,8 +365,11 @@ function decayExploration(memory) {
   memory.policy.epsilon = Number(Math.max(minEpsilon, epsilon * decay).toFixed(4));
 }
 
-function buildResponse(strategy, lead) {
-  return STRATEGY_TEMPLATES[strategy]({ lead });
+async function buildResponse(strategy, lead, variant = null) {
+  if (variant) {
+    return { text: renderVariant(variant, lead), source: `variant:${variant.id}`, variantId: variant.id };
+  }
+  return generateResponse({ strategy, lead });
 }
 
 function average(values) {
@@ -124,30 +377,21 @@ function average(values) {
   return values.reduce((a, b) => a + b, 0) / values.length;
 }
 
-function shouldEscalateToVoice({ lead, result, epoch, minEpochForVoice }) {
-  const channel = String(lead.channel ?? '').toLowerCase();
-  const hasTextChannel = TEXT_CHANNELS.includes(channel);
-  const hasPhone = typeof lead.phoneNumber === 'string' && lead.phoneNumber.trim().length > 0;
-  const sentiment = String(lead.sentiment ?? '').toLowerCase();
-  const frictionSignal =
-    sentiment === 'skeptical' ||
-    sentiment === 'hesitant' ||
-    sentiment === 'overwhelmed' ||
-    result.conversionProbability < 0.58;
-
-  return epoch >= minEpochForVoice && hasTextChannel && hasPhone && frictionSignal;
-}
-
-async function maybeStartVoiceFollowup({ enabled, lead, result, strategy, epoch }) {
+// Follow-ups go through the call scheduler: cooldowns, attempt caps, rate limits and quiet hours decide when the call is placed.
+async function maybeStartVoiceFollowup({ enabled, storage, lead, result, strategy, epoch, runId, now }) {
   if (!enabled) {
     return {
       attempted: false,
       reason: 'VOICE_CHANNEL_DISABLED',
     };
   }
+  const gate = await guardOutbound({ storage, lead, channel: 'voice', source: runId });
+  if (!gate.allowed) return { attempted: false, reason: gate.status };
 
-  const callResult = await startElevenLabsOutboundCall({
-    toNumber: lead.phoneNumber,
+  const planned = await enqueueCall({
+    storage,
+    lead,
+    now: now(),
     context: {
       leadId: lead.id,
       leadName: lead.name,
@@ -160,12 +404,37 @@ async function maybeStartVoiceFollowup({ enabled, lead, result, strategy, epoch
       epoch,
     },
   });
+  if (planned.status !== 'QUEUED') {
+    return { attempted: false, reason: planned.status, scheduledFor: planned.job?.notBefore ?? null };
+  }
+
+  // Dial right away when the job is already due; otherwise `pnpm calls:work` places it later.
+  const { results } = await processDueCalls({
+    storage,
+    now: now(),
+    leadId: lead.id,
+    dial: createGuardedDialer(storage),
+  });
+  const dialed = results.find((entry) => entry.job.id === planned.job.id);
+  if (!dialed) {
+    return {
+      attempted: true,
+      ok: true,
+      status: 'QUEUED',
+      mode: process.env.VOICE_MODE ?? 'dry-run',
+      jobId: planned.job.id,
+      scheduledFor: planned.job.notBefore,
+      error: null,
+    };
+  }
 
+  const callResult = dialed.result;
   return {
     attempted: true,
     ok: callResult.ok,
     status: callResult.status,
     mode: callResult.mode ?? process.env.VOICE_MODE ?? 'dry-run',
+    jobId: planned.job.id,
     error: callResult.error ?? null,
   };
 }
@@ -175,57 +444,233 @@ async function main() {
   const warmupEpochs = Number(getArg('warmupEpochs', '1'));
   const voiceChannelEnabled = getArg('voice', 'on') !== 'off';
   const minEpochForVoice = Number(getArg('voiceFromEpoch', '2'));
-  const leads = await readJson(LEADS_PATH);
-  const memory = await readJson(MEMORY_PATH);
+  const policyName = getArg('policy', 'epsilon-greedy');
+  const seed = getArg('seed', '42');
+  const voiceWeight = Number(getArg('voiceWeight', '0.5'));
+  const outcomeWeight = Number(getArg('outcomeWeight', '1'));
+  const outcomeHalfLifeDays = Number(getArg('outcomeHalfLifeDays', '30'));
+  const prioritize = getArg('priority', 'on') !== 'off';
+  const dailyCapacity = Number(getArg('dailyCapacity', 'Infinity'));
+  const textCost = Number(getArg('textCost', '1'));
+  const voiceCost = Number(getArg('voiceCost', '3'));
+  const callCost = Number(getArg('callCost', '1.5'));
+  const escalationExplore = Number(getArg('escalationExplore', '0.25'));
+  const simulate = getArg('simulate', 'off') === 'on';
+  const classifyMode = getArg('classify', 'missing');
+  const maxTurns = Number(getArg('maxTurns', '4'));
+  // Call scheduling (cooldowns, quiet hours) reads this clock; a fixed --now makes the voice output reproducible.
+  const fixedNow = getArg('now', process.env.DEMO_NOW);
+  if (fixedNow && Number.isNaN(new Date(fixedNow).getTime())) throw new Error(`Invalid --now=${fixedNow}. Expected an ISO date, e.g. 2026-01-15T10:00:00+04:00`);
+  const now = () => (fixedNow ? new Date(fixedNow) : new Date());
+  const evolution =
+    getArg('evolve', 'off') === 'on'
+      ? {
+          rng: createRng(`${seed}:evolution`),
+          populationSize: Number(getArg('population', '4')),
+          mutations: Number(getArg('mutationsPerEpoch', '1')),
+        }
+      : null;
+  if (!SELECTION_POLICIES.includes(policyName)) {
+    throw new Error(`Unknown --policy=${policyName}. Expected one of: ${SELECTION_POLICIES.join(', ')}`);
+  }
+  if (!CLASSIFY_MODES.includes(classifyMode)) {
+    throw new Error(`Unknown --classify=${classifyMode}. Expected one of: ${CLASSIFY_MODES.join(', ')}`);
+  }
+  const rng = createRng(seed);
+  const storage = await createStorage({ backend: getArg('storage', undefined), workspace: getArg('workspace', undefined) });
+  // Each workspace keeps its own report next to its data, which is what its dashboard reads.
+  const reportPath = path.join(storage.workspace.dataDir, 'report-latest.json');
+  const runId = `run-${new Date().toISOString().replace(/[-:.]/g, '').replace('T', '-').slice(0, 15)}-${crypto.randomUUID().slice(0, 6)}`;
+  const storedLeads = await storage.readLeads();
+  // Leads without objection/sentiment labels get them from their message; `--classify=all` ignores the hand labels.
+  const leads =
+    classifyMode === 'off'
+      ? storedLeads
+      : await Promise.all(storedLeads.map((lead) => classifyLead(lead, { force: classifyMode === 'all' })));
+  const classified = leads.filter((lead, index) => lead !== storedLeads[index]).map((lead) => {
+    const stored = storedLeads.find((l) => l.id === lead.id);
+    return {
+      leadId: lead.id,
+      objectionType: lead.objectionType,
+      objections: lead.classification.objections,
+      sentiment: lead.sentiment,
+      confidence: lead.classification.confidence,
+      lowConfidence: lead.classification.lowConfidence,
+      source: lead.classification.source,
+      labelled: stored.objectionType ? { objectionType: stored.objectionType, sentiment: stored.sentiment ?? null } : null,
+    };
+  });
+  const memory = await storage.readMemory();
+  // Strategies added to or retired from config/strategies since the last run.
+  const strategySync = syncMemoryStrategies(memory, STRATEGIES);
+  const learning = await storage.readDocument('post-call-learning', null);
+  if (evolution) ensureVariantPopulation(memory, STRATEGIES);
 
+  const compliancePolicy = await loadCompliancePolicy();
   const rounds = [];
   const voiceFollowups = [];
+  const voiceFeedback = applyVoiceFeedback({ memory, leads, learning, weight: voiceWeight });
+  // Calls pay back the escalation decision that caused them, net of what a call costs.
+  for (const update of voiceFeedback.updates.filter((u) => !u.skipped)) {
+    const lead = leads.find((l) => l.id === update.leadId);
+    const reward = update.reward - callCost;
+    if (!resolvePendingEscalation(memory, { lead, slot: 'voice', reward })) {
+      recordEscalationReward(memory, { lead, action: 'voice', reward });
+    }
+  }
+  const outcomes = await storage.queryOutcomes();
+  const outcomeFeedback = applyOutcomeFeedback({
+    memory,
+    leads,
+    outcomes,
+    weight: outcomeWeight,
+    halfLifeDays: outcomeHalfLifeDays,
+    now: new Date(),
+  });
+  const policyChanges = [...voiceFeedback.policyChanges, ...outcomeFeedback.policyChanges];
   console.log('\n=== Ruya Hackathon: Self-Improving Sales Closer Agent ===');
   console.log(`Leads: ${leads.length} | Epochs: ${epochs}`);
   console.log(`Initial exploration epsilon: ${memory.policy.epsilon}`);
+  console.log(`Selection policy: ${policyName} | Seed: ${seed}${fixedNow ? ` | Call clock: ${fixedNow}` : ''}`);
+  console.log(`Run: ${runId} | Workspace: ${storage.workspace.id} | Storage: ${storage.backend} (${storage.location})`);
+  console.log(
+    `Strategies: ${STRATEGIES.join(', ')}${strategySync.added.length ? ` | new (cold start): ${strategySync.added.join(', ')}` : ''}${strategySync.restored.length ? ` | restored: ${strategySync.restored.join(', ')}` : ''}${strategySync.archived.length ? ` | archived: ${strategySync.archived.join(', ')}` : ''}`,
+  );
+  for (const entry of classified) {
+    console.log(
+      `Classified: ${entry.leadId} objection=${entry.objectionType}(${entry.confidence}) sentiment=${entry.sentiment} source=${entry.source}${entry.lowConfidence ? ' -> safe default strategy' : ''}${entry.labelled ? ` | labelled ${entry.labelled.objectionType}/${entry.labelled.sentiment}` : ''}`,
+    );
+  }
+  const compared = classified.filter((entry) => entry.labelled);
+  if (compared.length) {
+    console.log(
+      `Classifier vs hand labels: objection ${compared.filter((e) => e.objectionType === e.labelled.objectionType).length}/${compared.length}, sentiment ${compared.filter((e) => e.sentiment === e.labelled.sentiment).length}/${compared.length}`,
+    );
+  }
+  for (const invalid of validateLeads(leads)) {
+    console.log(`Lead warning: ${invalid.id ?? `#${invalid.index + 1}`} ${invalid.errors.join('; ')}`);
+  }
+  if (evolution) {
+    console.log(`Template evolution: on (population ${evolution.populationSize}, ${evolution.mutations} mutation(s)/strategy/epoch)`);
+  }
+  if (simulate) {
+    console.log(`Conversation simulator: on (max ${maxTurns} turns, persona replies: ${process.env.SIMULATOR_MODE ?? 'rule'})`);
+  }
+  console.log(
+    `Voice feedback applied: ${voiceFeedback.updates.filter((u) => !u.skipped).length} call(s) (weight ${voiceWeight})`,
+  );
+  for (const change of voiceFeedback.policyChanges) {
+    console.log(`  policy ${change.objectionType}: ${change.from ?? '-'} -> ${change.to} (${change.reason}, voice)`);
+  }
+  console.log(
+    `Real outcomes applied: ${new Set(outcomeFeedback.updates.filter((u) => !u.skipped).map((u) => u.outcomeId)).size} (weight ${outcomeWeight}, half-life ${outcomeHalfLifeDays}d)`,
+  );
+  for (const change of outcomeFeedback.policyChanges) {
+    console.log(`  policy ${change.objectionType}: ${change.from ?? '-'} -> ${change.to} (${change.reason}, outcome)`);
+  }
   console.log(`Text channels: ${TEXT_CHANNELS.join(', ')} | Voice channel: ${voiceChannelEnabled ? 'enabled' : 'disabled'} (${process.env.VOICE_MODE ?? 'dry-run'})`);
 
   for (let epoch = 1; epoch <= epochs; epoch += 1) {
     const events = [];
     const epochScores = [];
+    const decisionCounts = { explore: 0, exploit: 0 };
+    const interactions = [];
 
     console.log(`\n--- Epoch ${epoch} ---`);
 
-    for (const lead of leads) {
-      const strategy = epoch <= warmupEpochs ? pickWarmupStrategy(events.length) : pickBestStrategy(memory, lead.objectionType);
-
-      const candidateScores = {};
-      for (const candidateStrategy of STRATEGIES) {
-        const candidateResponse = buildResponse(candidateStrategy, lead);
-        candidateScores[candidateStrategy] = await evaluateLeadAdaptive({
-          lead,
-          strategy: candidateStrategy,
-          response: candidateResponse,
-        });
+    // Each epoch is one working day: leads are worked in expected-value order until the day's capacity runs out.
+    const ranked = rankLeads({ leads, memory, learning, outcomes });
+    const queue = prioritize ? ranked : leads.map((lead) => ranked.find((entry) => entry.leadId === lead.id));
+    const budget = createCapacityBudget(dailyCapacity);
+    const queueReport = [];
+    const dnc = await readDnc(storage);
+    console.log(
+      `Queue (${prioritize ? 'by expected value' : 'file order'}): ${queue.map((entry) => `${entry.leadId}(${entry.expectedValue})`).join(' > ')}`,
+    );
+
+    for (const entry of queue) {
+      const { lead } = entry;
+      const waiting = consumeWait(memory, lead.id);
+      const queued = {
+        rank: entry.rank,
+        leadId: lead.id,
+        expectedValue: entry.expectedValue,
+        conversionEstimate: entry.conversionEstimate,
+        offerValue: entry.offerValue,
+        reasons: entry.reasons,
+      };
+      // Opted-out leads and leads without consent for their channel are not contacted at all.
+      const contact = await guardOutbound({ storage, lead, channel: lead.channel, source: runId, dnc });
+      if (!contact.allowed) {
+        queueReport.push({ ...queued, status: 'blocked', blockedBy: contact.status, voice: false });
+        continue;
+      }
+      if (waiting || !budget.take(textCost)) {
+        queueReport.push({ ...queued, status: waiting ? 'waiting' : 'deferred', voice: false });
+        continue;
+      }
+      const warmup = epoch <= warmupEpochs;
+      const played = simulate
+        ? await playSimulatedLead({
+            lead,
+            memory,
+            epoch,
+            warmup,
+            warmupIndex: events.length,
+            policyName,
+            rng,
+            seed,
+            maxTurns,
+            evolution,
+          })
+        : await playTextLead({ lead, memory, epoch, warmup, warmupIndex: events.length, policyName, rng, evolution, compliancePolicy });
+      const { selection, strategy, result, candidateScores } = played;
+      for (const decision of played.decisions) decisionCounts[decision] += 1;
+      const interaction = { runId, ...played.interaction, channel: lead.channel };
+      rememberInteraction(memory, interaction);
+      interactions.push(interaction);
+      for (const policyChange of played.policyChanges) {
+        policyChanges.push(policyChange);
+        console.log(
+          `  policy ${policyChange.objectionType}: ${policyChange.from ?? '-'} -> ${policyChange.to} (${policyChange.reason}, mean=${policyChange.challenger.mean})`,
+        );
       }
-
-      const response = buildResponse(strategy, lead);
-      const result = candidateScores[strategy];
-      updateMemory(memory, lead, strategy, result, epoch, response, candidateScores);
 
       epochScores.push(result.score);
-      const bestCandidate = Object.entries(candidateScores).sort((a, b) => b[1].score - a[1].score)[0];
-      const escalateToVoice = shouldEscalateToVoice({
+      // The reply actually sent goes through the content policy; a blocked reply is held back and never escalated.
+      const compliance = await guardOutbound({ storage, lead, channel: lead.channel, text: played.response, source: runId, dnc });
+      const bestCandidate = Object.entries(candidateScores ?? {}).sort((a, b) => b[1].score - a[1].score)[0];
+      const escalationResolved = resolvePendingEscalation(memory, { lead, slot: 'text', reward: result.score });
+      const escalation = decideEscalation({
+        memory,
         lead,
         result,
-        epoch,
-        minEpochForVoice,
+        eligible: isVoiceEligible({ lead, epoch, minEpochForVoice }),
+        explore: escalationExplore,
       });
-
-      const voice = escalateToVoice
-        ? await maybeStartVoiceFollowup({
-            enabled: voiceChannelEnabled,
-            lead,
-            result,
-            strategy,
-            epoch,
-          })
-        : { attempted: false, reason: 'NO_ESCALATION' };
+      const escalateToVoice = escalation.action === 'voice';
+
+      const voiceBudgeted = escalateToVoice && compliance.allowed && voiceChannelEnabled && budget.take(voiceCost);
+      const voice = !escalateToVoice
+        ? { attempted: false, reason: escalation.action === 'wait' ? 'WAIT' : 'NO_ESCALATION' }
+        : !compliance.allowed
+          ? { attempted: false, reason: compliance.status }
+          : voiceChannelEnabled && !voiceBudgeted
+            ? { attempted: false, reason: 'NO_CAPACITY' }
+            : await maybeStartVoiceFollowup({
+                enabled: voiceChannelEnabled,
+                storage,
+                lead,
+                result,
+                strategy,
+                epoch,
+                runId,
+                now,
+              });
+      queueReport.push({ ...queued, status: 'processed', voice: !!voice.attempted });
+      // A call that did not happen leaves the lead on text.
+      const taken = escalateToVoice && !voice.attempted ? { ...escalation, action: 'text' } : escalation;
+      setPendingEscalation(memory, { lead, decision: taken, epoch, runId });
 
       if (voice.attempted) {
         voiceFollowups.push({
@@ -235,6 +680,7 @@ async function main() {
           textChannel: lead.channel,
           voiceStatus: voice.status,
           voiceMode: voice.mode,
+          scheduledFor: voice.scheduledFor ?? null,
           ok: !!voice.ok,
         });
       }
@@ -244,23 +690,87 @@ async function main() {
         name: lead.name,
         textChannel: lead.channel,
         objectionType: lead.objectionType,
+        priority: { rank: entry.rank, expectedValue: entry.expectedValue },
         strategy,
+        decision: selection.decision,
+        policy: selection.policy,
+        selectionDetail: selection.detail,
+        drivingFeature: selection.detail?.drivingFeature ?? null,
         score: result.score,
         conversionProbability: result.conversionProbability,
         bestCandidateStrategy: bestCandidate?.[0] ?? strategy,
         bestCandidateScore: bestCandidate?.[1]?.score ?? result.score,
         voice,
+        escalation: { ...escalation, taken: taken.action, resolved: escalationResolved },
+        compliance: { status: compliance.status, block: compliance.block, flags: compliance.flags },
         evaluator: result.source,
+        judges: result.judges ?? null,
+        candidateJudges: summarizeCandidateJudges(candidateScores),
+        response: played.response,
+        responseSource: played.responseSource,
+        conversation: played.conversation ?? null,
       });
 
+      if (played.conversation) {
+        console.log(
+          `  ${lead.id} sim | turns=${played.conversation.turns.length} | path=${played.conversation.turns.map((t) => `${t.objectionType}:${t.strategy}`).join(' > ')} | outcome=${played.conversation.outcome}`,
+        );
+      }
+      console.log(
+        `${lead.id} | ch=${String(lead.channel).padEnd(12)} | objection=${lead.objectionType.padEnd(10)} | strategy=${strategy.padEnd(12)} | pick=${(selection.policy === 'safe_default' ? 'safe' : selection.decision).padEnd(7)}${selection.detail?.drivingFeature ? ` (${selection.detail.drivingFeature})` : ''} | score=${result.score.toFixed(2)} | eval=${String(result.source).padEnd(14)} | best=${String(bestCandidate?.[0] ?? strategy).padEnd(12)} | voice=${voice.attempted ? String(voice.status) : 'skip'}`,
+      );
+      if (escalation.action !== 'text') {
+        console.log(
+          `  escalation ${lead.id}: ${escalation.action}${taken.action !== escalation.action ? ` (not placed: ${voice.reason})` : ''} | uplift=${escalation.uplift >= 0 ? '+' : ''}${escalation.uplift} | voice=${escalation.estimates.voice} text=${escalation.estimates.text} wait=${escalation.estimates.wait} | ${escalation.context} n=${escalation.samples[escalation.action]}`,
+        );
+      }
+      if (!compliance.allowed || compliance.flags.length) {
+        console.log(
+          `  compliance ${lead.id}: ${compliance.allowed ? 'sent, flagged' : `${compliance.status} (not sent)`} ${[compliance.block?.rule, ...compliance.flags].filter(Boolean).join(', ')}`,
+        );
+      }
+    }
+
+    await storage.appendInteractions(interactions);
+    const deferred = queueReport.filter((q) => q.status === 'deferred');
+    if (deferred.length) {
+      console.log(`Deferred (capacity ${dailyCapacity} used up): ${deferred.map((q) => q.leadId).join(', ')}`);
+    }
+    const waitingLeads = queueReport.filter((q) => q.status === 'waiting');
+    if (waitingLeads.length) console.log(`Waiting (escalation policy): ${waitingLeads.map((q) => q.leadId).join(', ')}`);
+    const blockedLeads = queueReport.filter((q) => q.status === 'blocked');
+    if (blockedLeads.length) console.log(`Blocked (compliance): ${blockedLeads.map((q) => `${q.leadId} ${q.blockedBy}`).join(', ')}`);
+
+    const templateEvents = evolution
+      ? await evolvePopulation({
+          memory,
+          strategies: STRATEGIES,
+          rng: evolution.rng,
+          epoch,
+          populationSize: evolution.populationSize,
+          mutations: evolution.mutations,
+        })
+      : [];
+    for (const templateEvent of templateEvents) {
       console.log(
-        `${lead.id} | ch=${String(lead.channel).padEnd(12)} | objection=${lead.objectionType.padEnd(10)} | strategy=${strategy.padEnd(12)} | score=${result.score.toFixed(2)} | eval=${String(result.source).padEnd(13)} | best=${String(bestCandidate?.[0] ?? strategy).padEnd(12)} | voice=${voice.attempted ? String(voice.status) : 'skip'}`,
+        templateEvent.type === 'born'
+          ? `  variant ${templateEvent.id} born from ${templateEvent.parents.join(' + ')} (${templateEvent.operator})`
+          : `  variant ${templateEvent.id} retired (mean=${templateEvent.mean}, n=${templateEvent.count})`,
       );
     }
 
     const epochAvg = Number(average(epochScores).toFixed(3));
-    rounds.push({ epoch, avgScore: epochAvg, events });
-    console.log(`Epoch ${epoch} avg score: ${epochAvg}`);
+    rounds.push({
+      epoch,
+      avgScore: epochAvg,
+      decisions: decisionCounts,
+      epsilon: memory.policy.epsilon,
+      capacity: budget.snapshot(),
+      queue: queueReport,
+      templateEvents,
+      events,
+    });
+    console.log(`Epoch ${epoch} avg score: ${epochAvg} (explore=${decisionCounts.explore}, exploit=${decisionCounts.exploit})`);
 
     decayExploration(memory);
     memory.runs += 1;
@@ -268,11 +778,49 @@ async function main() {
 
   const report = {
     generatedAt: new Date().toISOString(),
+    runId,
+    workspace: storage.workspace.id,
+    storage: storage.backend,
     epochs,
     rounds,
     finalPolicy: memory.policy,
+    selection: {
+      policy: policyName,
+      seed,
+      warmupEpochs,
+    },
+    strategies: strategySync,
+    classification: {
+      mode: classifyMode,
+      leads: classified,
+    },
+    prioritization: {
+      order: prioritize ? 'expected_value' : 'file',
+      dailyCapacity: Number.isFinite(dailyCapacity) ? dailyCapacity : null,
+      textCost,
+      voiceCost,
+    },
+    simulator: simulate
+      ? {
+          maxTurns,
+          personaMode: process.env.SIMULATOR_MODE ?? 'rule',
+          goalRateByEpoch: rounds.map((r) => ({
+            epoch: r.epoch,
+            goalRate: Number(average(r.events.map((e) => (e.conversation?.goalReached ? 1 : 0))).toFixed(3)),
+          })),
+        }
+      : null,
+    templateEvolution: evolution
+      ? {
+          populationSize: evolution.populationSize,
+          mutationsPerEpoch: evolution.mutations,
+          lineage: describeLineage(memory, STRATEGIES),
+        }
+      : null,
     strategyStats: memory.strategyStats,
     objectionPolicy: memory.objectionPolicy,
+    objectionStats: memory.objectionStats,
+    policyChanges,
     summary: {
       firstEpochAvg: rounds[0]?.avgScore ?? 0,
       lastEpochAvg: rounds[rounds.length - 1]?.avgScore ?? 0,
@@ -285,16 +833,55 @@ async function main() {
       voiceEnabled: voiceChannelEnabled,
       voiceMode: process.env.VOICE_MODE ?? 'dry-run',
       voiceFollowups,
+      callQueue: {
+        name: getQueueName(),
+        ...summarizeQueue(await storage.readDocument(getQueueName(), emptyQueue())),
+      },
+      feedback: {
+        weight: voiceWeight,
+        applied: voiceFeedback.updates,
+      },
+    },
+    escalation: {
+      callCost,
+      explore: escalationExplore,
+      ...describeEscalationPolicy(memory),
+    },
+    compliance: {
+      policyPath: path.relative(ROOT, getCompliancePath()),
+      blockedLeads: rounds.flatMap((r) => r.queue.filter((q) => q.status === 'blocked').map((q) => ({ epoch: r.epoch, leadId: q.leadId, status: q.blockedBy }))),
+      blockedReplies: rounds.flatMap((r) => r.events.filter((e) => e.compliance.block).map((e) => ({ epoch: r.epoch, leadId: e.leadId, rule: e.compliance.block.rule }))),
+      flaggedReplies: rounds.reduce((sum, r) => sum + r.events.filter((e) => e.compliance.flags.length).length, 0),
+    },
+    outcomes: {
+      weight: outcomeWeight,
+      halfLifeDays: outcomeHalfLifeDays,
+      applied: outcomeFeedback.updates,
+      attribution: summarizeAttribution(outcomes),
+    },
+    llm: getLlmStats(),
+    generator: {
+      mode: process.env.GENERATOR_MODE ?? 'auto',
+      model: process.env.GENERATOR_MODEL ?? process.env.EVALUATOR_MODEL ?? 'gpt-4o-mini',
     },
     evaluator: {
       mode: process.env.EVALUATOR_MODE ?? 'auto',
       model: process.env.EVALUATOR_MODEL ?? 'gpt-4o-mini',
       apiUrl: process.env.EVALUATOR_API_URL ?? 'https://api.openai.com/v1/chat/completions',
+      judgesPath: path.relative(ROOT, getJudgesPath()),
     },
   };
 
-  await writeJson(MEMORY_PATH, memory);
-  await writeJson(REPORT_PATH, report);
+  await storage.writeMemory(memory);
+  const snapshot = await savePolicySnapshot({
+    storage,
+    memory,
+    runId,
+    summary: { ...report.summary, policy: policyName, seed, epochs },
+  });
+  report.snapshotId = snapshot.id;
+  await storage.close();
+  await writeJson(reportPath, report);
 
   console.log('\n=== Final Strategy Averages ===');
   for (const strategy of STRATEGIES) {
@@ -302,13 +889,38 @@ async function main() {
     console.log(`${strategy.padEnd(12)} uses=${String(stats.uses).padStart(2)} avg=${stats.avgScore.toFixed(3)}`);
   }
 
+  if (report.templateEvolution) {
+    console.log('\n=== Template Lineage ===');
+    for (const [strategy, variants] of Object.entries(report.templateEvolution.lineage)) {
+      for (const variant of variants.filter((v) => v.parent)) {
+        const uplift = variant.upliftOverParent === null ? 'n/a' : `${variant.upliftOverParent >= 0 ? '+' : ''}${variant.upliftOverParent}`;
+        console.log(
+          `${strategy.padEnd(12)} ${variant.id.padEnd(18)} <- ${variant.parent}${variant.donor ? ` + ${variant.donor}` : ''} (${variant.operator}) mean=${variant.uses > 0 ? variant.mean : 'n/a'} vs parent ${uplift}${variant.retired ? ' [retired]' : ''}`,
+        );
+      }
+    }
+  }
+
   console.log('\n=== Self-Improvement Summary ===');
   console.log(
     `Average score moved from ${report.summary.firstEpochAvg} to ${report.summary.lastEpochAvg} (delta ${report.summary.delta >= 0 ? '+' : ''}${report.summary.delta}).`,
   );
   console.log(`Updated epsilon (less random over time): ${memory.policy.epsilon}`);
+  console.log(`Exploration per epoch: ${rounds.map((r) => `${r.epoch}:${r.decisions.explore}/${r.events.length}`).join(' ')}`);
+  console.log(`Policy changes: ${policyChanges.length}`);
+  if (report.llm.requests || report.llm.cacheHits) {
+    console.log(
+      `LLM requests: ${report.llm.requests} (retries ${report.llm.retries}, failures ${report.llm.failures}) | evaluator cache hit rate: ${report.llm.cacheHitRate ?? 'n/a'} (${report.llm.cacheHits}/${report.llm.cacheHits + report.llm.cacheMisses}) | tokens: ${report.llm.totalTokens}`,
+    );
+  }
   console.log(`Voice follow-ups triggered: ${voiceFollowups.length}`);
-  console.log(`Saved report: ${REPORT_PATH}`);
+  const queuedCalls = voiceFollowups.filter((followup) => followup.voiceStatus === 'QUEUED').length;
+  if (queuedCalls) console.log(`  ${queuedCalls} of them queued for later (quiet hours, cooldown or rate limit); place them with \`pnpm calls:work\``);
+  console.log(
+    `Compliance: blocked contacts=${report.compliance.blockedLeads.length} blocked replies=${report.compliance.blockedReplies.length} flagged replies=${report.compliance.flaggedReplies} (details: \`pnpm compliance:audit\`)`,
+  );
+  console.log(`Policy snapshot: ${snapshot.id} (roll back with \`pnpm policy:rollback --to=${snapshot.id}${storage.workspace.isDefault ? '' : ` --workspace=${storage.workspace.id}`}\`)`);
+  console.log(`Saved report: ${reportPath}`);
   console.log('Done.');
 }
 
@@ -0,0 +1,292 @@
+import crypto from 'node:crypto';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { matchesInteraction, migrateMemory, nextSnapshotVersion, requireSyncUpdate } from './storage-schema.mjs';
+
+const LOCK_TIMEOUT_MS = 10000;
+// Holders never refresh the lock file, so a live-looking owner is only presumed gone (PID reuse) after this long.
+const ABANDONED_LOCK_MS = 10 * 60 * 1000;
+const LOCK_OWNER = `${process.pid}@${os.hostname()}`;
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+// Returns the lock's stat when it was left behind: its owner on this host is dead, or it is far older than any
+// read-modify-write. A lock held by a live process is never taken, however long it runs; one from another host
+// (a shared volume) cannot be checked and is never taken either.
+async function findAbandonedLock(lockPath) {
+  const [stat, owner] = await Promise.all([
+    fs.stat(lockPath).catch(() => null),
+    fs.readFile(lockPath, 'utf-8').catch(() => ''),
+  ]);
+  if (!stat) return null;
+  const [pidText, host] = owner.trim().split('@');
+  if (host && host !== os.hostname()) return null;
+  const pid = Number.parseInt(pidText, 10);
+  if (Number.isInteger(pid) && pid > 0 && pid !== process.pid && !isProcessAlive(pid)) return stat;
+  return Date.now() - stat.mtimeMs > ABANDONED_LOCK_MS ? stat : null;
+}
+
+// Moves the abandoned lock aside under a unique name, so two waiters cannot both delete it and one of them
+// remove the lock the other has just created.
+async function reclaimLock(lockPath, abandoned) {
+  const aside = `${lockPath}.stale-${process.pid}-${crypto.randomUUID()}`;
+  try {
+    await fs.rename(lockPath, aside);
+  } catch (error) {
+    if (error.code === 'ENOENT') return;
+    throw error;
+  }
+  const moved = await fs.stat(aside).catch(() => null);
+  if (moved && (moved.ino !== abandoned.ino || moved.mtimeMs !== abandoned.mtimeMs)) {
+    // Another waiter reclaimed it first and a live lock took its place: put that one back.
+    await fs.link(aside, lockPath).catch(() => {});
+  }
+  await fs.unlink(aside).catch(() => {});
+}
+
+// Cross-process lock via an exclusive lock file, so the webhook server and a demo run
+// cannot interleave read-modify-write cycles on the same file.
+async function withFileLock(filePath, fn) {
+  const lockPath = `${filePath}.lock`;
+  const startedAt = Date.now();
+
+  for (;;) {
+    try {
+      const handle = await fs.open(lockPath, 'wx');
+      await handle.writeFile(LOCK_OWNER);
+      await handle.close();
+      break;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+      const abandoned = await findAbandonedLock(lockPath);
+      if (abandoned) {
+        await reclaimLock(lockPath, abandoned);
+        continue;
+      }
+      if (Date.now() - startedAt > LOCK_TIMEOUT_MS) {
+        const owner = await fs.readFile(lockPath, 'utf-8').catch(() => 'unknown');
+        throw new Error(`Timed out waiting for lock: ${lockPath} (held by ${owner.trim() || 'unknown'})`);
+      }
+      await sleep(25);
+    }
+  }
+
+  try {
+    return await fn();
+  } finally {
+    await fs.unlink(lockPath).catch(() => {});
+  }
+}
+
+async function readJsonFile(filePath, fallback) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf-8'));
+  } catch (error) {
+    if (error.code === 'ENOENT' && fallback !== undefined) return fallback;
+    throw error;
+  }
+}
+
+async function writeJsonAtomic(filePath, value) {
+  const tmpPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+  await fs.writeFile(tmpPath, JSON.stringify(value, null, 2) + '\n', 'utf-8');
+  await fs.rename(tmpPath, filePath);
+}
+
+async function readNdjson(filePath) {
+  let raw;
+  try {
+    raw = await fs.readFile(filePath, 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const rows = [];
+  for (const line of raw.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      rows.push(JSON.parse(line));
+    } catch {
+      // skip torn lines
+    }
+  }
+  return rows;
+}
+
+function takeLast(rows, limit) {
+  const n = Number(limit);
+  return Number.isFinite(n) && n > 0 ? rows.slice(-n) : rows;
+}
+
+export function createJsonStorage({ dataDir }) {
+  const paths = {
+    leads: path.join(dataDir, 'leads.json'),
+    memory: path.join(dataDir, 'memory.json'),
+    interactions: path.join(dataDir, 'interactions.ndjson'),
+    callEvents: path.join(dataDir, 'post-call-events.ndjson'),
+    snapshots: path.join(dataDir, 'policy-snapshots.ndjson'),
+    outcomes: path.join(dataDir, 'outcomes.ndjson'),
+    audit: path.join(dataDir, 'compliance-audit.ndjson'),
+  };
+  const documentPath = (name) => path.join(dataDir, `${name}.json`);
+
+  async function appendLines(filePath, records) {
+    if (!records.length) return;
+    const text = records.map((record) => JSON.stringify(record)).join('\n') + '\n';
+    await withFileLock(filePath, () => fs.appendFile(filePath, text, 'utf-8'));
+  }
+
+  return {
+    backend: 'json',
+    location: dataDir,
+
+    async readLeads() {
+      return readJsonFile(paths.leads, []);
+    },
+
+    async writeLeads(leads) {
+      await withFileLock(paths.leads, () => writeJsonAtomic(paths.leads, leads));
+    },
+
+    // Read-modify-write under the leads lock. An updater that returns undefined leaves the file untouched.
+    async updateLeads(updater) {
+      return withFileLock(paths.leads, async () => {
+        const current = await readJsonFile(paths.leads, []);
+        const next = requireSyncUpdate(updater(current), 'updateLeads');
+        if (next === undefined) return current;
+        await writeJsonAtomic(paths.leads, next);
+        return next;
+      });
+    },
+
+    async readMemory() {
+      const raw = await readJsonFile(paths.memory);
+      const { memory, fromVersion } = migrateMemory(raw);
+      if (fromVersion === 0 && memory.history.length) {
+        // One-time import so the pre-migration window is part of the full history.
+        const existing = await readNdjson(paths.interactions);
+        if (!existing.length) await appendLines(paths.interactions, memory.history.map((h) => ({ runId: null, ...h })));
+      }
+      return memory;
+    },
+
+    async writeMemory(memory) {
+      await withFileLock(paths.memory, () => writeJsonAtomic(paths.memory, memory));
+    },
+
+    async appendInteractions(records) {
+      await appendLines(paths.interactions, records);
+    },
+
+    async queryInteractions(filter = {}) {
+      const rows = await readNdjson(paths.interactions);
+      return takeLast(
+        rows.filter((row) => matchesInteraction(row, filter)),
+        filter.limit,
+      );
+    },
+
+    async appendCallEvent(entry) {
+      await appendLines(paths.callEvents, [entry]);
+    },
+
+    async queryCallEvents(filter = {}) {
+      const rows = await readNdjson(paths.callEvents);
+      return takeLast(
+        rows.filter((row) => !filter.leadId || row?.event?.leadId === filter.leadId),
+        filter.limit,
+      );
+    },
+
+    async appendOutcomes(records) {
+      if (!records.length) return [];
+      return withFileLock(paths.outcomes, async () => {
+        const known = new Set((await readNdjson(paths.outcomes)).map((row) => row.id));
+        const fresh = records.filter((record) => !known.has(record.id) && known.add(record.id));
+        if (fresh.length) {
+          await fs.appendFile(paths.outcomes, fresh.map((record) => JSON.stringify(record)).join('\n') + '\n', 'utf-8');
+        }
+        return fresh;
+      });
+    },
+
+    async queryOutcomes(filter = {}) {
+      const rows = await readNdjson(paths.outcomes);
+      return takeLast(
+        rows.filter(
+          (row) => (!filter.leadId || row.leadId === filter.leadId) && (!filter.since || String(row.occurredAt ?? '') >= filter.since),
+        ),
+        filter.limit,
+      );
+    },
+
+    async appendAuditEvents(records) {
+      await appendLines(paths.audit, records);
+    },
+
+    async queryAuditEvents(filter = {}) {
+      const rows = await readNdjson(paths.audit);
+      return takeLast(
+        rows.filter(
+          (row) =>
+            (!filter.leadId || row.leadId === filter.leadId) &&
+            (!filter.action || row.action === filter.action) &&
+            (!filter.since || String(row.createdAt ?? '') >= filter.since),
+        ),
+        filter.limit,
+      );
+    },
+
+    async savePolicySnapshot(snapshot) {
+      return withFileLock(paths.snapshots, async () => {
+        const version = nextSnapshotVersion(await readNdjson(paths.snapshots));
+        const saved = { id: `v${version}`, version, ...snapshot };
+        await fs.appendFile(paths.snapshots, JSON.stringify(saved) + '\n', 'utf-8');
+        return saved;
+      });
+    },
+
+    async listPolicySnapshots() {
+      return readNdjson(paths.snapshots);
+    },
+
+    async getPolicySnapshot(id) {
+      const rows = await readNdjson(paths.snapshots);
+      return rows.find((row) => row.id === id) ?? null;
+    },
+
+    async readDocument(name, fallback = null) {
+      return readJsonFile(documentPath(name), fallback);
+    },
+
+    async writeDocument(name, value) {
+      const filePath = documentPath(name);
+      await withFileLock(filePath, () => writeJsonAtomic(filePath, value));
+    },
+
+    async updateDocument(name, fallback, updater) {
+      const filePath = documentPath(name);
+      return withFileLock(filePath, async () => {
+        const current = await readJsonFile(filePath, fallback);
+        const next = requireSyncUpdate(updater(current), 'updateDocument');
+        await writeJsonAtomic(filePath, next);
+        return next;
+      });
+    },
+
+    async close() {},
+  };
+}
@@ -0,0 +1,61 @@
+import { STRATEGY_REGISTRY } from './strategy-registry.mjs';
+
+export const MEMORY_SCHEMA_VERSION = 1;
+export const HISTORY_WINDOW = 200;
+
+// What `pnpm reset` writes and a new workspace starts from without priors.
+export function createInitialMemory() {
+  return {
+    schemaVersion: MEMORY_SCHEMA_VERSION,
+    runs: 0,
+    policy: {
+      epsilon: 0.45,
+      decay: 0.7,
+      minEpsilon: 0.05,
+    },
+    strategyStats: Object.fromEntries(STRATEGY_REGISTRY.active.map((strategy) => [strategy.id, { uses: 0, totalScore: 0, avgScore: 0 }])),
+    objectionPolicy: {},
+    banditArms: {},
+    history: [],
+  };
+}
+
+// Memory migrations shared by every backend. Each step moves memory from version i to i + 1.
+const MEMORY_MIGRATIONS = [
+  (memory) => {
+    // v1: memory.history becomes a recent window; the full log lives in the interactions store.
+    if (!Array.isArray(memory.history)) memory.history = [];
+    return memory;
+  },
+];
+
+export function migrateMemory(memory) {
+  const from = Number(memory?.schemaVersion ?? 0);
+  let migrated = memory && typeof memory === 'object' ? memory : {};
+  for (let version = from; version < MEMORY_MIGRATIONS.length; version += 1) {
+    migrated = MEMORY_MIGRATIONS[version](migrated);
+    migrated.schemaVersion = version + 1;
+  }
+  return { memory: migrated, fromVersion: from, toVersion: migrated.schemaVersion ?? from };
+}
+
+export function matchesInteraction(record, filter = {}) {
+  if (filter.leadId && record.leadId !== filter.leadId) return false;
+  if (filter.strategy && record.strategy !== filter.strategy) return false;
+  if (filter.objectionType && record.objectionType !== filter.objectionType) return false;
+  if (filter.runId && record.runId !== filter.runId) return false;
+  if (filter.since && String(record.timestamp ?? '') < filter.since) return false;
+  return true;
+}
+
+// Backends call this while holding the snapshot lock or transaction.
+export function nextSnapshotVersion(snapshots) {
+  return snapshots.reduce((max, snapshot) => Math.max(max, snapshot.version ?? 0), 0) + 1;
+}
+
+// Updaters run under a file lock (JSON) or inside a synchronous transaction (SQLite), so both backends
+// require them to return the new value directly. Async work belongs before the update.
+export function requireSyncUpdate(next, method) {
+  if (typeof next?.then === 'function') throw new TypeError(`${method}: the updater must be synchronous, not return a Promise`);
+  return next;
+}
@@ -0,0 +1,445 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { matchesInteraction, migrateMemory, nextSnapshotVersion, requireSyncUpdate } from './storage-schema.mjs';
+
+// Ordered schema migrations; applied versions are recorded in schema_migrations.
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'initial_schema',
+    sql: `
+      CREATE TABLE leads (
+        id TEXT PRIMARY KEY,
+        data TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+      CREATE TABLE interactions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        run_id TEXT,
+        epoch INTEGER,
+        lead_id TEXT,
+        objection_type TEXT,
+        strategy TEXT,
+        score REAL,
+        conversion_probability REAL,
+        created_at TEXT NOT NULL,
+        data TEXT NOT NULL
+      );
+      CREATE INDEX interactions_lead ON interactions (lead_id);
+      CREATE INDEX interactions_strategy ON interactions (strategy, objection_type);
+      CREATE INDEX interactions_run ON interactions (run_id);
+      CREATE TABLE strategy_stats (
+        strategy TEXT PRIMARY KEY,
+        uses REAL NOT NULL,
+        total_score REAL NOT NULL,
+        avg_score REAL NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+      CREATE TABLE policy_snapshots (
+        id TEXT PRIMARY KEY,
+        run_id TEXT,
+        created_at TEXT NOT NULL,
+        data TEXT NOT NULL
+      );
+      CREATE TABLE call_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        conversation_id TEXT,
+        lead_id TEXT,
+        strategy TEXT,
+        outcome TEXT,
+        reward REAL,
+        received_at TEXT NOT NULL,
+        data TEXT NOT NULL
+      );
+      CREATE INDEX call_events_lead ON call_events (lead_id);
+      CREATE TABLE documents (
+        name TEXT PRIMARY KEY,
+        data TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+    `,
+  },
+  {
+    version: 2,
+    name: 'outcomes',
+    sql: `
+      CREATE TABLE outcomes (
+        id TEXT PRIMARY KEY,
+        lead_id TEXT NOT NULL,
+        outcome TEXT NOT NULL,
+        revenue REAL,
+        occurred_at TEXT NOT NULL,
+        recorded_at TEXT NOT NULL,
+        data TEXT NOT NULL
+      );
+      CREATE INDEX outcomes_lead ON outcomes (lead_id);
+      CREATE INDEX outcomes_occurred ON outcomes (occurred_at);
+    `,
+  },
+  {
+    version: 3,
+    name: 'compliance_audit',
+    sql: `
+      CREATE TABLE compliance_audit (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        lead_id TEXT,
+        action TEXT NOT NULL,
+        rule TEXT,
+        created_at TEXT NOT NULL,
+        data TEXT NOT NULL
+      );
+      CREATE INDEX compliance_audit_lead ON compliance_audit (lead_id);
+      CREATE INDEX compliance_audit_created ON compliance_audit (created_at);
+    `,
+  },
+];
+
+async function loadSqlite() {
+  try {
+    return await import('node:sqlite');
+  } catch {
+    throw new Error('The sqlite storage backend needs node:sqlite (Node.js 22.5 or newer).');
+  }
+}
+
+async function readJsonFileIfExists(filePath) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+function applyMigrations(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TEXT NOT NULL
+    );
+  `);
+  const applied = new Set(db.prepare('SELECT version FROM schema_migrations').all().map((row) => row.version));
+
+  for (const migration of MIGRATIONS) {
+    if (applied.has(migration.version)) continue;
+    transaction(db, () => {
+      db.exec(migration.sql);
+      db.prepare('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)').run(
+        migration.version,
+        migration.name,
+        new Date().toISOString(),
+      );
+    });
+  }
+}
+
+function transaction(db, fn) {
+  db.exec('BEGIN IMMEDIATE');
+  try {
+    const result = fn();
+    db.exec('COMMIT');
+    return result;
+  } catch (error) {
+    db.exec('ROLLBACK');
+    throw error;
+  }
+}
+
+function parseRows(rows) {
+  return rows.map((row) => JSON.parse(row.data));
+}
+
+function limitClause(limit) {
+  const n = Number(limit);
+  return Number.isFinite(n) && n > 0 ? Math.floor(n) : null;
+}
+
+export async function createSqliteStorage({ dataDir, dbPath }) {
+  const { DatabaseSync } = await loadSqlite();
+  await fs.mkdir(path.dirname(dbPath), { recursive: true });
+
+  const db = new DatabaseSync(dbPath);
+  db.exec('PRAGMA journal_mode = WAL; PRAGMA busy_timeout = 5000; PRAGMA foreign_keys = ON;');
+  applyMigrations(db);
+
+  const now = () => new Date().toISOString();
+
+  function upsertDocument(name, value) {
+    db.prepare(
+      'INSERT INTO documents (name, data, updated_at) VALUES (?, ?, ?) ON CONFLICT(name) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at',
+    ).run(name, JSON.stringify(value), now());
+  }
+
+  function readDocumentSync(name) {
+    const row = db.prepare('SELECT data FROM documents WHERE name = ?').get(name);
+    return row ? JSON.parse(row.data) : undefined;
+  }
+
+  function replaceLeadsSync(leads) {
+    db.exec('DELETE FROM leads');
+    const insert = db.prepare('INSERT INTO leads (id, data, updated_at) VALUES (?, ?, ?)');
+    for (const lead of leads) insert.run(String(lead.id), JSON.stringify(lead), now());
+  }
+
+  function replaceLeads(leads) {
+    transaction(db, () => replaceLeadsSync(leads));
+  }
+
+  function insertInteractions(records) {
+    const insert = db.prepare(
+      `INSERT INTO interactions (run_id, epoch, lead_id, objection_type, strategy, score, conversion_probability, created_at, data)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    );
+    transaction(db, () => {
+      for (const record of records) {
+        insert.run(
+          record.runId ?? null,
+          Number.isFinite(record.epoch) ? record.epoch : null,
+          record.leadId ?? null,
+          record.objectionType ?? null,
+          record.strategy ?? null,
+          Number.isFinite(record.score) ? record.score : null,
+          Number.isFinite(record.conversionProbability) ? record.conversionProbability : null,
+          record.timestamp ?? now(),
+          JSON.stringify(record),
+        );
+      }
+    });
+  }
+
+  // First open: import the JSON files so switching backends keeps leads, memory and history.
+  if (db.prepare('SELECT COUNT(*) AS n FROM leads').get().n === 0) {
+    const leads = await readJsonFileIfExists(path.join(dataDir, 'leads.json'));
+    if (Array.isArray(leads)) replaceLeads(leads);
+  }
+  if (readDocumentSync('memory') === undefined) {
+    const legacy = await readJsonFileIfExists(path.join(dataDir, 'memory.json'));
+    if (legacy) {
+      const { memory } = migrateMemory(legacy);
+      upsertDocument('memory', memory);
+      if (memory.history.length) insertInteractions(memory.history.map((h) => ({ runId: null, ...h })));
+    }
+  }
+
+  return {
+    backend: 'sqlite',
+    location: dbPath,
+
+    async readLeads() {
+      return parseRows(db.prepare('SELECT data FROM leads ORDER BY rowid').all());
+    },
+
+    async writeLeads(leads) {
+      replaceLeads(leads);
+    },
+
+    // Same contract as the JSON backend, but the updater must be synchronous: it runs inside one write transaction.
+    async updateLeads(updater) {
+      return transaction(db, () => {
+        const current = parseRows(db.prepare('SELECT data FROM leads ORDER BY rowid').all());
+        const next = requireSyncUpdate(updater(current), 'updateLeads');
+        if (next === undefined) return current;
+        replaceLeadsSync(next);
+        return next;
+      });
+    },
+
+    async readMemory() {
+      const stored = readDocumentSync('memory');
+      if (stored === undefined) {
+        throw new Error(`No memory stored in ${dbPath}. Run the reset script first.`);
+      }
+      return migrateMemory(stored).memory;
+    },
+
+    async writeMemory(memory) {
+      const upsertStats = db.prepare(
+        `INSERT INTO strategy_stats (strategy, uses, total_score, avg_score, updated_at) VALUES (?, ?, ?, ?, ?)
+         ON CONFLICT(strategy) DO UPDATE SET uses = excluded.uses, total_score = excluded.total_score,
+           avg_score = excluded.avg_score, updated_at = excluded.updated_at`,
+      );
+      transaction(db, () => {
+        upsertDocument('memory', memory);
+        for (const [strategy, stats] of Object.entries(memory.strategyStats ?? {})) {
+          upsertStats.run(strategy, stats.uses ?? 0, stats.totalScore ?? 0, stats.avgScore ?? 0, now());
+        }
+      });
+    },
+
+    async appendInteractions(records) {
+      if (records.length) insertInteractions(records);
+    },
+
+    async queryInteractions(filter = {}) {
+      const where = [];
+      const params = [];
+      for (const [column, key] of [
+        ['lead_id', 'leadId'],
+        ['strategy', 'strategy'],
+        ['objection_type', 'objectionType'],
+        ['run_id', 'runId'],
+      ]) {
+        if (filter[key]) {
+          where.push(`${column} = ?`);
+          params.push(filter[key]);
+        }
+      }
+      if (filter.since) {
+        where.push('created_at >= ?');
+        params.push(filter.since);
+      }
+
+      const limit = limitClause(filter.limit);
+      const sql = `SELECT data FROM (
+        SELECT id, data FROM interactions ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+        ORDER BY id DESC ${limit ? `LIMIT ${limit}` : ''}
+      ) ORDER BY id ASC`;
+      return parseRows(db.prepare(sql).all(...params)).filter((row) => matchesInteraction(row, filter));
+    },
+
+    async appendCallEvent(entry) {
+      const event = entry?.event ?? {};
+      db.prepare(
+        `INSERT INTO call_events (conversation_id, lead_id, strategy, outcome, reward, received_at, data)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      ).run(
+        event.conversationId ?? null,
+        event.leadId ?? null,
+        event.selectedStrategy ?? null,
+        event.outcome ?? null,
+        Number.isFinite(event.reward) ? event.reward : null,
+        event.receivedAt ?? now(),
+        JSON.stringify(entry),
+      );
+    },
+
+    async queryCallEvents(filter = {}) {
+      const limit = limitClause(filter.limit);
+      const sql = `SELECT data FROM (
+        SELECT id, data FROM call_events ${filter.leadId ? 'WHERE lead_id = ?' : ''}
+        ORDER BY id DESC ${limit ? `LIMIT ${limit}` : ''}
+      ) ORDER BY id ASC`;
+      return parseRows(db.prepare(sql).all(...(filter.leadId ? [filter.leadId] : [])));
+    },
+
+    async appendOutcomes(records) {
+      const insert = db.prepare(
+        `INSERT OR IGNORE INTO outcomes (id, lead_id, outcome, revenue, occurred_at, recorded_at, data)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      );
+      return transaction(db, () =>
+        records.filter(
+          (record) =>
+            insert.run(
+              record.id,
+              record.leadId,
+              record.outcome,
+              Number.isFinite(record.revenue) ? record.revenue : null,
+              record.occurredAt,
+              record.recordedAt ?? now(),
+              JSON.stringify(record),
+            ).changes > 0,
+        ),
+      );
+    },
+
+    async queryOutcomes(filter = {}) {
+      const where = [];
+      const params = [];
+      if (filter.leadId) {
+        where.push('lead_id = ?');
+        params.push(filter.leadId);
+      }
+      if (filter.since) {
+        where.push('occurred_at >= ?');
+        params.push(filter.since);
+      }
+      const limit = limitClause(filter.limit);
+      const sql = `SELECT data FROM (
+        SELECT rowid, data FROM outcomes ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+        ORDER BY rowid DESC ${limit ? `LIMIT ${limit}` : ''}
+      ) ORDER BY rowid ASC`;
+      return parseRows(db.prepare(sql).all(...params));
+    },
+
+    async appendAuditEvents(records) {
+      if (!records.length) return;
+      const insert = db.prepare('INSERT INTO compliance_audit (lead_id, action, rule, created_at, data) VALUES (?, ?, ?, ?, ?)');
+      transaction(db, () => {
+        for (const record of records) {
+          insert.run(record.leadId ?? null, record.action, record.rule ?? null, record.createdAt ?? now(), JSON.stringify(record));
+        }
+      });
+    },
+
+    async queryAuditEvents(filter = {}) {
+      const where = [];
+      const params = [];
+      for (const [column, key] of [
+        ['lead_id', 'leadId'],
+        ['action', 'action'],
+      ]) {
+        if (filter[key]) {
+          where.push(`${column} = ?`);
+          params.push(filter[key]);
+        }
+      }
+      if (filter.since) {
+        where.push('created_at >= ?');
+        params.push(filter.since);
+      }
+      const limit = limitClause(filter.limit);
+      const sql = `SELECT data FROM (
+        SELECT id, data FROM compliance_audit ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+        ORDER BY id DESC ${limit ? `LIMIT ${limit}` : ''}
+      ) ORDER BY id ASC`;
+      return parseRows(db.prepare(sql).all(...params));
+    },
+
+    async savePolicySnapshot(snapshot) {
+      return transaction(db, () => {
+        const version = nextSnapshotVersion(parseRows(db.prepare('SELECT data FROM policy_snapshots').all()));
+        const saved = { id: `v${version}`, version, ...snapshot };
+        db.prepare('INSERT INTO policy_snapshots (id, run_id, created_at, data) VALUES (?, ?, ?, ?)').run(
+          saved.id,
+          saved.runId ?? null,
+          saved.createdAt ?? now(),
+          JSON.stringify(saved),
+        );
+        return saved;
+      });
+    },
+
+    async listPolicySnapshots() {
+      return parseRows(db.prepare('SELECT data FROM policy_snapshots ORDER BY created_at, rowid').all());
+    },
+
+    async getPolicySnapshot(id) {
+      const row = db.prepare('SELECT data FROM policy_snapshots WHERE id = ?').get(id);
+      return row ? JSON.parse(row.data) : null;
+    },
+
+    async readDocument(name, fallback = null) {
+      const value = readDocumentSync(name);
+      return value === undefined ? fallback : value;
+    },
+
+    async writeDocument(name, value) {
+      upsertDocument(name, value);
+    },
+
+    // The updater must be synchronous here: it runs inside one write transaction.
+    async updateDocument(name, fallback, updater) {
+      return transaction(db, () => {
+        const current = readDocumentSync(name);
+        const next = requireSyncUpdate(updater(current === undefined ? fallback : current), 'updateDocument');
+        upsertDocument(name, next);
+        return next;
+      });
+    },
+
+    async close() {
+      db.close();
+    },
+  };
+}
@@ -0,0 +1,33 @@
+import path from 'node:path';
+import { createJsonStorage } from './storage-json.mjs';
+import { isWorkspaceInitialized, resolveWorkspace } from './workspaces.mjs';
+
+// Both backends share one interface. `updateDocument(name, fallback, updater)` and `updateLeads(updater)` run the
+// updater under the document's lock (JSON) or inside one transaction (SQLite). The updater must be synchronous:
+// it gets the current value and returns the new one (`updateLeads` writes nothing when it returns undefined).
+// Anything async, such as classifying a message, runs before the update; a returned Promise is rejected.
+export const STORAGE_BACKENDS = ['json', 'sqlite'];
+
+// Every workspace gets its own data folder (and SQLite file); `workspace` falls back to WORKSPACE, then "default".
+export async function createStorage({ backend, workspace, dataDir } = {}) {
+  const name = String(backend || process.env.STORAGE_BACKEND || 'json').trim().toLowerCase();
+  const resolved = await resolveWorkspace(workspace);
+  const dir = dataDir ?? resolved.dataDir;
+  if (!dataDir && !(await isWorkspaceInitialized(resolved))) {
+    throw new Error(`Workspace "${resolved.id}" has no data yet. Run \`pnpm workspaces:init --workspace=${resolved.id}\` first.`);
+  }
+
+  let storage;
+  if (name === 'json') {
+    storage = createJsonStorage({ dataDir: dir });
+  } else if (name === 'sqlite') {
+    const { createSqliteStorage } = await import('./storage-sqlite.mjs');
+    // STORAGE_SQLITE_PATH only relocates the default workspace's database, not an explicit dataDir such as data/global.
+    const dbPath = (resolved.isDefault && !dataDir && process.env.STORAGE_SQLITE_PATH) || path.join(dir, 'ruya.sqlite');
+    storage = await createSqliteStorage({ dataDir: dir, dbPath });
+  } else {
+    throw new Error(`Unknown storage backend "${name}". Expected one of: ${STORAGE_BACKENDS.join(', ')}`);
+  }
+  storage.workspace = resolved;
+  return storage;
+}
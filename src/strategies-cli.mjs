@@ -0,0 +1,34 @@
+import { createStorage } from './storage.mjs';
+import { STRATEGY_REGISTRY } from './strategy-registry.mjs';
+
+function getArg(name, fallback) {
+  const found = process.argv.find((a) => a.startsWith(`--${name}=`));
+  if (!found) return fallback;
+  const [, value] = found.split('=');
+  return value ?? fallback;
+}
+
+// Importing the registry already validated every file, so listing doubles as the config check.
+async function main() {
+  const storage = await createStorage({ backend: getArg('storage', undefined), workspace: getArg('workspace', undefined) });
+  const memory = await storage.readMemory().catch(() => null);
+  await storage.close();
+
+  console.log(`Strategies from ${STRATEGY_REGISTRY.dir}:`);
+  for (const strategy of STRATEGY_REGISTRY.active) {
+    const stats = memory?.strategyStats?.[strategy.id];
+    const learned = stats ? `${stats.uses} uses, avg ${stats.avgScore}` : 'not in memory yet (cold start on next run)';
+    console.log(`  ${strategy.id.padEnd(16)} | ${String(strategy.label).padEnd(16)} | ${strategy.template.length} blocks | ${learned}`);
+  }
+  for (const strategy of STRATEGY_REGISTRY.retired) {
+    const archived = memory?.archivedStrategies?.[strategy.id];
+    console.log(`  ${strategy.id.padEnd(16)} | retired${archived ? ` (archived ${archived.archivedAt.slice(0, 10)})` : ''}`);
+  }
+  const orphans = Object.keys(memory?.archivedStrategies ?? {}).filter((id) => !STRATEGY_REGISTRY.retired.some((s) => s.id === id));
+  if (orphans.length) console.log(`Archived in memory without a config file: ${orphans.join(', ')}`);
+}
+
+main().catch((error) => {
+  console.error(error.message ?? error);
+  process.exit(1);
+});
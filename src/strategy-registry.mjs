@@ -0,0 +1,195 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const ROOT = path.resolve(__dirname, '..');
+const DEFAULT_STRATEGIES_DIR = path.join(ROOT, 'config', 'strategies');
+const TEMPLATE_FIELDS = ['name', 'goal', 'objectionType', 'offer', 'channel'];
+const DEFAULT_PRIOR = 0.2;
+
+export function getStrategiesDir() {
+  const fromEnv = String(process.env.STRATEGIES_DIR ?? '').trim();
+  return fromEnv || DEFAULT_STRATEGIES_DIR;
+}
+
+function numberMap(value, label, errors) {
+  if (value === undefined) return {};
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    errors.push(`${label} must be an object of numbers`);
+    return {};
+  }
+  for (const [key, n] of Object.entries(value)) {
+    if (!Number.isFinite(n)) errors.push(`${label}.${key} must be a number`);
+  }
+  return { ...value };
+}
+
+export function validateStrategy(raw, source) {
+  const errors = [];
+  const id = raw?.id;
+  const where = `${source}${id ? ` (${id})` : ''}`;
+  if (typeof id !== 'string' || !/^[a-z][a-z0-9_]*$/.test(id)) errors.push(`${where}: id must be snake_case, e.g. "risk_reversal"`);
+  if (typeof raw?.guidance !== 'string' || !raw.guidance.trim()) errors.push(`${where}: guidance (one sentence for the LLM generator) is required`);
+  const template = Array.isArray(raw?.template) ? raw.template : [];
+  if (!template.length || template.some((block) => typeof block !== 'string' || !block.trim())) {
+    errors.push(`${where}: template must be a non-empty array of sentences`);
+  }
+  for (const block of template.filter((b) => typeof b === 'string')) {
+    for (const [, field] of block.matchAll(/\{(\w+)\}/g)) {
+      if (!TEMPLATE_FIELDS.includes(field)) errors.push(`${where}: unknown placeholder {${field}} (expected ${TEMPLATE_FIELDS.join(', ')})`);
+    }
+  }
+  const priors = raw?.priors ?? {};
+  if (priors.default !== undefined && !Number.isFinite(priors.default)) errors.push(`${where}: priors.default must be a number`);
+
+  return {
+    errors,
+    strategy: {
+      id,
+      label: raw?.label ?? id,
+      description: raw?.description ?? null,
+      order: Number.isFinite(raw?.order) ? raw.order : Infinity,
+      guidance: raw?.guidance,
+      template: [...template],
+      priors: {
+        objections: numberMap(priors.objections, `${where}: priors.objections`, errors),
+        sentiment: numberMap(priors.sentiment, `${where}: priors.sentiment`, errors),
+        default: priors.default ?? DEFAULT_PRIOR,
+      },
+      retired: raw?.retired === true,
+      source,
+    },
+  };
+}
+
+// One JSON file or ES module (default export) per strategy.
+async function readStrategyFile(filePath) {
+  if (filePath.endsWith('.json')) return JSON.parse(await fs.readFile(filePath, 'utf-8'));
+  const module = await import(pathToFileURL(filePath).href);
+  return module.default;
+}
+
+export async function loadStrategyRegistry(dir = getStrategiesDir()) {
+  let files;
+  try {
+    files = (await fs.readdir(dir)).filter((name) => /\.(json|mjs)$/.test(name)).sort();
+  } catch (error) {
+    throw new Error(`Cannot read strategies directory ${dir}: ${error.message}`);
+  }
+
+  const errors = [];
+  const strategies = [];
+  for (const name of files) {
+    let raw;
+    try {
+      raw = await readStrategyFile(path.join(dir, name));
+    } catch (error) {
+      errors.push(`${name}: ${error.message}`);
+      continue;
+    }
+    const validated = validateStrategy(raw, name);
+    errors.push(...validated.errors);
+    if (strategies.some((s) => s.id === validated.strategy.id)) errors.push(`${name}: duplicate strategy id "${validated.strategy.id}"`);
+    strategies.push(validated.strategy);
+  }
+  const active = strategies.filter((s) => !s.retired).sort((a, b) => a.order - b.order || a.id.localeCompare(b.id));
+  if (!active.length) errors.push('at least one strategy must be active (not retired)');
+  if (errors.length) throw new Error(`Invalid strategy registry ${dir}: ${errors.join('; ')}`);
+
+  return { dir, active, retired: strategies.filter((s) => s.retired) };
+}
+
+// Loaded once at import, so the rest of the code keeps plain arrays and synchronous lookups.
+export const STRATEGY_REGISTRY = await loadStrategyRegistry();
+
+export function getStrategy(id) {
+  return STRATEGY_REGISTRY.active.find((strategy) => strategy.id === id) ?? null;
+}
+
+// Rule-evaluator prior for a strategy on this lead: objection fit plus a per-strategy sentiment adjustment.
+export function strategyPrior(id, lead) {
+  const priors = getStrategy(id)?.priors;
+  if (!priors) return DEFAULT_PRIOR;
+  return (priors.objections[lead?.objectionType] ?? priors.default) + (priors.sentiment[lead?.sentiment] ?? 0);
+}
+
+function coldStats() {
+  return { uses: 0, totalScore: 0, avgScore: 0 };
+}
+
+// Everything memory keeps per strategy, moved out of (or back into) the live policy as a unit.
+function takeStrategyState(memory, id) {
+  const pick = (byObjection) =>
+    Object.fromEntries(
+      Object.entries(byObjection ?? {})
+        .filter(([, byStrategy]) => byStrategy?.[id])
+        .map(([objectionType, byStrategy]) => {
+          const value = byStrategy[id];
+          delete byStrategy[id];
+          return [objectionType, value];
+        }),
+    );
+  const state = {
+    strategyStats: memory.strategyStats?.[id] ?? null,
+    banditArms: pick(memory.banditArms),
+    objectionStats: pick(memory.objectionStats),
+    contextualArm: memory.contextualModel?.arms?.[id] ?? null,
+    templateVariants: memory.templateVariants?.[id] ?? null,
+  };
+  delete memory.strategyStats?.[id];
+  if (memory.contextualModel?.arms) delete memory.contextualModel.arms[id];
+  if (memory.templateVariants) delete memory.templateVariants[id];
+  return state;
+}
+
+function putStrategyState(memory, id, state) {
+  memory.strategyStats[id] = state.strategyStats ?? coldStats();
+  for (const key of ['banditArms', 'objectionStats']) {
+    for (const [objectionType, value] of Object.entries(state[key] ?? {})) {
+      memory[key] ??= {};
+      memory[key][objectionType] ??= {};
+      memory[key][objectionType][id] = value;
+    }
+  }
+  // The feature space may have grown while archived; ensureContextualModel pads the arm back to size.
+  if (state.contextualArm && memory.contextualModel?.arms) memory.contextualModel.arms[id] = state.contextualArm;
+  if (state.templateVariants) {
+    memory.templateVariants ??= {};
+    memory.templateVariants[id] = state.templateVariants;
+  }
+}
+
+// New strategies start cold; strategies no longer active are archived with everything learned about them,
+// and restored from the archive if they come back. Objections mapped to an archived strategy are re-learned.
+export function syncMemoryStrategies(memory, strategies = STRATEGY_REGISTRY.active.map((s) => s.id)) {
+  memory.strategyStats ??= {};
+  memory.archivedStrategies ??= {};
+  const added = [];
+  const restored = [];
+  const archived = [];
+
+  for (const id of Object.keys(memory.strategyStats)) {
+    if (strategies.includes(id)) continue;
+    memory.archivedStrategies[id] = { archivedAt: new Date().toISOString(), ...takeStrategyState(memory, id) };
+    for (const [objectionType, mapped] of Object.entries(memory.objectionPolicy ?? {})) {
+      if (mapped === id) delete memory.objectionPolicy[objectionType];
+    }
+    archived.push(id);
+  }
+  for (const id of strategies) {
+    if (memory.strategyStats[id]) continue;
+    const archive = memory.archivedStrategies[id];
+    if (archive) {
+      const { archivedAt, ...state } = archive;
+      putStrategyState(memory, id, state);
+      delete memory.archivedStrategies[id];
+      restored.push(id);
+    } else {
+      memory.strategyStats[id] = coldStats();
+      added.push(id);
+    }
+  }
+  return { active: strategies, added, restored, archived };
+}
@@ -0,0 +1,53 @@
+import { POLICY_NAMES, selectStrategy } from './bandit-policy.mjs';
+import { selectContextual } from './contextual-bandit.mjs';
+import { getClassifierConfig } from './message-classifier.mjs';
+import { STRATEGY_REGISTRY } from './strategy-registry.mjs';
+
+// Active strategies from config/strategies, in registry order.
+export const STRATEGIES = STRATEGY_REGISTRY.active.map((strategy) => strategy.id);
+export const SELECTION_POLICIES = [...POLICY_NAMES, 'linucb'];
+
+export function pickBestStrategy(memory, objectionType) {
+  const mapped = memory.objectionPolicy?.[objectionType];
+  if (mapped && STRATEGIES.includes(mapped)) return mapped;
+
+  let best = STRATEGIES[0];
+  let bestScore = -Infinity;
+  for (const strategy of STRATEGIES) {
+    const avg = memory.strategyStats[strategy]?.avgScore ?? 0;
+    if (avg > bestScore) {
+      bestScore = avg;
+      best = strategy;
+    }
+  }
+  return best;
+}
+
+// Shared by the demo loop and the live channel webhooks.
+export function pickPolicyStrategy({ policyName, memory, lead, rng }) {
+  // An objection the classifier was unsure about is not worth learning from or betting on: use the safe default.
+  if (lead.classification?.lowConfidence) {
+    const { safeStrategy } = getClassifierConfig();
+    return {
+      strategy: STRATEGIES.includes(safeStrategy) ? safeStrategy : STRATEGIES[0],
+      decision: 'exploit',
+      policy: 'safe_default',
+      detail: { confidence: lead.classification.confidence },
+    };
+  }
+  if (policyName === 'linucb') {
+    return {
+      ...selectContextual({ memory, lead, strategies: STRATEGIES }),
+      policy: policyName,
+    };
+  }
+
+  return selectStrategy({
+    policy: policyName,
+    memory,
+    objectionType: lead.objectionType,
+    strategies: STRATEGIES,
+    rng,
+    fallbackStrategy: pickBestStrategy(memory, lead.objectionType),
+  });
+}
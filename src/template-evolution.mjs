@@ -0,0 +1,188 @@
+import { updateRunningStats } from './policy-stats.mjs';
+import { STRATEGY_TEMPLATES, canRewriteWithLlm, renderBlocks, rewriteBlock } from './response-generator.mjs';
+
+function round(value) {
+  return Number(value.toFixed(4));
+}
+
+function createVariant({ id, blocks, parents, operator, generation, epoch }) {
+  return {
+    id,
+    parents,
+    operator,
+    generation,
+    bornEpoch: epoch,
+    blocks,
+    stats: { count: 0, mean: 0, m2: 0, variance: 0 },
+    parentMeanAtBirth: null,
+    retired: false,
+    retiredEpoch: null,
+  };
+}
+
+export function ensureVariantPopulation(memory, strategies) {
+  if (!memory.templateVariants || typeof memory.templateVariants !== 'object') {
+    memory.templateVariants = {};
+  }
+
+  for (const strategy of strategies) {
+    if (memory.templateVariants[strategy] || !STRATEGY_TEMPLATES[strategy]) continue;
+    memory.templateVariants[strategy] = {
+      nextId: 1,
+      variants: [
+        createVariant({
+          id: `${strategy}-v0`,
+          blocks: [...STRATEGY_TEMPLATES[strategy]],
+          parents: [],
+          operator: 'seed',
+          generation: 0,
+          epoch: 0,
+        }),
+      ],
+    };
+  }
+  return memory.templateVariants;
+}
+
+function activeVariants(memory, strategy) {
+  return (memory.templateVariants?.[strategy]?.variants ?? []).filter((variant) => !variant.retired);
+}
+
+export function bestVariant(memory, strategy) {
+  const active = activeVariants(memory, strategy);
+  return active.reduce((best, variant) => (variant.stats.mean > best.stats.mean ? variant : best), active[0]) ?? null;
+}
+
+// Untried variants first, otherwise mostly the best one with a little exploration.
+export function pickVariant(memory, strategy, rng, explore = 0.2) {
+  const active = activeVariants(memory, strategy);
+  if (!active.length) return null;
+
+  const untried = active.find((variant) => variant.stats.count === 0);
+  if (untried) return untried;
+  if (rng() < explore) return active[Math.floor(rng() * active.length)];
+  return bestVariant(memory, strategy);
+}
+
+export function renderVariant(variant, lead) {
+  return renderBlocks(variant.blocks, lead);
+}
+
+export function recordVariantScore(memory, strategy, variantId, score) {
+  const variant = memory.templateVariants?.[strategy]?.variants.find((v) => v.id === variantId);
+  if (!variant) return null;
+  return updateRunningStats(variant.stats, score);
+}
+
+function pickParent(active, rng) {
+  const a = active[Math.floor(rng() * active.length)];
+  const b = active[Math.floor(rng() * active.length)];
+  return a.stats.mean >= b.stats.mean ? a : b;
+}
+
+async function mutate({ parent, strategy, donors, rng }) {
+  const operators = ['swap', 'recombine'];
+  if (canRewriteWithLlm()) operators.push('llm_rewrite');
+  const operator = operators[Math.floor(rng() * operators.length)];
+  const blocks = [...parent.blocks];
+
+  if (operator === 'swap' && blocks.length > 1) {
+    const i = Math.floor(rng() * blocks.length);
+    const j = (i + 1 + Math.floor(rng() * (blocks.length - 1))) % blocks.length;
+    [blocks[i], blocks[j]] = [blocks[j], blocks[i]];
+    return { operator, blocks, donorId: null };
+  }
+
+  if (operator === 'llm_rewrite') {
+    const index = Math.floor(rng() * blocks.length);
+    const rewritten = await rewriteBlock({ strategy, block: blocks[index] });
+    if (rewritten) {
+      blocks[index] = rewritten;
+      return { operator, blocks, donorId: null };
+    }
+  }
+
+  // Recombination (and the fallback for failed rewrites): borrow a block from another variant of the same strategy.
+  const donor = donors[Math.floor(rng() * donors.length)];
+  if (!donor) return null;
+  const index = Math.floor(rng() * blocks.length);
+  blocks[index] = donor.blocks[Math.floor(rng() * donor.blocks.length)];
+  return { operator: 'recombine', blocks, donorId: donor.id };
+}
+
+export async function evolvePopulation({ memory, strategies, rng, epoch, populationSize = 4, mutations = 1, minTrials = 3 }) {
+  const events = [];
+
+  // Retire proven low performers once a population is over budget; the best one always survives.
+  for (const strategy of strategies) {
+    const ranked = activeVariants(memory, strategy)
+      .filter((variant) => variant.stats.count >= minTrials)
+      .sort((a, b) => a.stats.mean - b.stats.mean);
+    let activeCount = activeVariants(memory, strategy).length;
+    for (const variant of ranked.slice(0, -1)) {
+      if (activeCount <= populationSize - mutations) break;
+      variant.retired = true;
+      variant.retiredEpoch = epoch;
+      activeCount -= 1;
+      events.push({ type: 'retired', strategy, id: variant.id, mean: variant.stats.mean, count: variant.stats.count });
+    }
+  }
+
+  for (const strategy of strategies) {
+    const population = memory.templateVariants?.[strategy];
+    const active = activeVariants(memory, strategy);
+    if (!population || !active.length) continue;
+    // Donors come from the same strategy only, so an urgent_offer sentence never ends up in a consultative variant.
+    const donors = activeVariants(memory, strategy);
+
+    for (let i = 0; i < mutations; i += 1) {
+      const parent = pickParent(active, rng);
+      const mutated = await mutate({ parent, strategy, donors: donors.filter((d) => d.id !== parent.id), rng });
+      if (!mutated) continue;
+
+      const signature = mutated.blocks.join('\n');
+      if (population.variants.some((variant) => !variant.retired && variant.blocks.join('\n') === signature)) continue;
+
+      const child = createVariant({
+        id: `${strategy}-v${population.nextId}`,
+        blocks: mutated.blocks,
+        parents: mutated.donorId ? [parent.id, mutated.donorId] : [parent.id],
+        operator: mutated.operator,
+        generation: parent.generation + 1,
+        epoch,
+      });
+      child.parentMeanAtBirth = parent.stats.count > 0 ? parent.stats.mean : null;
+      population.nextId += 1;
+      population.variants.push(child);
+      events.push({ type: 'born', strategy, id: child.id, parents: child.parents, operator: child.operator });
+    }
+  }
+
+  return events;
+}
+
+export function describeLineage(memory, strategies) {
+  const lineage = {};
+  for (const strategy of strategies) {
+    const variants = memory.templateVariants?.[strategy]?.variants ?? [];
+    lineage[strategy] = variants.map((variant) => {
+      const parent = variants.find((v) => v.id === variant.parents[0]);
+      const parentMean = parent && parent.stats.count > 0 ? parent.stats.mean : null;
+      return {
+        id: variant.id,
+        parent: variant.parents[0] ?? null,
+        donor: variant.parents[1] ?? null,
+        operator: variant.operator,
+        generation: variant.generation,
+        uses: variant.stats.count,
+        mean: variant.stats.mean,
+        parentMean,
+        parentMeanAtBirth: variant.parentMeanAtBirth,
+        upliftOverParent:
+          parentMean !== null && variant.stats.count > 0 ? round(variant.stats.mean - parentMean) : null,
+        retired: variant.retired,
+      };
+    });
+  }
+  return lineage;
+}
@@ -0,0 +1,180 @@
+import { senderOf, turnText } from './call-outcome.mjs';
+import { getEvaluatorConfig, requestChatJson, shouldUseLlm } from './llm-evaluator.mjs';
+
+export const CALL_OUTCOMES = [
+  'booked',
+  'follow_up_requested',
+  'objection_unresolved',
+  'not_interested',
+  'voicemail',
+  'wrong_number',
+  'unclassified',
+];
+
+const OBJECTION_KEYWORDS = {
+  price: [/expensive/, /\bprice/, /\bcost/, /afford/, /budget/, /too much/, /cheaper/],
+  trust: [/trust/, /\blegit/, /scam/, /proof/, /expert/, /reviews?\b/, /how do i know/],
+  timing: [/busy/, /\blater\b/, /not now/, /next month/, /no time/, /bad time/],
+  results: [/results?\b/, /didn'?t work/, /tried (it|this|similar)/, /guarantee/, /work for me/],
+  complexity: [/complicated/, /complex/, /confus/, /overwhelm/, /too hard/, /hard to/],
+  urgency: [/think about it/, /not sure yet/, /no rush/, /need to decide/, /sleep on it/],
+};
+
+const OUTCOME_PATTERNS = {
+  wrong_number: /(wrong number|no one (here )?by that name|you have the wrong|who is this\?? i don'?t know)/,
+  voicemail: /(leave (a|your) message|after the (tone|beep)|voicemail|is not available|mailbox)/,
+  not_interested: /(not interested|no thanks|stop calling|don'?t call|remove me|unsubscribe|leave me alone)/,
+  // Only affirmative phrases: "can you confirm the price" is a question, not a booking.
+  booked:
+    /\b(book(ed)? (it|me|a|the)|schedule (it|me|a|the)|sign me up|let'?s do it|count me in|see you (then|on|at)|(yes|yeah|yep|sure|ok(ay)?|perfect|great),? (please )?(book|confirm|lock) (it|that|me|the)|(that|it)('?s| is) confirmed|i('?ll| will)? confirm (it|that|the (slot|time|booking)))\b/,
+  follow_up_requested:
+    /(call me back|call back|send me|email me|text me|follow up|next week|get back to (me|you)|think about it and)/,
+};
+
+const COMMITMENT_PATTERNS = [
+  { type: 'booking', pattern: /\b(book|schedule|sign me up|let'?s do it|see you)\b/ },
+  { type: 'callback', pattern: /\b(call me|call back|talk (again|next))\b/ },
+  { type: 'info_request', pattern: /\b(send me|email me|text me|share)\b/ },
+  { type: 'self_commitment', pattern: /\b(i'?ll|i will|i can do)\b/ },
+];
+
+function splitSentences(text) {
+  return text
+    .split(/(?<=[.!?])\s+/)
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+export function detectObjections(text) {
+  return Object.entries(OBJECTION_KEYWORDS)
+    .filter(([, patterns]) => patterns.some((pattern) => pattern.test(text)))
+    .map(([objectionType]) => objectionType);
+}
+
+function detectCommitment(userTurns) {
+  for (const turn of userTurns) {
+    for (const sentence of splitSentences(turnText(turn))) {
+      const lower = sentence.toLowerCase();
+      const match = COMMITMENT_PATTERNS.find(({ pattern }) => pattern.test(lower));
+      if (match) {
+        return { type: match.type, text: sentence.slice(0, 200) };
+      }
+    }
+  }
+  return null;
+}
+
+export function classifyTranscriptByRules(transcript) {
+  const turns = Array.isArray(transcript) ? transcript : [];
+  const userTurns = turns.filter((turn) => senderOf(turn) === 'user');
+  const userText = userTurns.map((turn) => turnText(turn).toLowerCase()).join(' ');
+  // Questions never count as a booking, however they are worded.
+  const userStatements = userTurns
+    .flatMap((turn) => splitSentences(turnText(turn).toLowerCase()))
+    .filter((sentence) => !sentence.endsWith('?'))
+    .join(' ');
+
+  const objectionsRaised = detectObjections(userText);
+  const commitment = detectCommitment(userTurns);
+
+  let label;
+  let confidence;
+  if (OUTCOME_PATTERNS.wrong_number.test(userText)) {
+    label = 'wrong_number';
+    confidence = 0.9;
+  } else if (OUTCOME_PATTERNS.voicemail.test(userText)) {
+    // Only the callee side: the agent saying "I'll leave a message" is not a voicemail greeting.
+    label = 'voicemail';
+    confidence = 0.85;
+  } else if (!userText.trim()) {
+    label = 'voicemail';
+    confidence = 0.5;
+  } else if (OUTCOME_PATTERNS.not_interested.test(userText)) {
+    label = 'not_interested';
+    confidence = 0.85;
+  } else if (OUTCOME_PATTERNS.booked.test(userStatements)) {
+    label = 'booked';
+    confidence = 0.8;
+  } else if (OUTCOME_PATTERNS.follow_up_requested.test(userText)) {
+    label = 'follow_up_requested';
+    confidence = 0.7;
+  } else if (objectionsRaised.length > 0) {
+    label = 'objection_unresolved';
+    confidence = 0.6;
+  } else {
+    // Nothing recognizable: no label, so no reward for the strategy either way.
+    label = 'unclassified';
+    confidence = 0.3;
+  }
+
+  return {
+    label,
+    confidence,
+    objectionsRaised,
+    commitment,
+    source: 'rule',
+  };
+}
+
+function buildTranscriptPrompt(transcript) {
+  const lines = (Array.isArray(transcript) ? transcript : []).map(
+    (turn) => `${senderOf(turn) || 'unknown'}: ${turnText(turn)}`,
+  );
+
+  return [
+    'You are classifying the outcome of an AI sales follow-up call.',
+    'Return only valid JSON object with keys: label, confidence, objectionsRaised, commitment.',
+    `- label: one of ${CALL_OUTCOMES.join(', ')}.`,
+    '- confidence: 0..1.',
+    `- objectionsRaised: array of zero or more of ${Object.keys(OBJECTION_KEYWORDS).join(', ')}.`,
+    '- commitment: null or {"type": "booking|callback|info_request|self_commitment", "text": "<lead quote>"}.',
+    '',
+    'Transcript:',
+    ...lines,
+  ].join('\n');
+}
+
+function normalizeClassification(raw) {
+  if (!raw || !CALL_OUTCOMES.includes(raw.label)) return null;
+
+  const confidence = Number(raw.confidence);
+  const objectionsRaised = Array.isArray(raw.objectionsRaised)
+    ? raw.objectionsRaised.filter((o) => Object.hasOwn(OBJECTION_KEYWORDS, o))
+    : [];
+  const commitment =
+    raw.commitment && typeof raw.commitment === 'object' && typeof raw.commitment.text === 'string'
+      ? { type: String(raw.commitment.type ?? 'self_commitment'), text: raw.commitment.text.slice(0, 200) }
+      : null;
+
+  return {
+    label: raw.label,
+    confidence: Number.isFinite(confidence) ? Number(Math.max(0, Math.min(1, confidence)).toFixed(2)) : 0.5,
+    objectionsRaised,
+    commitment,
+  };
+}
+
+export async function classifyTranscript(transcript) {
+  const config = getEvaluatorConfig();
+  const mode = String(process.env.TRANSCRIPT_CLASSIFIER_MODE ?? 'auto').trim().toLowerCase();
+
+  if (!shouldUseLlm({ ...config, mode })) {
+    return classifyTranscriptByRules(transcript);
+  }
+
+  const completion = await requestChatJson({
+    config,
+    system: 'You are a strict JSON call outcome classifier. Return only JSON.',
+    prompt: buildTranscriptPrompt(transcript),
+  });
+  const normalized = completion.ok ? normalizeClassification(completion.json) : null;
+  if (normalized) {
+    return { ...normalized, source: 'llm' };
+  }
+
+  return {
+    ...classifyTranscriptByRules(transcript),
+    source: 'rule_fallback',
+    notes: completion.ok ? `LLM returned invalid classification: ${completion.content.slice(0, 300)}` : completion.error,
+  };
+}
@@ -1,16 +1,34 @@
-import fs from 'node:fs/promises';
 import http from 'node:http';
 import crypto from 'node:crypto';
-import path from 'node:path';
-import { fileURLToPath } from 'node:url';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-const ROOT = path.resolve(__dirname, '..');
-const DATA_DIR = path.join(ROOT, 'data');
-const LATEST_PATH = path.join(DATA_DIR, 'post-call-latest.json');
-const NDJSON_PATH = path.join(DATA_DIR, 'post-call-events.ndjson');
-const LEARNING_PATH = path.join(DATA_DIR, 'post-call-learning.json');
+import { computeCallReward, getEngagementRatio } from './call-outcome.mjs';
+import { classifyTranscript } from './transcript-classifier.mjs';
+import { createStorage } from './storage.mjs';
+import {
+  MESSAGING_CHANNELS,
+  extractInstagramMessages,
+  extractWhatsAppMessages,
+  handleInboundMessages,
+  verifyHubSignature,
+  verifySubscription,
+} from './messaging-webhooks.mjs';
+import { SELECTION_POLICIES } from './strategy-selection.mjs';
+import { parseCsv } from './csv.mjs';
+import { ATTRIBUTION_MODELS, recordOutcomes, summarizeAttribution } from './outcomes.mjs';
+import { cancelQueuedCalls, reportCallResult } from './call-scheduler.mjs';
+import { detectOptOutInTranscript, loadCompliancePolicy, recordOptOut } from './compliance.mjs';
+import { createEventHub, handleDashboardRoute, isDashboardPath } from './dashboard.mjs';
+import { DUPLICATE_MODES, createLead, deleteLead, filterLeads, importLeads, updateLead } from './leads.mjs';
+import { getWorkspaceSecret, loadWorkspaces, resolveWorkspace } from './workspaces.mjs';
+
+const EMPTY_LEARNING = {
+  updatedAt: null,
+  callsCount: 0,
+  totalDurationSeconds: 0,
+  avgDurationSeconds: 0,
+  byLeadId: {},
+  byStrategy: {},
+  outcomes: [],
+};
 
 function getArg(name, fallback) {
   const found = process.argv.find((a) => a.startsWith(`--${name}=`));
@@ -127,6 +145,7 @@ function extractCallEvent(payload) {
 
   const userTurns = transcript.filter((t) => String(t?.sender ?? '').toLowerCase() === 'user');
   const agentTurns = transcript.filter((t) => String(t?.sender ?? '').toLowerCase() === 'agent');
+  const engagementRatio = getEngagementRatio(transcript);
 
   return {
     receivedAt: new Date().toISOString(),
@@ -134,9 +153,15 @@ function extractCallEvent(payload) {
     conversationId: String(data?.conversation_id ?? metadata?.conversation_id ?? ''),
     durationSeconds,
     leadId,
+    selectedStrategy: dynamicVariables?.selected_strategy ? String(dynamicVariables.selected_strategy) : null,
+    objectionType: dynamicVariables?.objection_type ? String(dynamicVariables.objection_type) : null,
     transcriptTurns: transcript.length,
     userTurns: userTurns.length,
     agentTurns: agentTurns.length,
+    engagementRatio,
+    outcome: null,
+    reward: null,
+    analysis: null,
     transcriptPreview: transcript.slice(0, 5).map((t) => ({
       sender: t?.sender ?? null,
       text: typeof t?.text === 'string' ? t.text.slice(0, 200) : null,
@@ -146,30 +171,7 @@ function extractCallEvent(payload) {
   };
 }
 
-async function writeJson(filePath, value) {
-  await fs.writeFile(filePath, JSON.stringify(value, null, 2) + '\n', 'utf-8');
-}
-
-async function appendNdjson(filePath, value) {
-  await fs.appendFile(filePath, JSON.stringify(value) + '\n', 'utf-8');
-}
-
-async function upsertLearning(event) {
-  let learning = {
-    updatedAt: null,
-    callsCount: 0,
-    totalDurationSeconds: 0,
-    avgDurationSeconds: 0,
-    byLeadId: {},
-  };
-
-  try {
-    const raw = await fs.readFile(LEARNING_PATH, 'utf-8');
-    learning = JSON.parse(raw);
-  } catch {
-    // keep defaults
-  }
-
+function applyCallToLearning(learning, event) {
   learning.callsCount += 1;
   learning.totalDurationSeconds += event.durationSeconds;
   learning.avgDurationSeconds = Number(
@@ -192,12 +194,70 @@ async function upsertLearning(event) {
   prev.lastReceivedAt = event.receivedAt;
 
   learning.byLeadId[leadKey] = prev;
+
+  // Joined back to the text loop by run.mjs through leadId + strategy.
+  if (!Array.isArray(learning.outcomes)) learning.outcomes = [];
+  learning.outcomes.push({
+    conversationId: event.conversationId || null,
+    leadId: event.leadId,
+    strategy: event.selectedStrategy,
+    objectionType: event.objectionType,
+    durationSeconds: event.durationSeconds,
+    engagementRatio: event.engagementRatio,
+    outcome: event.outcome,
+    outcomeConfidence: event.analysis?.confidence ?? null,
+    objectionsRaised: event.analysis?.objectionsRaised ?? [],
+    commitment: event.analysis?.commitment ?? null,
+    reward: event.reward,
+    receivedAt: event.receivedAt,
+  });
+
+  const strategyKey = event.selectedStrategy || 'unknown';
+  const objectionKey = event.objectionType || 'unknown';
+  if (!learning.byStrategy || typeof learning.byStrategy !== 'object') learning.byStrategy = {};
+  const byObjection = learning.byStrategy[strategyKey] || {};
+  const group = byObjection[objectionKey] || { callsCount: 0, outcomes: {}, objectionsRaised: {}, commitments: 0 };
+  group.callsCount += 1;
+  group.outcomes[event.outcome] = (group.outcomes[event.outcome] ?? 0) + 1;
+  for (const raised of event.analysis?.objectionsRaised ?? []) {
+    group.objectionsRaised[raised] = (group.objectionsRaised[raised] ?? 0) + 1;
+  }
+  if (event.analysis?.commitment) group.commitments += 1;
+  byObjection[objectionKey] = group;
+  learning.byStrategy[strategyKey] = byObjection;
+
   learning.updatedAt = new Date().toISOString();
+  return learning;
+}
 
-  await writeJson(LEARNING_PATH, learning);
+// What the call scheduler needs to know: voicemail is retried like no-answer, a wrong number is never redialed.
+function schedulerResultFor(outcome) {
+  if (outcome === 'voicemail') return 'no_answer';
+  if (outcome === 'wrong_number') return 'wrong_number';
+  return 'completed';
 }
 
-async function handleWebhook(rawBody) {
+// Busy / no-answer calls never produce a transcript; they only move the scheduled job to its retry.
+async function handleCallInitiationFailure(storage, payload) {
+  const event = extractCallEvent(payload);
+  const reason = String(payload?.data?.failure_reason ?? 'unknown').toLowerCase().replace(/-/g, '_');
+  const result = ['busy', 'no_answer'].includes(reason) ? reason : 'failed';
+  const job = await reportCallResult({ storage, conversationId: event.conversationId, leadId: event.leadId, result });
+  return {
+    ok: true,
+    statusCode: 200,
+    body: {
+      ok: true,
+      receivedType: event.type,
+      conversationId: event.conversationId,
+      leadId: event.leadId,
+      failureReason: reason,
+      callJob: job ? { id: job.id, status: job.status, attempts: job.attempts, notBefore: job.notBefore } : null,
+    },
+  };
+}
+
+async function handleWebhook(storage, rawBody) {
   let payload;
   try {
     payload = JSON.parse(rawBody);
@@ -209,11 +269,33 @@ async function handleWebhook(rawBody) {
     };
   }
 
-  const event = extractCallEvent(payload);
+  if (payload?.type === 'call_initiation_failure') return handleCallInitiationFailure(storage, payload);
 
-  await writeJson(LATEST_PATH, { event, raw: payload });
-  await appendNdjson(NDJSON_PATH, { event, raw: payload });
-  await upsertLearning(event);
+  const event = extractCallEvent(payload);
+  const transcript = Array.isArray(payload?.data?.transcript) ? payload.data.transcript : [];
+  event.analysis = await classifyTranscript(transcript);
+  event.outcome = event.analysis.label;
+  event.reward = computeCallReward(event);
+  const optOut = detectOptOutInTranscript(transcript, await loadCompliancePolicy());
+  event.optOut = optOut.optOut ? { match: optOut.match, quote: optOut.quote } : null;
+
+  await storage.writeDocument('post-call-latest', { event, raw: payload });
+  await storage.appendCallEvent({ event, raw: payload });
+  await storage.updateDocument('post-call-learning', structuredClone(EMPTY_LEARNING), (learning) =>
+    applyCallToLearning(learning, event),
+  );
+  const job = await reportCallResult({
+    storage,
+    conversationId: event.conversationId,
+    leadId: event.leadId,
+    result: event.optOut ? 'opted_out' : schedulerResultFor(event.outcome),
+  });
+  // Asking not to be called again puts the lead on the do-not-contact list and drops its queued calls.
+  if (event.optOut && event.leadId) {
+    const lead = (await storage.readLeads()).find((l) => l.id === event.leadId) ?? { id: event.leadId };
+    await recordOptOut(storage, { lead, channel: 'voice', match: event.optOut.match, source: `call:${event.conversationId}`, quote: event.optOut.quote });
+    await cancelQueuedCalls({ storage, leadId: event.leadId });
+  }
 
   return {
     ok: true,
@@ -224,18 +306,315 @@ async function handleWebhook(rawBody) {
       conversationId: event.conversationId,
       durationSeconds: event.durationSeconds,
       leadId: event.leadId,
+      selectedStrategy: event.selectedStrategy,
+      outcome: event.outcome,
+      outcomeConfidence: event.analysis.confidence,
+      objectionsRaised: event.analysis.objectionsRaised,
+      reward: event.reward,
+      optOut: event.optOut,
+      callJob: job ? { id: job.id, status: job.status } : null,
+    },
+  };
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf-8')));
+    req.on('error', reject);
+  });
+}
+
+async function handleMessagingRoute({ req, url, platform, storage, meta, requireToken }) {
+  if (req.method === 'GET') {
+    const verification = verifySubscription(url.searchParams, meta.verifyToken);
+    return verification.ok
+      ? { statusCode: 200, contentType: 'text/plain', body: verification.challenge }
+      : { statusCode: 403, body: { ok: false, error: verification.reason } };
+  }
+  if (req.method !== 'POST') {
+    return { statusCode: 405, body: { ok: false, error: 'METHOD_NOT_ALLOWED' } };
+  }
+
+  // Fails closed like the API routes: unsigned messages are only accepted on a loopback bind.
+  if (!meta.appSecret && requireToken) {
+    return { statusCode: 503, body: { ok: false, error: 'APP_SECRET_NOT_CONFIGURED', message: `Set ${meta.appSecretEnv} to accept messages on a public host` } };
+  }
+  const rawBody = await readBody(req);
+  if (meta.appSecret) {
+    const verification = verifyHubSignature({
+      rawBody,
+      signatureHeader: req.headers['x-hub-signature-256'],
+      secret: meta.appSecret,
+    });
+    if (!verification.ok) return { statusCode: 401, body: { ok: false, error: verification.reason } };
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(rawBody);
+  } catch {
+    return { statusCode: 400, body: { ok: false, error: 'INVALID_JSON' } };
+  }
+
+  const messages = platform === 'whatsapp' ? extractWhatsAppMessages(payload) : extractInstagramMessages(payload);
+  const results = await handleInboundMessages({ storage, messages, policyName: meta.policyName });
+  return { statusCode: 200, valid: true, body: { ok: true, platform, received: messages.length, results } };
+}
+
+function hasBearerToken(req, token) {
+  const expected = Buffer.from(`Bearer ${token}`);
+  const actual = Buffer.from(String(req.headers.authorization ?? ''));
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+// Fails closed: without a token the API is only served on a loopback bind.
+function checkApiToken(req, token, requireToken, tokenEnv) {
+  if (token) return hasBearerToken(req, token) ? null : { statusCode: 401, body: { ok: false, error: 'UNAUTHORIZED' } };
+  if (!requireToken) return null;
+  return { statusCode: 503, body: { ok: false, error: 'TOKEN_NOT_CONFIGURED', message: `Set ${tokenEnv} to serve this route on a public host` } };
+}
+
+// Real conversion results: POST JSON (one outcome, an array or {outcomes: [...]}) or text/csv; GET lists them.
+async function handleOutcomesRoute({ req, url, storage, token, tokenEnv, requireToken }) {
+  const denied = checkApiToken(req, token, requireToken, tokenEnv);
+  if (denied) return denied;
+
+  if (req.method === 'GET') {
+    const outcomes = await storage.queryOutcomes({
+      leadId: url.searchParams.get('leadId') || undefined,
+      since: url.searchParams.get('since') || undefined,
+    });
+    const limit = Number(url.searchParams.get('limit') ?? 50);
+    return {
+      statusCode: 200,
+      body: { ok: true, outcomes: outcomes.slice(-Math.max(1, limit || 50)), attribution: summarizeAttribution(outcomes) },
+    };
+  }
+  if (req.method !== 'POST') {
+    return { statusCode: 405, body: { ok: false, error: 'METHOD_NOT_ALLOWED' } };
+  }
+
+  const model = url.searchParams.get('attribution') || 'last_touch';
+  if (!ATTRIBUTION_MODELS.includes(model)) {
+    return { statusCode: 400, body: { ok: false, error: 'INVALID_ATTRIBUTION', expected: ATTRIBUTION_MODELS } };
+  }
+
+  const rawBody = await readBody(req);
+  let rawOutcomes;
+  if (String(req.headers['content-type'] ?? '').includes('text/csv')) {
+    rawOutcomes = parseCsv(rawBody);
+  } else {
+    try {
+      const payload = JSON.parse(rawBody);
+      rawOutcomes = Array.isArray(payload) ? payload : Array.isArray(payload?.outcomes) ? payload.outcomes : [payload];
+    } catch {
+      return { statusCode: 400, body: { ok: false, error: 'INVALID_JSON' } };
+    }
+  }
+
+  const result = await recordOutcomes({ storage, rawOutcomes, source: 'api', model });
+  const statusCode = result.accepted.length || result.duplicates || !result.rejected.length ? 200 : 422;
+  return {
+    statusCode,
+    valid: statusCode === 200,
+    body: {
+      ok: statusCode === 200,
+      recorded: result.accepted.map((outcome) => ({ id: outcome.id, leadId: outcome.leadId, reward: outcome.reward, attribution: outcome.attribution })),
+      duplicates: result.duplicates,
+      rejected: result.rejected,
     },
   };
 }
 
+const LEAD_STATUS_CODES = { CREATED: 201, UPDATED: 200, DELETED: 200, NOT_FOUND: 404, INVALID_LEAD: 422, DUPLICATE_ID: 409, DUPLICATE_PHONE: 409 };
+
+function parseLeadRows(rawBody, contentType) {
+  if (String(contentType ?? '').includes('text/csv')) return parseCsv(rawBody);
+  const payload = JSON.parse(rawBody);
+  return Array.isArray(payload) ? payload : Array.isArray(payload?.leads) ? payload.leads : [payload];
+}
+
+// /leads: GET lists (filters: channel, objectionType, sentiment, source, q), POST creates one.
+// /leads/import: POST JSON (array or {leads: [...]}) or text/csv. /leads/<id>: GET, PATCH, DELETE.
+async function handleLeadsRoute({ req, url, storage, token, tokenEnv, requireToken }) {
+  const denied = checkApiToken(req, token, requireToken, tokenEnv);
+  if (denied) return denied;
+  const id = url.pathname === '/leads' ? null : decodeURIComponent(url.pathname.slice('/leads/'.length));
+
+  if (id === 'import') {
+    if (req.method !== 'POST') return { statusCode: 405, body: { ok: false, error: 'METHOD_NOT_ALLOWED' } };
+    const onDuplicate = url.searchParams.get('onDuplicate') || 'skip';
+    if (!DUPLICATE_MODES.includes(onDuplicate)) {
+      return { statusCode: 400, body: { ok: false, error: 'INVALID_DUPLICATE_MODE', expected: DUPLICATE_MODES } };
+    }
+    let rows;
+    try {
+      rows = parseLeadRows(await readBody(req), req.headers['content-type']);
+    } catch {
+      return { statusCode: 400, body: { ok: false, error: 'INVALID_JSON' } };
+    }
+    const result = await importLeads({ storage, rows, source: 'api', onDuplicate, dryRun: url.searchParams.get('dryRun') === 'true' });
+    const statusCode = result.created.length || result.updated.length || result.duplicates.length || !result.rejected.length ? 200 : 422;
+    return {
+      statusCode,
+      valid: statusCode === 200,
+      body: {
+        ok: statusCode === 200,
+        dryRun: result.dryRun,
+        created: result.created.map((lead) => lead.id),
+        updated: result.updated.map((lead) => lead.id),
+        duplicates: result.duplicates,
+        rejected: result.rejected,
+      },
+    };
+  }
+
+  if (!id && req.method === 'GET') {
+    const leads = filterLeads(await storage.readLeads(), {
+      channel: url.searchParams.get('channel') || undefined,
+      objectionType: url.searchParams.get('objectionType') || undefined,
+      sentiment: url.searchParams.get('sentiment') || undefined,
+      source: url.searchParams.get('source') || undefined,
+      search: url.searchParams.get('q') || undefined,
+    });
+    return { statusCode: 200, body: { ok: true, count: leads.length, leads } };
+  }
+  if (id && req.method === 'GET') {
+    const lead = (await storage.readLeads()).find((l) => l.id === id);
+    return lead ? { statusCode: 200, body: { ok: true, lead } } : { statusCode: 404, body: { ok: false, error: 'NOT_FOUND' } };
+  }
+
+  const allowed = id ? ['PATCH', 'DELETE'] : ['POST'];
+  if (!allowed.includes(req.method)) return { statusCode: 405, body: { ok: false, error: 'METHOD_NOT_ALLOWED' } };
+
+  let result;
+  if (req.method === 'DELETE') {
+    result = await deleteLead({ storage, id });
+    // A deleted lead must not be dialed later from the queue.
+    if (result.ok) result.cancelledCalls = await cancelQueuedCalls({ storage, leadId: id });
+  } else {
+    let raw;
+    try {
+      raw = JSON.parse(await readBody(req));
+    } catch {
+      return { statusCode: 400, body: { ok: false, error: 'INVALID_JSON' } };
+    }
+    result = req.method === 'POST' ? await createLead({ storage, raw, source: 'api' }) : await updateLead({ storage, id, raw });
+  }
+  const { ok, status, ...rest } = result;
+  return { statusCode: LEAD_STATUS_CODES[status] ?? 500, valid: ok, body: { ok, status, ...rest } };
+}
+
+// /w/<workspace>/<route> serves the same routes against that workspace's storage, secrets and dashboard.
+const WORKSPACE_ROUTE = /^\/w\/([^/]+)(\/.*)$/;
+const LOOPBACK_HOSTS = ['127.0.0.1', 'localhost', '::1'];
+
+// API and dashboard tokens are per workspace, so one business's token never opens another's leads or dashboard.
+function workspaceTokens(workspace) {
+  const entry = (key) => ({ token: getWorkspaceSecret(workspace, key), tokenEnv: workspace[key] ?? `${key} for workspace "${workspace.id}" in config/workspaces.json` });
+  return { leads: entry('leadsTokenEnv'), outcomes: entry('outcomesTokenEnv'), dashboard: entry('dashboardTokenEnv') };
+}
+
 async function main() {
   const port = Number(getArg('port', process.env.PORT || '8787'));
+  // Loopback by default; on any other host the leads, outcomes and dashboard routes refuse to run without a token.
+  const host = getArg('host', process.env.HOST || '127.0.0.1');
+  const requireToken = !LOOPBACK_HOSTS.includes(host);
   const once = getArg('once', 'false') === 'true';
-  const webhookSecret = String(process.env.ELEVENLABS_WEBHOOK_SECRET ?? '').trim();
+  const backend = getArg('storage', undefined);
+  const globalWebhookSecret = String(process.env.ELEVENLABS_WEBHOOK_SECRET ?? '').trim();
   const signatureToleranceSeconds = safeNumber(process.env.ELEVENLABS_WEBHOOK_TOLERANCE_SECONDS, 300);
+  const meta = {
+    verifyToken: String(process.env.META_VERIFY_TOKEN ?? '').trim(),
+    appSecret: String(process.env.META_APP_SECRET ?? '').trim(),
+    policyName: getArg('policy', process.env.INBOUND_POLICY || 'epsilon-greedy'),
+  };
+  if (!SELECTION_POLICIES.includes(meta.policyName)) {
+    throw new Error(`Unknown --policy=${meta.policyName}. Expected one of: ${SELECTION_POLICIES.join(', ')}`);
+  }
+
+  // A workspace without its own secret falls back to the global one, so one ElevenLabs / Meta account can serve several.
+  const contexts = new Map();
+  const getContext = (id) => {
+    if (!contexts.has(id)) {
+      contexts.set(
+        id,
+        createStorage({ backend, workspace: id }).then((storage) => ({
+          workspace: storage.workspace,
+          storage,
+          hub: createEventHub(),
+          webhookSecret: getWorkspaceSecret(storage.workspace, 'webhookSecretEnv') || globalWebhookSecret,
+          meta: {
+            ...meta,
+            appSecret: getWorkspaceSecret(storage.workspace, 'metaAppSecretEnv') || meta.appSecret,
+            appSecretEnv: storage.workspace.metaAppSecretEnv ?? 'META_APP_SECRET',
+          },
+          tokens: workspaceTokens(storage.workspace),
+        })),
+      );
+    }
+    return contexts.get(id);
+  };
+  const closeHubs = async () => {
+    for (const result of await Promise.allSettled(contexts.values())) result.value?.hub.closeAll();
+  };
+  const defaultContext = await getContext((await resolveWorkspace(getArg('workspace', undefined))).id);
+  const workspaces = await loadWorkspaces();
 
   const server = http.createServer(async (req, res) => {
-    if (req.method !== 'POST' || req.url !== '/webhooks/elevenlabs') {
+    const url = new URL(req.url, 'http://localhost');
+    const scoped = url.pathname.match(WORKSPACE_ROUTE);
+    if (scoped && !workspaces.some((w) => w.id === scoped[1] && !w.isDefault)) {
+      res.writeHead(404, { 'content-type': 'application/json' });
+      res.end(JSON.stringify({ ok: false, error: 'UNKNOWN_WORKSPACE', workspaces: workspaces.filter((w) => !w.isDefault).map((w) => w.id) }));
+      return;
+    }
+    let context;
+    try {
+      context = scoped ? await getContext(scoped[1]) : defaultContext;
+    } catch (error) {
+      // Configured but never initialized; the next request retries.
+      contexts.delete(scoped[1]);
+      res.writeHead(404, { 'content-type': 'application/json' });
+      res.end(JSON.stringify({ ok: false, error: 'WORKSPACE_NOT_INITIALIZED', message: error.message }));
+      return;
+    }
+    if (scoped) url.pathname = scoped[2];
+    const { storage, hub, webhookSecret } = context;
+
+    if (isDashboardPath(url.pathname)) {
+      try {
+        await handleDashboardRoute({ req, res, url, storage, dataDir: context.workspace.dataDir, hub, ...context.tokens.dashboard, requireToken });
+      } catch (error) {
+        res.writeHead(500, { 'content-type': 'application/json' });
+        res.end(JSON.stringify({ ok: false, error: 'INTERNAL_ERROR', message: String(error) }));
+      }
+      return;
+    }
+    const platform = Object.keys(MESSAGING_CHANNELS).find((key) => MESSAGING_CHANNELS[key].route === url.pathname);
+    const leadsRoute = url.pathname === '/leads' || url.pathname.startsWith('/leads/');
+    if (platform || url.pathname === '/outcomes' || leadsRoute) {
+      try {
+        let result;
+        if (platform) result = await handleMessagingRoute({ req, url, platform, storage, meta: context.meta, requireToken });
+        else if (leadsRoute) result = await handleLeadsRoute({ req, url, storage, ...context.tokens.leads, requireToken });
+        else result = await handleOutcomesRoute({ req, url, storage, ...context.tokens.outcomes, requireToken });
+        res.writeHead(result.statusCode, { 'content-type': result.contentType ?? 'application/json' });
+        res.end(typeof result.body === 'string' ? result.body : JSON.stringify(result.body));
+        if (once && result.valid) {
+          await closeHubs();
+          server.close(() => process.exit(0));
+        }
+      } catch (error) {
+        res.writeHead(500, { 'content-type': 'application/json' });
+        res.end(JSON.stringify({ ok: false, error: 'INTERNAL_ERROR', message: String(error) }));
+      }
+      return;
+    }
+
+    if (req.method !== 'POST' || url.pathname !== '/webhooks/elevenlabs') {
       res.writeHead(404, { 'content-type': 'application/json' });
       res.end(JSON.stringify({ ok: false, error: 'NOT_FOUND' }));
       return;
@@ -275,11 +654,13 @@ async function main() {
           }
         }
 
-        const result = await handleWebhook(rawBody);
+        const result = await handleWebhook(storage, rawBody);
         res.writeHead(result.statusCode, { 'content-type': 'application/json' });
         res.end(JSON.stringify(result.body));
+        if (result.ok) hub.publish(result.body.receivedType === 'call_initiation_failure' ? 'call-failure' : 'post-call', result.body);
 
         if (once) {
+          await closeHubs();
           server.close(() => process.exit(0));
         }
       } catch (error) {
@@ -289,12 +670,35 @@ async function main() {
     });
   });
 
-  server.listen(port, '0.0.0.0', () => {
+  const access = ({ token, tokenEnv }, required) =>
+    token ? required : requireToken ? `disabled; set ${tokenEnv} to serve it on ${host}` : `open on loopback; set ${tokenEnv} to require a token`;
+  const { tokens } = defaultContext;
+  server.listen(port, host, () => {
     console.log(`ElevenLabs webhook stub listening on http://localhost:${port}/webhooks/elevenlabs`);
-    console.log(`Artifacts: ${LATEST_PATH}, ${NDJSON_PATH}, ${LEARNING_PATH}`);
-    if (webhookSecret) {
+    console.log(`Bound to ${host}${requireToken ? '; the APIs and dashboard need their tokens' : ' (loopback only; --host=0.0.0.0 or HOST exposes it)'}.`);
+    console.log(`Text channels: http://localhost:${port}/webhooks/whatsapp, http://localhost:${port}/webhooks/instagram (policy ${meta.policyName}, ${process.env.MESSAGING_MODE ?? 'dry-run'})`);
+    console.log(
+      `Meta signature verification: ${
+        defaultContext.meta.appSecret
+          ? `enabled (${defaultContext.meta.appSecretEnv} set)`
+          : requireToken
+            ? `not configured, so the WhatsApp and Instagram webhooks are disabled; set ${defaultContext.meta.appSecretEnv} to serve them on ${host}`
+            : `disabled (set ${defaultContext.meta.appSecretEnv} to enable)`
+      }; verify token ${meta.verifyToken ? 'set' : 'not set (META_VERIFY_TOKEN)'}.`,
+    );
+    console.log(`Outcomes API: http://localhost:${port}/outcomes (${access(tokens.outcomes, 'bearer token required')})`);
+    console.log(`Leads API: http://localhost:${port}/leads (${access(tokens.leads, 'bearer token required')})`);
+    console.log(`Dashboard: http://localhost:${port}/dashboard (${access(tokens.dashboard, 'token required: ?token=')})`);
+    console.log(`Storage: ${defaultContext.storage.backend} (${defaultContext.storage.location}), workspace ${defaultContext.workspace.id}`);
+    for (const workspace of workspaces.filter((w) => !w.isDefault)) {
+      const scopedTokens = Object.entries(workspaceTokens(workspace)).map(([route, { token }]) => `${route} ${token ? 'set' : requireToken ? 'disabled' : 'open'}`);
+      console.log(
+        `Workspace ${workspace.id}: http://localhost:${port}/w/${workspace.id}/webhooks/{elevenlabs,whatsapp,instagram}, /w/${workspace.id}/leads, /w/${workspace.id}/dashboard (tokens: ${scopedTokens.join(', ')})`,
+      );
+    }
+    if (defaultContext.webhookSecret) {
       console.log(
-        `Signature verification: enabled (ELEVENLABS_WEBHOOK_SECRET set, tolerance=${signatureToleranceSeconds}s).`,
+        `Signature verification: enabled (${defaultContext.workspace.webhookSecretEnv ?? 'ELEVENLABS_WEBHOOK_SECRET'} set, tolerance=${signatureToleranceSeconds}s).`,
       );
     } else {
       console.log('Signature verification: disabled (set ELEVENLABS_WEBHOOK_SECRET to enable).');
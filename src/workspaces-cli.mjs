@@ -0,0 +1,106 @@
+import fs from 'node:fs/promises';
+import { createStorage } from './storage.mjs';
+import { createInitialMemory } from './storage-schema.mjs';
+import { refreshGlobalPriors } from './global-priors.mjs';
+import {
+  DEFAULT_WORKSPACE,
+  PRIOR_SOURCES,
+  getWorkspaceSecret,
+  inheritGlobalPriors,
+  isWorkspaceInitialized,
+  leadsForWorkspace,
+  loadWorkspaces,
+  resolveWorkspace,
+} from './workspaces.mjs';
+
+const COMMANDS = ['list', 'init', 'priors'];
+
+function getArg(name, fallback) {
+  const found = process.argv.find((a) => a.startsWith(`--${name}=`));
+  if (!found) return fallback;
+  const [, value] = found.split('=');
+  return value ?? fallback;
+}
+
+async function listCommand(backend) {
+  for (const workspace of await loadWorkspaces()) {
+    const route = workspace.isDefault ? '/webhooks/...' : `/w/${workspace.id}/webhooks/...`;
+    const secret = workspace.webhookSecretEnv ? `${workspace.webhookSecretEnv} ${getWorkspaceSecret(workspace, 'webhookSecretEnv') ? 'set' : 'not set'}` : 'no webhook secret';
+    if (!(await isWorkspaceInitialized(workspace))) {
+      console.log(`${workspace.id.padEnd(12)} | ${String(workspace.name).padEnd(24)} | not initialized (pnpm workspaces:init --workspace=${workspace.id})`);
+      continue;
+    }
+    const storage = await createStorage({ backend, workspace: workspace.id });
+    const leads = await storage.readLeads();
+    const memory = await storage.readMemory().catch(() => null);
+    await storage.close();
+    const priors = memory?.priors ? `${memory.priors.from} (${memory.priors.workspaces?.join('+') || 'empty'})` : 'none';
+    console.log(
+      `${workspace.id.padEnd(12)} | ${String(workspace.name).padEnd(24)} | ${leads.length} lead(s) | runs ${memory?.runs ?? '-'} | priors ${priors} | ${route} | ${secret}`,
+    );
+  }
+}
+
+// Creates the workspace folder, copies matching leads from the shared data/leads.json and writes its starting memory.
+// Global priors are pooled from every other initialized workspace, so a workspace never inherits its own history.
+async function initCommand(backend) {
+  const workspace = await resolveWorkspace(getArg('workspace', undefined));
+  if (workspace.isDefault) throw new Error('Pick a workspace from config/workspaces.json, e.g. --workspace=fitness');
+  const priorsFrom = getArg('priors', workspace.priors.from);
+  if (!PRIOR_SOURCES.includes(priorsFrom)) throw new Error(`Unknown --priors=${priorsFrom}. Expected one of: ${PRIOR_SOURCES.join(', ')}`);
+  const force = getArg('force', 'false') === 'true';
+
+  const shared = await createStorage({ backend, workspace: DEFAULT_WORKSPACE });
+  const globalLeads = await shared.readLeads();
+  await shared.close();
+  const globalMemory = priorsFrom === 'global' ? (await refreshGlobalPriors({ backend, exclude: workspace.id })).memory : null;
+
+  await fs.mkdir(workspace.dataDir, { recursive: true });
+  const storage = await createStorage({ backend, workspace: workspace.id });
+  try {
+    const existing = await storage.readMemory().catch(() => null);
+    if (existing && !force) {
+      throw new Error(`Workspace "${workspace.id}" is already initialized (${storage.location}). Pass --force=true to replace its memory.`);
+    }
+    const leads = await storage.readLeads();
+    const seeded = leads.length ? [] : leadsForWorkspace(globalLeads, workspace);
+    if (seeded.length) await storage.writeLeads(seeded);
+    const memory = priorsFrom === 'global' ? inheritGlobalPriors(globalMemory, { strength: workspace.priors.strength }) : createInitialMemory();
+    await storage.writeMemory(memory);
+
+    console.log(`Initialized workspace ${workspace.id} in ${storage.backend} storage: ${storage.location}`);
+    console.log(leads.length ? `Kept ${leads.length} existing lead(s).` : `Copied ${seeded.length} lead(s) matching offers: ${workspace.offers.join(', ') || '(none)'}.`);
+    console.log(
+      priorsFrom === 'global'
+        ? `Priors: global policy pooled from ${memory.priors.workspaces.join(', ') || 'no workspaces'} after ${memory.priors.globalRuns} run(s), capped at ${memory.priors.strength} observation(s) per arm; objection map ${JSON.stringify(memory.objectionPolicy)}`
+        : 'Priors: none (cold start).',
+    );
+  } finally {
+    await storage.close();
+  }
+}
+
+// Rebuilds data/global from all initialized workspaces and prints the pooled policy.
+async function priorsCommand(backend) {
+  const { memory, location } = await refreshGlobalPriors({ backend });
+  console.log(`Global priors in ${location}`);
+  for (const { workspace, runs } of memory.global.workspaces) console.log(`  ${workspace.padEnd(12)} | runs ${runs}`);
+  console.log(`Pooled runs: ${memory.runs}`);
+  console.log(`Objection map: ${JSON.stringify(memory.objectionPolicy)}`);
+}
+
+async function main() {
+  const command = process.argv[2];
+  if (!COMMANDS.includes(command)) {
+    throw new Error(`Usage: node src/workspaces-cli.mjs <${COMMANDS.join('|')}> [--workspace=<id>] [--priors=${PRIOR_SOURCES.join('|')}] [--force=true]`);
+  }
+  const backend = getArg('storage', undefined);
+  if (command === 'list') await listCommand(backend);
+  if (command === 'init') await initCommand(backend);
+  if (command === 'priors') await priorsCommand(backend);
+}
+
+main().catch((error) => {
+  console.error(error.message ?? error);
+  process.exit(1);
+});
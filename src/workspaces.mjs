@@ -0,0 +1,202 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { createInitialMemory } from './storage-schema.mjs';
+import { STRATEGY_REGISTRY } from './strategy-registry.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const ROOT = path.resolve(__dirname, '..');
+const DEFAULT_WORKSPACES_PATH = path.join(ROOT, 'config', 'workspaces.json');
+const DATA_DIR = path.join(ROOT, 'data');
+
+export const DEFAULT_WORKSPACE = 'default';
+export const PRIOR_SOURCES = ['global', 'none'];
+// Env var names of each workspace's leads, outcomes and dashboard tokens. Unlike the webhook secrets they never fall back to another workspace's.
+const API_TOKEN_KEYS = ['leadsTokenEnv', 'outcomesTokenEnv', 'dashboardTokenEnv'];
+
+// The default workspace is the original single-tenant data/ folder. It is isolated like any other workspace;
+// the global policy is pooled from all of them into data/global (see global-priors.mjs).
+const DEFAULT_WORKSPACE_CONFIG = {
+  id: DEFAULT_WORKSPACE,
+  name: 'Default',
+  offers: [],
+  inbound: {},
+  voice: {},
+  webhookSecretEnv: 'ELEVENLABS_WEBHOOK_SECRET',
+  leadsTokenEnv: 'LEADS_API_TOKEN',
+  outcomesTokenEnv: 'OUTCOMES_API_TOKEN',
+  dashboardTokenEnv: 'DASHBOARD_TOKEN',
+  priors: { from: 'none', strength: 0 },
+  dataDir: DATA_DIR,
+  isDefault: true,
+};
+
+export function getWorkspacesPath() {
+  const fromEnv = String(process.env.WORKSPACES_PATH ?? '').trim();
+  return fromEnv || DEFAULT_WORKSPACES_PATH;
+}
+
+function isEnvName(value) {
+  return typeof value === 'string' && /^[A-Z][A-Z0-9_]*$/.test(value);
+}
+
+export function validateWorkspacesConfig(raw) {
+  const errors = [];
+  const workspaces = Array.isArray(raw?.workspaces) ? raw.workspaces : [];
+  if (!Array.isArray(raw?.workspaces)) errors.push('workspaces must be an array');
+
+  const seen = new Set([DEFAULT_WORKSPACE]);
+  for (const workspace of workspaces) {
+    const id = workspace?.id;
+    if (typeof id !== 'string' || !/^[a-z][a-z0-9-]*$/.test(id)) errors.push(`workspace id "${id}" must be lowercase letters, digits and dashes`);
+    else if (seen.has(id)) errors.push(`duplicate or reserved workspace id "${id}"`);
+    seen.add(id);
+    if (workspace?.offers !== undefined && (!Array.isArray(workspace.offers) || workspace.offers.some((o) => typeof o !== 'string'))) {
+      errors.push(`workspace "${id}": offers must be an array of strings`);
+    }
+    for (const key of ['webhookSecretEnv', 'metaAppSecretEnv', ...API_TOKEN_KEYS]) {
+      if (workspace?.[key] !== undefined && !isEnvName(workspace[key])) errors.push(`workspace "${id}": ${key} must be an env var name`);
+    }
+    if (workspace?.voice?.apiKeyEnv !== undefined && !isEnvName(workspace.voice.apiKeyEnv)) {
+      errors.push(`workspace "${id}": voice.apiKeyEnv must be an env var name`);
+    }
+    const priors = workspace?.priors ?? {};
+    if (priors.from !== undefined && !PRIOR_SOURCES.includes(priors.from)) {
+      errors.push(`workspace "${id}": priors.from must be one of ${PRIOR_SOURCES.join(', ')}`);
+    }
+    if (priors.strength !== undefined && !(Number(priors.strength) > 0)) errors.push(`workspace "${id}": priors.strength must be > 0`);
+  }
+
+  return {
+    ok: errors.length === 0,
+    errors,
+    config: {
+      workspaces: workspaces.map((workspace) => ({
+        id: workspace.id,
+        name: workspace.name ?? workspace.id,
+        offers: workspace.offers ?? [],
+        inbound: workspace.inbound ?? {},
+        voice: workspace.voice ?? {},
+        webhookSecretEnv: workspace.webhookSecretEnv ?? null,
+        metaAppSecretEnv: workspace.metaAppSecretEnv ?? null,
+        leadsTokenEnv: workspace.leadsTokenEnv ?? null,
+        outcomesTokenEnv: workspace.outcomesTokenEnv ?? null,
+        dashboardTokenEnv: workspace.dashboardTokenEnv ?? null,
+        priors: { from: workspace.priors?.from ?? 'none', strength: Number(workspace.priors?.strength ?? 3) },
+        dataDir: path.join(DATA_DIR, 'workspaces', workspace.id),
+        isDefault: false,
+      })),
+    },
+  };
+}
+
+let cachedWorkspaces;
+
+// A missing config file just means a single-tenant setup.
+export async function loadWorkspaces() {
+  if (!cachedWorkspaces) {
+    const filePath = getWorkspacesPath();
+    let raw;
+    try {
+      raw = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw new Error(`Cannot read workspaces config ${filePath}: ${error.message}`);
+      raw = { workspaces: [] };
+    }
+    const validated = validateWorkspacesConfig(raw);
+    if (!validated.ok) throw new Error(`Invalid workspaces config ${filePath}: ${validated.errors.join('; ')}`);
+    cachedWorkspaces = [DEFAULT_WORKSPACE_CONFIG, ...validated.config.workspaces];
+  }
+  return cachedWorkspaces;
+}
+
+export async function resolveWorkspace(id) {
+  const name = String(id || process.env.WORKSPACE || DEFAULT_WORKSPACE).trim();
+  const workspaces = await loadWorkspaces();
+  const workspace = workspaces.find((w) => w.id === name);
+  if (!workspace) throw new Error(`Unknown workspace "${name}". Expected one of: ${workspaces.map((w) => w.id).join(', ')}`);
+  return workspace;
+}
+
+export async function isWorkspaceInitialized(workspace) {
+  return fs.stat(workspace.dataDir).then((stat) => stat.isDirectory(), () => false);
+}
+
+// Secrets stay in the environment; the config only names the variable.
+export function getWorkspaceSecret(workspace, key) {
+  const envName = workspace?.[key];
+  return envName ? String(process.env[envName] ?? '').trim() : '';
+}
+
+function round(value) {
+  return Number(value.toFixed(4));
+}
+
+// Keeps the global means but caps the evidence at `strength` pseudo-observations, so a few local results outweigh it.
+function shrink(count, strength) {
+  return count > strength ? strength / count : 1;
+}
+
+// Hierarchical prior: a new workspace starts from the global strategy, bandit and objection statistics,
+// down-weighted to at most `strength` observations per arm. LinUCB, escalation and template variants start cold.
+export function inheritGlobalPriors(globalMemory, { strength = 3 } = {}) {
+  const memory = createInitialMemory();
+  const strategies = STRATEGY_REGISTRY.active.map((s) => s.id);
+
+  for (const strategy of strategies) {
+    const stats = globalMemory?.strategyStats?.[strategy];
+    if (!stats?.uses) continue;
+    const k = shrink(stats.uses, strength);
+    memory.strategyStats[strategy] = { uses: round(stats.uses * k), totalScore: round(stats.totalScore * k), avgScore: stats.avgScore };
+  }
+
+  for (const [objectionType, arms] of Object.entries(globalMemory?.banditArms ?? {})) {
+    for (const strategy of strategies.filter((s) => arms[s]?.pulls > 0)) {
+      const arm = arms[strategy];
+      const k = shrink(arm.pulls, strength);
+      memory.banditArms[objectionType] ??= {};
+      memory.banditArms[objectionType][strategy] = {
+        pulls: round(arm.pulls * k),
+        totalReward: round(arm.totalReward * k),
+        meanReward: arm.meanReward,
+        alpha: round(1 + (arm.alpha - 1) * k),
+        beta: round(1 + (arm.beta - 1) * k),
+      };
+    }
+  }
+
+  for (const [objectionType, byStrategy] of Object.entries(globalMemory?.objectionStats ?? {})) {
+    for (const strategy of strategies.filter((s) => byStrategy[s]?.count > 0)) {
+      const stats = byStrategy[strategy];
+      const count = round(stats.count * shrink(stats.count, strength));
+      memory.objectionStats ??= {};
+      memory.objectionStats[objectionType] ??= {};
+      memory.objectionStats[objectionType][strategy] = {
+        count,
+        mean: stats.mean,
+        m2: round(stats.variance * Math.max(0, count - 1)),
+        variance: stats.variance,
+      };
+    }
+  }
+
+  // The incumbent mapping carries over; local evidence can still overturn it through the confidence-bound rule.
+  memory.objectionPolicy = Object.fromEntries(Object.entries(globalMemory?.objectionPolicy ?? {}).filter(([, s]) => strategies.includes(s)));
+  memory.priors = {
+    from: 'global',
+    strength,
+    globalRuns: globalMemory?.runs ?? 0,
+    workspaces: globalMemory?.global?.workspaces?.map((w) => w.workspace) ?? [],
+    inheritedAt: new Date().toISOString(),
+    // Kept so the pooled global policy can count only this workspace's own evidence.
+    baseline: structuredClone({ strategyStats: memory.strategyStats, banditArms: memory.banditArms, objectionStats: memory.objectionStats ?? {} }),
+  };
+  return memory;
+}
+
+// Leads from the shared data/leads.json whose offer mentions one of the workspace's offers.
+export function leadsForWorkspace(leads, workspace) {
+  const offers = workspace.offers.map((offer) => offer.toLowerCase());
+  return leads.filter((lead) => offers.some((offer) => String(lead.offer ?? '').toLowerCase().includes(offer)));
+}
@@ -0,0 +1,58 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { claimDueCalls, emptyQueue, planCall, processDueCalls } from '../src/call-scheduler.mjs';
+
+const LEAD = { id: 'lead-001', phoneNumber: '+971501000001' };
+// 12:00 in Dubai, well outside the default quiet hours.
+const NOON = new Date('2026-01-15T08:00:00Z');
+const CONFIG = {
+  cooldownHours: 24,
+  maxAttempts: 3,
+  maxPerHour: 30,
+  maxPerDay: 200,
+  quietStartHour: 21,
+  quietEndHour: 9,
+  retryNoAnswerMinutes: 120,
+  retryBusyMinutes: 15,
+  defaultTimeZone: 'UTC',
+};
+
+function memoryStorage() {
+  const documents = {};
+  return {
+    documents,
+    async updateDocument(name, fallback, updater) {
+      documents[name] = updater(documents[name] ?? structuredClone(fallback));
+      return documents[name];
+    },
+  };
+}
+
+test('stale dialing recovery takes the lost attempt off both the job and the lead ledger', () => {
+  const queue = emptyQueue();
+  const { job } = planCall(queue, { lead: LEAD, context: {}, now: NOON, config: CONFIG });
+  claimDueCalls(queue, { now: NOON, config: CONFIG });
+  assert.equal(queue.leads[LEAD.id].attempts, 1);
+
+  // The worker crashed mid-dial; eleven minutes later the job is recovered and claimed again.
+  const later = new Date(NOON.getTime() + 11 * 60 * 1000);
+  const { claimed } = claimDueCalls(queue, { now: later, config: CONFIG });
+  assert.equal(claimed.length, 1);
+  const recovered = queue.jobs.find((j) => j.id === job.id);
+  assert.equal(recovered.attempts, 1);
+  assert.equal(queue.leads[LEAD.id].attempts, recovered.attempts);
+});
+
+test('a failed dial schedules its retry on the injected clock', async () => {
+  const storage = memoryStorage();
+  await storage.updateDocument('call-queue-dry-run', emptyQueue(), (queue) => {
+    planCall(queue, { lead: LEAD, context: {}, now: NOON });
+    return queue;
+  });
+
+  const { results } = await processDueCalls({ storage, dial: async () => ({ ok: false, status: 'BUSY' }), now: NOON });
+  assert.equal(results.length, 1);
+  assert.equal(results[0].job.status, 'queued');
+  assert.equal(results[0].job.notBefore, new Date(NOON.getTime() + 15 * 60 * 1000).toISOString());
+  assert.equal(results[0].job.updatedAt, NOON.toISOString());
+});
@@ -0,0 +1,26 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { detectOptOutInTranscript, loadCompliancePolicy } from '../src/compliance.mjs';
+
+test('detects an opt-out in an ElevenLabs {role, message} transcript', async () => {
+  const policy = await loadCompliancePolicy();
+  const transcript = [
+    { role: 'agent', message: 'Hi, is now a good time?' },
+    { role: 'user', message: 'No. Please do not call me again.' },
+  ];
+  const detected = detectOptOutInTranscript(transcript, policy);
+  assert.equal(detected.optOut, true);
+  assert.equal(detected.quote, 'No. Please do not call me again.');
+});
+
+test('detects an opt-out in a simulated {sender, text} transcript', async () => {
+  const policy = await loadCompliancePolicy();
+  const detected = detectOptOutInTranscript([{ sender: 'user', text: 'Please do not call me again.' }], policy);
+  assert.equal(detected.optOut, true);
+});
+
+test('ignores opt-out phrases said by the agent', async () => {
+  const policy = await loadCompliancePolicy();
+  const detected = detectOptOutInTranscript([{ role: 'agent', message: 'Say do not call and we will stop.' }], policy);
+  assert.equal(detected.optOut, false);
+});
@@ -0,0 +1,89 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { normalizeReward } from '../src/bandit-policy.mjs';
+import { ensureContextualModel, extractFeatures, selectContextual, updateContextualModel } from '../src/contextual-bandit.mjs';
+
+const STRATEGIES = ['consultative', 'social_proof', 'urgent_offer'];
+
+// Gauss-Jordan with partial pivoting, as the reference the incremental inverse is checked against.
+function invert(matrix) {
+  const n = matrix.length;
+  const rows = matrix.map((row, i) => [...row, ...Array.from({ length: n }, (_, j) => (i === j ? 1 : 0))]);
+  for (let col = 0; col < n; col += 1) {
+    const pivot = rows.slice(col).reduce((best, row, k) => (Math.abs(row[col]) > Math.abs(rows[best][col]) ? col + k : best), col);
+    [rows[col], rows[pivot]] = [rows[pivot], rows[col]];
+    const scale = rows[col][col];
+    rows[col] = rows[col].map((value) => value / scale);
+    for (let r = 0; r < n; r += 1) {
+      if (r === col) continue;
+      const factor = rows[r][col];
+      rows[r] = rows[r].map((value, j) => value - factor * rows[col][j]);
+    }
+  }
+  return rows.map((row) => row.slice(n));
+}
+
+function assertClose(actual, expected, tolerance, label) {
+  actual.forEach((row, i) =>
+    row.forEach((value, j) => assert.ok(Math.abs(value - expected[i][j]) < tolerance, `${label}[${i}][${j}]: ${value} vs ${expected[i][j]}`)),
+  );
+}
+
+test('Sherman-Morrison updates keep ainv equal to the inverse of I + sum(w x xT), also across feature growth', () => {
+  const memory = {};
+  const updates = [
+    [{ objectionType: 'price', sentiment: 'cautious', channel: 'whatsapp' }, 8, 1],
+    [{ objectionType: 'trust', sentiment: 'skeptical', channel: 'whatsapp' }, 6, 1],
+    [{ objectionType: 'price', sentiment: 'skeptical', channel: 'instagram_dm', offer: 'coaching' }, 7.5, 0.5],
+    [{ objectionType: 'price', sentiment: 'cautious', channel: 'whatsapp' }, 9, 0.25],
+    [{ objectionType: 'timing', sentiment: 'cautious', channel: 'voice', offer: 'coaching' }, 5, 1],
+  ];
+  for (const [lead, score, weight] of updates) updateContextualModel(memory, lead, 'consultative', score, weight);
+
+  const { features, arms } = memory.contextualModel;
+  const size = features.length;
+  const a = Array.from({ length: size }, (_, i) => Array.from({ length: size }, (__, j) => (i === j ? 1 : 0)));
+  const b = Array(size).fill(0);
+  for (const [lead, score, weight] of updates) {
+    const keys = extractFeatures(lead);
+    const x = features.map((key) => (keys.includes(key) ? 1 : 0));
+    for (let i = 0; i < size; i += 1) {
+      b[i] += weight * normalizeReward(score) * x[i];
+      for (let j = 0; j < size; j += 1) a[i][j] += weight * x[i] * x[j];
+    }
+  }
+
+  const arm = arms.consultative;
+  assert.equal(arm.ainv.length, size);
+  assertClose(arm.ainv, invert(a), 1e-4, 'ainv');
+  assertClose([arm.b], [b], 1e-4, 'b');
+  assert.equal(arm.pulls, 3.75);
+});
+
+test('growing the feature set leaves existing arms consistent', () => {
+  const memory = {};
+  ensureContextualModel(memory, STRATEGIES, extractFeatures({ objectionType: 'price' }));
+  updateContextualModel(memory, { objectionType: 'price' }, 'social_proof', 8);
+  ensureContextualModel(memory, STRATEGIES, extractFeatures({ objectionType: 'price', sentiment: 'cautious' }));
+
+  const size = memory.contextualModel.features.length;
+  for (const strategy of STRATEGIES) {
+    const arm = memory.contextualModel.arms[strategy];
+    assert.equal(arm.ainv.length, size);
+    assert.ok(arm.ainv.every((row) => row.length === size));
+    assert.equal(arm.b.length, size);
+  }
+});
+
+test('the learned arm is preferred for the context it was rewarded in', () => {
+  const memory = { policy: { linucbAlpha: 0.1 } };
+  const lead = { objectionType: 'price', sentiment: 'cautious', channel: 'whatsapp' };
+  for (let i = 0; i < 5; i += 1) {
+    updateContextualModel(memory, lead, 'social_proof', 9);
+    updateContextualModel(memory, lead, 'consultative', 4);
+    updateContextualModel(memory, lead, 'urgent_offer', 3);
+  }
+  const selection = selectContextual({ memory, lead, strategies: STRATEGIES });
+  assert.equal(selection.strategy, 'social_proof');
+  assert.equal(selection.decision, 'exploit');
+});
@@ -0,0 +1,88 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { confidenceInterval, recordObjectionScore, reviseObjectionPolicy, updateRunningStats } from '../src/policy-stats.mjs';
+
+const STRATEGIES = ['consultative', 'social_proof', 'urgent_offer'];
+
+function createMemory() {
+  return { policy: {}, objectionPolicy: {}, objectionStats: {} };
+}
+
+test('weighted Welford stats match a direct weighted mean and variance', () => {
+  const observations = [
+    [7.5, 1],
+    [6.2, 0.5],
+    [8.9, 1],
+    [5.4, 0.25],
+    [7.1, 1],
+    [9.3, 0.5],
+    [6.8, 1],
+  ];
+  const stats = { count: 0, mean: 0, m2: 0, variance: 0 };
+  for (const [value, weight] of observations) updateRunningStats(stats, value, weight);
+
+  const total = observations.reduce((sum, [, w]) => sum + w, 0);
+  const mean = observations.reduce((sum, [v, w]) => sum + w * v, 0) / total;
+  const m2 = observations.reduce((sum, [v, w]) => sum + w * (v - mean) ** 2, 0);
+
+  assert.equal(stats.count, total);
+  assert.ok(Math.abs(stats.mean - mean) < 1e-3, `mean ${stats.mean} vs ${mean}`);
+  assert.ok(Math.abs(stats.m2 - m2) < 1e-3, `m2 ${stats.m2} vs ${m2}`);
+  assert.ok(Math.abs(stats.variance - m2 / (total - 1)) < 1e-3, `variance ${stats.variance} vs ${m2 / (total - 1)}`);
+});
+
+test('unit weights reduce to the ordinary sample variance', () => {
+  const values = [4, 7, 13, 16];
+  const stats = { count: 0, mean: 0, m2: 0, variance: 0 };
+  for (const value of values) updateRunningStats(stats, value);
+  assert.equal(stats.mean, 10);
+  assert.equal(stats.variance, 30);
+});
+
+test('the confidence interval is open until minSamples and then mean ± z·sqrt(var/n)', () => {
+  assert.deepEqual(confidenceInterval({ count: 1, mean: 7, variance: 0 }), { lower: -Infinity, upper: Infinity });
+  const interval = confidenceInterval({ count: 4, mean: 7, variance: 1 }, { z: 2 });
+  assert.deepEqual(interval, { lower: 6, upper: 8 });
+});
+
+test('the first observed strategy is assigned without a confidence check', () => {
+  const memory = createMemory();
+  recordObjectionScore(memory, 'price', 'social_proof', 7);
+  const change = reviseObjectionPolicy({ memory, objectionType: 'price', strategies: STRATEGIES });
+  assert.equal(change.reason, 'INITIAL_ASSIGNMENT');
+  assert.equal(memory.objectionPolicy.price, 'social_proof');
+});
+
+test('a better mean alone does not replace the incumbent while the intervals overlap', () => {
+  const memory = createMemory();
+  memory.objectionPolicy.price = 'consultative';
+  for (const score of [6, 8, 7]) recordObjectionScore(memory, 'price', 'consultative', score);
+  for (const score of [6.5, 8.5, 7.5]) recordObjectionScore(memory, 'price', 'social_proof', score);
+
+  assert.equal(reviseObjectionPolicy({ memory, objectionType: 'price', strategies: STRATEGIES }), null);
+  assert.equal(memory.objectionPolicy.price, 'consultative');
+});
+
+test('the challenger wins once its lower bound clears the incumbent upper bound', () => {
+  const memory = createMemory();
+  memory.objectionPolicy.price = 'consultative';
+  for (const score of [5, 5.2, 4.8, 5.1]) recordObjectionScore(memory, 'price', 'consultative', score);
+  for (const score of [8, 8.2, 7.9, 8.1]) recordObjectionScore(memory, 'price', 'social_proof', score);
+
+  const change = reviseObjectionPolicy({ memory, objectionType: 'price', strategies: STRATEGIES });
+  assert.equal(change.reason, 'CHALLENGER_LCB_ABOVE_INCUMBENT_UCB');
+  assert.ok(change.challenger.lower > change.incumbent.upper);
+  assert.equal(memory.objectionPolicy.price, 'social_proof');
+});
+
+test('an unobserved incumbent is only replaced after minSamples challenger observations', () => {
+  const memory = createMemory();
+  memory.objectionPolicy.price = 'urgent_offer';
+  recordObjectionScore(memory, 'price', 'social_proof', 8);
+  assert.equal(reviseObjectionPolicy({ memory, objectionType: 'price', strategies: STRATEGIES }), null);
+
+  recordObjectionScore(memory, 'price', 'social_proof', 8.4);
+  const change = reviseObjectionPolicy({ memory, objectionType: 'price', strategies: STRATEGIES });
+  assert.equal(change.reason, 'INCUMBENT_UNOBSERVED');
+  assert.equal(memory.objectionPolicy.price, 'social_proof');
+});
@@ -0,0 +1,50 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { test } from 'node:test';
+import { createJsonStorage } from '../src/storage-json.mjs';
+
+const hasSqlite = await import('node:sqlite').then(() => true, () => false);
+
+async function withBackend(backend, fn) {
+  const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ruya-storage-'));
+  let storage;
+  if (backend === 'json') {
+    storage = createJsonStorage({ dataDir });
+  } else {
+    const { createSqliteStorage } = await import('../src/storage-sqlite.mjs');
+    storage = await createSqliteStorage({ dataDir, dbPath: path.join(dataDir, 'ruya.sqlite') });
+  }
+  try {
+    await fn(storage);
+  } finally {
+    await storage.close();
+    await fs.rm(dataDir, { recursive: true, force: true });
+  }
+}
+
+for (const backend of ['json', 'sqlite']) {
+  const options = { skip: backend === 'sqlite' && !hasSqlite && 'node:sqlite needs Node.js 22.5 or newer' };
+
+  test(`${backend}: updateDocument and updateLeads apply a synchronous updater`, options, async () => {
+    await withBackend(backend, async (storage) => {
+      await storage.updateDocument('counter', { n: 0 }, (doc) => ({ n: doc.n + 1 }));
+      assert.deepEqual(await storage.updateDocument('counter', { n: 0 }, (doc) => ({ n: doc.n + 1 })), { n: 2 });
+
+      await storage.updateLeads((leads) => [...leads, { id: 'lead-1' }]);
+      assert.deepEqual(await storage.updateLeads(() => undefined), [{ id: 'lead-1' }]);
+      assert.deepEqual(await storage.readLeads(), [{ id: 'lead-1' }]);
+    });
+  });
+
+  test(`${backend}: an async updater is rejected and nothing is written`, options, async () => {
+    await withBackend(backend, async (storage) => {
+      await assert.rejects(storage.updateDocument('counter', { n: 0 }, async (doc) => ({ n: doc.n + 1 })), /must be synchronous/);
+      assert.equal(await storage.readDocument('counter', null), null);
+
+      await assert.rejects(storage.updateLeads(async (leads) => [...leads, { id: 'lead-1' }]), /must be synchronous/);
+      assert.deepEqual(await storage.readLeads(), []);
+    });
+  });
+}